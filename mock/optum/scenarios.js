@@ -0,0 +1,73 @@
+import { readFileSync } from 'fs';
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+
+// Fixtures are read once; every response gets a deep copy to fill in
+function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`${name}.json`, FIXTURES_DIR), 'utf8'));
+}
+
+/**
+ * Scenarios the mock plays, chosen by subscriber.memberId (case-insensitive)
+ * Member IDs not listed here get `active` / `approved`.
+ *
+ * fixture  - file under fixtures/eligibility or fixtures/prior-auth
+ * status   - HTTP status to answer with instead of a fixture (429, 500)
+ * failOnce - answer 500 to the first attempt of each controlNumber, then the fixture
+ * slow     - delay the response by MOCK_OPTUM_SLOW_MS
+ */
+export const ELIGIBILITY_SCENARIOS = {
+  'MOCK-ACTIVE': { description: 'Active coverage with deductible, out-of-pocket, copay and coinsurance; surgery and MRI/CAT scans need prior auth', fixture: 'active' },
+  'MOCK-INACTIVE': { description: 'Inactive coverage', fixture: 'inactive' },
+  'MOCK-DEPENDENT': { description: 'Active family coverage with a dependent child', fixture: 'dependent' },
+  'MOCK-AAA72': { description: 'AAA 72 - Invalid/Missing Subscriber/Insured ID', fixture: 'aaa-72' },
+  'MOCK-AAA75': { description: 'AAA 75 - Subscriber/Insured Not Found', fixture: 'aaa-75' },
+  'MOCK-AAA42': { description: 'AAA 42 - Unable to Respond at Current Time', fixture: 'aaa-42' },
+  'MOCK-429': { description: '429 Too Many Requests with Retry-After', status: 429 },
+  'MOCK-500': { description: '500 on every attempt', status: 500 },
+  'MOCK-500-ONCE': { description: '500 on the first attempt of each controlNumber, then active coverage', fixture: 'active', failOnce: true },
+  'MOCK-SLOW': { description: 'Active coverage after MOCK_OPTUM_SLOW_MS', fixture: 'active', slow: true }
+};
+
+export const PRIOR_AUTH_SCENARIOS = {
+  'MOCK-APPROVED': { description: 'Approved (A1) with a 30-day certification', fixture: 'approved' },
+  'MOCK-PENDED': { description: 'Pended (A4); inquiries return approved after MOCK_OPTUM_PENDED_INQUIRIES of them', fixture: 'pended' },
+  'MOCK-DENIED': { description: 'Denied (A3)', fixture: 'denied' },
+  'MOCK-REJECTED': { description: 'Rejected by validation (reject reason T4), no authorizationId', fixture: 'rejected' },
+  'MOCK-429': { description: '429 Too Many Requests with Retry-After', status: 429 },
+  'MOCK-500': { description: '500 on every attempt', status: 500 },
+  'MOCK-SLOW': { description: 'Approved after MOCK_OPTUM_SLOW_MS', fixture: 'approved', slow: true }
+};
+
+const DEFAULT_ELIGIBILITY = 'MOCK-ACTIVE';
+const DEFAULT_PRIOR_AUTH = 'MOCK-APPROVED';
+
+const fixtures = new Map();
+
+/**
+ * Scenario for an eligibility request or prior auth submission
+ * @param {Object} scenarios - ELIGIBILITY_SCENARIOS or PRIOR_AUTH_SCENARIOS
+ * @param {string} memberId - subscriber.memberId from the request
+ * @returns {Object} { name, ...scenario }
+ */
+export function resolveScenario(scenarios, memberId) {
+  const name = String(memberId || '').toUpperCase();
+  if (scenarios[name]) return { name, ...scenarios[name] };
+
+  const fallback = scenarios === PRIOR_AUTH_SCENARIOS ? DEFAULT_PRIOR_AUTH : DEFAULT_ELIGIBILITY;
+  return { name: fallback, ...scenarios[fallback] };
+}
+
+/**
+ * Copy of a fixture
+ * @param {string} kind - 'eligibility' or 'prior-auth'
+ * @param {string} name - Fixture file name without .json
+ * @returns {Object} Response body to fill in
+ */
+export function getFixture(kind, name) {
+  const key = `${kind}/${name}`;
+  if (!fixtures.has(key)) {
+    fixtures.set(key, loadFixture(key));
+  }
+  return structuredClone(fixtures.get(key));
+}
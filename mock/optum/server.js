@@ -0,0 +1,247 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { ELIGIBILITY_SCENARIOS, PRIOR_AUTH_SCENARIOS, resolveScenario, getFixture } from './scenarios.js';
+
+/**
+ * Local stand-in for the Optum endpoints this service calls
+ * Serves canned 271 and prior auth responses picked by subscriber.memberId (see
+ * scenarios.js), so the service runs in development and CI without Optum
+ * credentials or sandbox access. State (tokens, submissions) lives in memory.
+ */
+
+const PORT = parseInt(process.env.MOCK_OPTUM_PORT) || 4010;
+const TOKEN_TTL_SECONDS = parseInt(process.env.MOCK_OPTUM_TOKEN_TTL_SECONDS) || 3600;
+const SLOW_MS = parseInt(process.env.MOCK_OPTUM_SLOW_MS) || 5000;
+const RETRY_AFTER_SECONDS = parseInt(process.env.MOCK_OPTUM_RETRY_AFTER_SECONDS) || 2;
+const PENDED_INQUIRIES = parseInt(process.env.MOCK_OPTUM_PENDED_INQUIRIES) || 1;
+// Any credentials are accepted unless these are set
+const CLIENT_ID = process.env.MOCK_OPTUM_CLIENT_ID;
+const CLIENT_SECRET = process.env.MOCK_OPTUM_CLIENT_SECRET;
+
+const tokens = new Map(); // access token -> expiry (ms)
+const submissions = new Map(); // authorizationId -> { scenario, reviewIdentificationNumber, inquiries }
+const failedOnce = new Set(); // requests a failOnce scenario already failed
+let sequence = 0;
+
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+
+app.use((req, res, next) => {
+  if (!req.path.startsWith('/__mock')) {
+    console.log(`🎭 ${req.method} ${req.path}${req.body?.subscriber?.memberId ? ` (member ${req.body.subscriber.memberId})` : ''}`);
+  }
+  next();
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// YYYYMMDD, days from today
+function dateFromToday(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function sendOptumError(res, status, code, description) {
+  res.status(status).json({ errors: [{ code, description }] });
+}
+
+function requireToken(req, res, next) {
+  const token = req.get('Authorization')?.replace(/^Bearer\s+/i, '');
+  const expiresAt = tokens.get(token);
+
+  if (!expiresAt || expiresAt <= Date.now()) {
+    tokens.delete(token);
+    return sendOptumError(res, 401, 'UNAUTHORIZED', 'Invalid or expired access token');
+  }
+  next();
+}
+
+/**
+ * Apply a scenario's transport behaviour - delay, 429, 500
+ * @returns {Promise<boolean>} true when an error response was sent
+ */
+async function applyScenario(scenario, res, attemptKey) {
+  if (scenario.slow) {
+    await sleep(SLOW_MS);
+  }
+
+  if (scenario.status === 429) {
+    res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+    sendOptumError(res, 429, 'TOO_MANY_REQUESTS', 'Rate limit exceeded');
+    return true;
+  }
+
+  if (scenario.status === 500 || (scenario.failOnce && !failedOnce.has(attemptKey))) {
+    failedOnce.add(attemptKey);
+    sendOptumError(res, 500, 'INTERNAL_SERVER_ERROR', 'Mock Optum server error');
+    return true;
+  }
+
+  return false;
+}
+
+// OAuth client credentials
+app.post('/apip/auth/v2/token', (req, res) => {
+  const { client_id: clientId, client_secret: clientSecret, grant_type: grantType } = req.body || {};
+
+  if (grantType !== 'client_credentials') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+  if (!clientId || !clientSecret || (CLIENT_ID && clientId !== CLIENT_ID) || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const accessToken = `mock_${randomUUID()}`;
+  tokens.set(accessToken, Date.now() + TOKEN_TTL_SECONDS * 1000);
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS });
+});
+
+// Eligibility (270/271 as JSON)
+app.post('/medicalnetwork/eligibility/v3/', requireToken, async (req, res) => {
+  const request = req.body || {};
+  const scenario = resolveScenario(ELIGIBILITY_SCENARIOS, request.subscriber?.memberId);
+
+  if (await applyScenario(scenario, res, `eligibility:${request.controlNumber}`)) return;
+
+  const response = getFixture('eligibility', scenario.fixture);
+  const provider = request.provider || {};
+
+  response.controlNumber = request.controlNumber;
+  response.tradingPartnerServiceId = request.tradingPartnerServiceId;
+  response.meta = {
+    ...response.meta,
+    traceId: randomUUID(),
+    controlNumber: request.controlNumber,
+    tradingPartnerServiceId: request.tradingPartnerServiceId
+  };
+  response.provider = { providerName: provider.organizationName, npi: provider.npi, providerCode: provider.providerCode };
+  response.payer = { ...response.payer, payorIdentification: request.tradingPartnerServiceId || response.payer?.payorIdentification };
+  response.subscriber = {
+    ...response.subscriber,
+    memberId: request.subscriber?.memberId,
+    firstName: request.subscriber?.firstName?.toUpperCase(),
+    lastName: request.subscriber?.lastName?.toUpperCase(),
+    gender: request.subscriber?.gender,
+    dateOfBirth: request.subscriber?.dateOfBirth
+  };
+
+  // Echo the caller's dependent over the fixture's
+  const dependent = request.dependents?.[0];
+  if (response.dependents && dependent) {
+    response.dependents[0] = {
+      ...response.dependents[0],
+      firstName: dependent.firstName?.toUpperCase(),
+      lastName: dependent.lastName?.toUpperCase(),
+      gender: dependent.gender,
+      dateOfBirth: dependent.dateOfBirth
+    };
+  }
+
+  res.json(response);
+});
+
+app.post('/medicalnetwork/eligibility/v3/raw-x12', requireToken, (req, res) => {
+  sendOptumError(res, 501, 'NOT_IMPLEMENTED', 'The mock does not serve raw X12; use the JSON endpoint');
+});
+
+function priorAuthResponse(fixtureName, submission) {
+  const response = getFixture('prior-auth', fixtureName);
+  const detail = response.json.patientEventDetail;
+
+  if (response.authorizationId !== null) {
+    response.authorizationId = submission.authorizationId;
+    detail.reviewIdentificationNumber = submission.reviewIdentificationNumber;
+  }
+  if (detail.certificationActionCode === 'A1') {
+    detail.certificationEffectiveDateBegin = dateFromToday(0);
+    detail.certificationExpirationDateEnd = dateFromToday(30);
+  }
+
+  return response;
+}
+
+// Prior authorization submission (278)
+app.post('/rcm/prior-authorization/v1/submission', requireToken, async (req, res) => {
+  const scenario = resolveScenario(PRIOR_AUTH_SCENARIOS, req.body?.subscriber?.memberId);
+
+  if (await applyScenario(scenario, res)) return;
+
+  sequence++;
+  const submission = {
+    scenario,
+    authorizationId: `MOCKAUTH${String(sequence).padStart(6, '0')}`,
+    reviewIdentificationNumber: `MOCKREV${String(sequence).padStart(6, '0')}`,
+    inquiries: 0
+  };
+
+  const response = priorAuthResponse(scenario.fixture, submission);
+  if (response.authorizationId) {
+    submissions.set(submission.authorizationId, submission);
+  }
+
+  res.json(response);
+});
+
+// Prior authorization inquiry (278 status)
+app.post('/rcm/prior-authorization/v1/inquiry', requireToken, async (req, res) => {
+  const detail = req.body?.patientEventDetail || {};
+  const submission = submissions.get(detail.previousReviewAuthorizationNumber)
+    || [...submissions.values()].find(entry => entry.reviewIdentificationNumber === detail.previousAdministrativeReferenceNumber);
+
+  if (!submission) {
+    // Unknown authorizations follow the member's scenario
+    const scenario = resolveScenario(PRIOR_AUTH_SCENARIOS, req.body?.subscriber?.memberId);
+    if (await applyScenario(scenario, res)) return;
+
+    return res.json(priorAuthResponse(scenario.fixture, {
+      authorizationId: detail.previousReviewAuthorizationNumber || 'MOCKAUTH000000',
+      reviewIdentificationNumber: detail.previousAdministrativeReferenceNumber || 'MOCKREV000000'
+    }));
+  }
+
+  if (await applyScenario(submission.scenario, res)) return;
+
+  // Pended authorizations are decided after a few inquiries, so the tracker has something to find
+  submission.inquiries++;
+  const fixtureName = submission.scenario.fixture === 'pended' && submission.inquiries > PENDED_INQUIRIES
+    ? 'approved'
+    : submission.scenario.fixture;
+
+  res.json(priorAuthResponse(fixtureName, submission));
+});
+
+// Mock controls
+app.get('/__mock/health', (req, res) => {
+  res.json({ status: 'healthy', tokens: tokens.size, submissions: submissions.size });
+});
+
+app.get('/__mock/scenarios', (req, res) => {
+  res.json({ eligibility: ELIGIBILITY_SCENARIOS, priorAuth: PRIOR_AUTH_SCENARIOS });
+});
+
+// Expire every issued token, so the next call gets a 401 and the service must re-authenticate
+app.post('/__mock/tokens/revoke', (req, res) => {
+  const revoked = tokens.size;
+  tokens.clear();
+  res.json({ revoked });
+});
+
+app.post('/__mock/reset', (req, res) => {
+  tokens.clear();
+  submissions.clear();
+  failedOnce.clear();
+  res.json({ reset: true });
+});
+
+app.use((req, res) => {
+  sendOptumError(res, 404, 'NOT_FOUND', `The mock does not serve ${req.method} ${req.path}`);
+});
+
+app.listen(PORT, () => {
+  console.log(`🎭 Optum mock running on port ${PORT}`);
+  console.log(`📋 Scenarios: http://localhost:${PORT}/__mock/scenarios`);
+});
+
+export default app;
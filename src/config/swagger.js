@@ -24,7 +24,17 @@ const options = {
         bearerAuth: {
           type: 'http',
           scheme: 'bearer',
-          bearerFormat: 'JWT'
+          bearerFormat: 'JWT',
+          description: 'An API key (opk_...) or a JWT from the configured identity provider'
+        }
+      },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string', maxLength: 255 },
+          description: 'Unique key for this request (e.g. a UUID). Retries with the same key and body get the first response back, with Idempotent-Replayed: true, for IDEMPOTENCY_TTL_SECONDS (default 24h)'
         }
       },
       schemas: {
@@ -134,8 +144,24 @@ const options = {
             data: {
               type: 'object',
               properties: {
-                eligible: { type: 'boolean', example: true },
-                eligibilityStatus: { type: 'string', example: 'active' },
+                eligible: { type: 'boolean', example: true, description: 'True only when eligibilityStatus is active' },
+                eligibilityStatus: {
+                  type: 'string',
+                  enum: ['active', 'inactive', 'terminated', 'future_effective', 'unknown', 'error'],
+                  example: 'active',
+                  description: 'From subscriber.informationStatusCode (A/I), refined by the plan period for the date of service'
+                },
+                informationStatusCode: { type: 'string', nullable: true, example: 'A' },
+                planPeriod: {
+                  type: 'object',
+                  properties: {
+                    beginDate: { type: 'string', nullable: true, example: '20240101' },
+                    endDate: { type: 'string', nullable: true, example: '20241231' },
+                    dateOfService: { type: 'string', nullable: true, example: '20240615' },
+                    endDateOfService: { type: 'string', nullable: true, example: '20240615' },
+                    dateOfServiceInPeriod: { type: 'boolean', nullable: true, example: true, description: 'null when the payer sent no plan dates' }
+                  }
+                },
                 member: {
                   type: 'object',
                   properties: {
@@ -156,16 +182,510 @@ const options = {
                       coverageLevel: { type: 'string', example: 'Active Coverage' },
                       copay: { type: 'string', example: '$25' },
                       deductible: { type: 'string', example: '$500' },
-                      coinsurance: { type: 'string', example: '20%' }
+                      coinsurance: { type: 'string', example: '20%' },
+                      priorAuthRequired: {
+                        oneOf: [{ type: 'boolean' }, { type: 'string', enum: ['unknown'] }],
+                        example: true,
+                        description: 'From authOrCertIndicator (Y/N); unknown when the payer did not say'
+                      }
+                    }
+                  }
+                },
+                servicesRequiringAuth: {
+                  type: 'array',
+                  description: 'Every service type in the payer response flagged as requiring prior authorization',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      serviceTypeCode: { type: 'string', example: '62' },
+                      serviceType: { type: 'string', example: 'MRI/CAT Scan' }
+                    }
+                  }
+                },
+                priorAuthDrafts: {
+                  type: 'array',
+                  description: 'Only with ?priorAuthDraft=true. One per requested service requiring authorization',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      serviceTypeCode: { type: 'string', example: '62' },
+                      serviceType: { type: 'string', example: 'MRI/CAT Scan' },
+                      request: { $ref: '#/components/schemas/PriorAuthRequest' },
+                      missingFields: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        example: ['patientEventDetail.diagnosisCode', 'patientEventDetail.serviceLevel']
+                      }
+                    }
+                  }
+                },
+                benefitDetails: {
+                  type: 'object',
+                  description: 'Only with ?detail=full. Keyed by service type code',
+                  additionalProperties: { $ref: '#/components/schemas/BenefitDetail' }
+                },
+                cacheMetadata: { $ref: '#/components/schemas/CacheMetadata' }
+              }
+            },
+            correlationId: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        },
+        BenefitDetail: {
+          type: 'object',
+          properties: {
+            serviceTypeCode: { type: 'string', example: '30' },
+            serviceType: { type: 'string', example: 'Health Benefit Plan Coverage' },
+            status: { type: 'string', enum: ['active', 'inactive', 'non_covered', 'unknown'] },
+            authOrCertIndicator: { type: 'string', nullable: true, example: 'N' },
+            plans: {
+              type: 'object',
+              description: 'Keyed by insuranceTypeCode (default when the payer omits it)',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  insuranceTypeCode: { type: 'string', nullable: true, example: 'C1' },
+                  insuranceType: { type: 'string', nullable: true, example: 'Commercial' },
+                  networks: {
+                    type: 'object',
+                    description: 'Keyed by in_network, out_of_network, not_applicable or unspecified, then by coverage level (individual, family, ...)',
+                    additionalProperties: {
+                      type: 'object',
+                      additionalProperties: { $ref: '#/components/schemas/BenefitAmounts' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        BenefitAmounts: {
+          type: 'object',
+          properties: {
+            deductible: { $ref: '#/components/schemas/BenefitAccumulator' },
+            outOfPocketMax: { $ref: '#/components/schemas/BenefitAccumulator' },
+            copay: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                amount: { type: 'number', example: 25 },
+                period: { type: 'string', nullable: true, example: 'visit' }
+              }
+            },
+            coinsurance: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                percent: { type: 'number', example: 20 },
+                period: { type: 'string', nullable: true, example: 'visit' }
+              }
+            },
+            limitations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  amount: { type: 'number', nullable: true },
+                  quantity: { type: 'number', nullable: true, example: 20 },
+                  quantityQualifier: { type: 'string', nullable: true, example: 'Visits' },
+                  period: { type: 'string', nullable: true, example: 'calendar_year' },
+                  description: { type: 'string', nullable: true }
+                }
+              }
+            }
+          }
+        },
+        BenefitAccumulator: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            total: { type: 'number', nullable: true, example: 1500 },
+            remaining: { type: 'number', nullable: true, example: 1100 },
+            metToDate: { type: 'number', nullable: true, example: 400 },
+            period: { type: 'string', nullable: true, example: 'calendar_year' }
+          }
+        },
+        EligibilityBatchRequest: {
+          type: 'object',
+          required: ['requests'],
+          properties: {
+            requests: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 300,
+              items: { $ref: '#/components/schemas/EligibilityRequest' },
+              description: 'controlNumber must be unique within the batch'
+            }
+          }
+        },
+        EligibilityBatchResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            data: {
+              type: 'object',
+              properties: {
+                summary: {
+                  type: 'object',
+                  properties: {
+                    total: { type: 'number', example: 3 },
+                    success: { type: 'number', example: 1 },
+                    validation_error: { type: 'number', example: 1 },
+                    payer_error: { type: 'number', example: 1 },
+                    error: { type: 'number', example: 0 }
+                  }
+                },
+                results: {
+                  type: 'object',
+                  description: 'Results keyed by controlNumber',
+                  additionalProperties: {
+                    type: 'object',
+                    properties: {
+                      status: { type: 'string', enum: ['success', 'validation_error', 'payer_error', 'error'] },
+                      errors: { type: 'array', items: { type: 'string' } },
+                      error: {},
+                      data: { type: 'object' }
+                    }
+                  },
+                  example: {
+                    '123456789': { status: 'success', data: { eligible: true, eligibilityStatus: 'active' } },
+                    '123456790': { status: 'validation_error', errors: ['subscriber.dateOfBirth must be in YYYYMMDD format'] },
+                    '123456791': { status: 'payer_error', error: { code: '72', message: 'Invalid/Missing Subscriber/Insured ID' } }
+                  }
+                }
+              }
+            },
+            correlationId: { type: 'string' },
+            duration: { type: 'string', example: '4200ms' },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        },
+        EligibilityJobRequest: {
+          type: 'object',
+          properties: {
+            request: { $ref: '#/components/schemas/EligibilityRequest' },
+            requests: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/EligibilityRequest' },
+              description: 'Use instead of `request` for many checks; controlNumber must be unique'
+            },
+            callbackUrl: {
+              type: 'string',
+              format: 'uri',
+              example: 'https://ehr.example.com/webhooks/eligibility',
+              description: 'Receives a signed POST when the job completes or fails'
+            }
+          }
+        },
+        EligibilityJobResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            data: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+                total: { type: 'number', example: 120 },
+                progress: {
+                  type: 'object',
+                  properties: {
+                    total: { type: 'number', example: 120 },
+                    completed: { type: 'number', example: 45 }
+                  }
+                },
+                createdAt: { type: 'string', format: 'date-time' },
+                startedAt: { type: 'string', format: 'date-time', nullable: true },
+                completedAt: { type: 'string', format: 'date-time', nullable: true },
+                summary: { type: 'object', nullable: true, description: 'Same shape as the batch summary' },
+                error: { type: 'string', nullable: true },
+                callback: {
+                  type: 'object',
+                  nullable: true,
+                  properties: {
+                    url: { type: 'string' },
+                    status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+                    attempts: { type: 'number' },
+                    deliveredAt: { type: 'string', format: 'date-time' },
+                    error: { type: 'string' }
+                  }
+                },
+                results: { type: 'object', description: 'Outcomes keyed by controlNumber, same shape as batch results' }
+              }
+            },
+            correlationId: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        },
+        PriorAuthRequest: {
+          type: 'object',
+          required: ['payerId', 'requester', 'subscriber', 'patientEventDetail'],
+          properties: {
+            senderId: { type: 'string', example: '201985AAS', description: 'Defaults to OPTUM_SENDER_ID' },
+            payerId: { type: 'string', example: 'BCBSSC' },
+            payerName: { type: 'string', example: 'South Carolina Blue Cross Blue' },
+            callbackUrl: {
+              type: 'string',
+              format: 'uri',
+              description: 'Receives a signed prior-auth.decision webhook when a pended authorization is decided'
+            },
+            requester: {
+              type: 'object',
+              required: ['organizationName', 'npi'],
+              properties: {
+                requesterType: { type: 'string', example: '1P' },
+                organizationName: { type: 'string', example: 'Regional Medical Center' },
+                npi: { type: 'string', pattern: '^\\d{10}$', example: '1234567890' }
+              }
+            },
+            subscriber: {
+              type: 'object',
+              required: ['memberId', 'firstName', 'lastName', 'dateOfBirth'],
+              properties: {
+                memberId: { type: 'string', example: 'ZCS12345678' },
+                firstName: { type: 'string', example: 'BRITTANY' },
+                lastName: { type: 'string', example: 'TEST' },
+                dateOfBirth: { type: 'string', pattern: '^\\d{8}$', example: '19701231' }
+              }
+            },
+            dependent: {
+              type: 'object',
+              description: 'Only when the patient is a dependent of the subscriber',
+              required: ['firstName', 'lastName', 'dateOfBirth'],
+              properties: {
+                firstName: { type: 'string', example: 'MARY' },
+                lastName: { type: 'string', example: 'TEST' },
+                dateOfBirth: { type: 'string', pattern: '^\\d{8}$', example: '20100123' }
+              }
+            },
+            patientEventDetail: {
+              type: 'object',
+              required: ['requestCategoryCode', 'serviceTypeCode', 'eventDateBegin', 'diagnosisCode', 'serviceLevel'],
+              properties: {
+                requestCategoryCode: { type: 'string', enum: ['AR', 'HS', 'SC'], example: 'HS' },
+                certificationTypeCode: { type: 'string', example: 'I' },
+                serviceTypeCode: { type: 'string', example: '1' },
+                facilityTypeCode: { type: 'string', example: '11' },
+                eventDateBegin: { type: 'string', pattern: '^\\d{8}$', example: '20231017' },
+                diagnosisCode: { type: 'string', example: 'R06.02', description: 'ICD-10 code' },
+                serviceLevel: {
+                  type: 'array',
+                  minItems: 1,
+                  items: {
+                    type: 'object',
+                    required: ['professionalService'],
+                    properties: {
+                      requestCategoryCode: { type: 'string', example: 'HS' },
+                      serviceDateBegin: { type: 'string', pattern: '^\\d{8}$', example: '20231017' },
+                      professionalService: {
+                        type: 'object',
+                        required: ['procedureCode'],
+                        properties: {
+                          productOrServiceIDQualifier: { type: 'string', example: 'HC' },
+                          procedureCode: { type: 'string', example: '71260', description: 'CPT or HCPCS code' },
+                          procedureCodeDescription: { type: 'string', example: 'CT scan of chest with contrast' },
+                          serviceLineAmount: { type: 'string', example: '2000.00' }
+                        }
+                      }
                     }
                   }
                 }
               }
+            }
+          }
+        },
+        PriorAuthInquiryRequest: {
+          type: 'object',
+          required: ['payerId', 'requester', 'subscriber', 'patientEventDetail'],
+          properties: {
+            senderId: { type: 'string', example: '201985AAS' },
+            payerId: { type: 'string', example: 'BCBSSC' },
+            requester: { $ref: '#/components/schemas/PriorAuthRequest/properties/requester' },
+            subscriber: { $ref: '#/components/schemas/PriorAuthRequest/properties/subscriber' },
+            dependent: { $ref: '#/components/schemas/PriorAuthRequest/properties/dependent' },
+            patientEventDetail: {
+              type: 'object',
+              required: ['requestCategoryCode', 'serviceTypeCode', 'eventDateBegin'],
+              properties: {
+                requestCategoryCode: { type: 'string', example: 'HS' },
+                serviceTypeCode: { type: 'string', example: '1' },
+                eventDateBegin: { type: 'string', example: '20231017' },
+                previousReviewAuthorizationNumber: { type: 'string', example: 'AUTH123456' },
+                previousAdministrativeReferenceNumber: { type: 'string', example: 'REV789' }
+              }
+            }
+          }
+        },
+        PriorAuthResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            data: {
+              type: 'object',
+              properties: {
+                status: {
+                  type: 'string',
+                  enum: ['approved', 'partially_approved', 'denied', 'pended', 'modified', 'cancelled', 'contact_payer', 'no_action_required', 'rejected', 'unknown'],
+                  example: 'approved'
+                },
+                authorizationId: { type: 'string', example: 'AUTH789012' },
+                reviewIdentificationNumber: { type: 'string', example: 'REV456' },
+                decision: {
+                  type: 'object',
+                  properties: {
+                    certificationActionCode: { type: 'string', nullable: true, example: 'A1' },
+                    reviewDecisionReasonCode: { type: 'string', nullable: true, example: 'A1' },
+                    responseCode: { type: 'string', nullable: true, example: 'A1' },
+                    rejectReasonCode: { type: 'string', nullable: true },
+                    followupActionCode: { type: 'string', nullable: true }
+                  }
+                },
+                certification: {
+                  type: 'object',
+                  properties: {
+                    effectiveDate: { type: 'string', nullable: true, example: '20231017' },
+                    expirationDate: { type: 'string', nullable: true, example: '20231117' }
+                  }
+                },
+                patient: {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string', enum: ['subscriber', 'dependent'] },
+                    memberId: { type: 'string' },
+                    firstName: { type: 'string' },
+                    lastName: { type: 'string' }
+                  }
+                },
+                payerId: { type: 'string', example: 'BCBSSC' },
+                tracking: {
+                  type: 'object',
+                  description: 'Submission only',
+                  properties: {
+                    stored: { type: 'boolean', description: 'Stored for GET /prior-auth/{authorizationId}' },
+                    tracked: { type: 'boolean', description: 'Will be re-checked on a schedule' }
+                  }
+                },
+                record: {
+                  type: 'object',
+                  description: 'GET /prior-auth/{authorizationId} only - stored status history',
+                  properties: {
+                    status: { type: 'string' },
+                    history: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          status: { type: 'string', example: 'pended' },
+                          at: { type: 'string', format: 'date-time' },
+                          source: { type: 'string', enum: ['submission', 'inquiry', 'tracker'] }
+                        }
+                      }
+                    },
+                    checks: { type: 'number' },
+                    lastCheckedAt: { type: 'string', format: 'date-time' }
+                  }
+                }
+              }
             },
             correlationId: { type: 'string' },
             timestamp: { type: 'string', format: 'date-time' }
           }
         },
+        CacheMetadata: {
+          type: 'object',
+          properties: {
+            hit: { type: 'boolean', example: true },
+            key: { type: 'string', example: 'optum:eligibility:eligibility:1x2y3z' },
+            cachedAt: { type: 'string', format: 'date-time' },
+            age: { type: 'string', example: '45s' },
+            ttl: { type: 'number', example: 300, description: 'Seconds; depends on the eligibility outcome' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            stale: { type: 'boolean', example: false, description: 'Entry is past the soft TTL' },
+            revalidating: { type: 'boolean', example: false, description: 'A background refresh was started' },
+            bypassed: { type: 'boolean', example: false, description: 'Cache-Control: no-cache was sent' },
+            coalesced: { type: 'boolean', example: false, description: 'Shared the Optum call of an identical request already in flight' }
+          }
+        },
+        X12Document: {
+          type: 'object',
+          required: ['x12'],
+          properties: {
+            x12: {
+              type: 'string',
+              example: 'ISA*00*          *00*          *ZZ*SUBMITTER      *ZZ*RECEIVER       *240115*1030*^*00501*123456789*0*T*:~GS*HS*...'
+            }
+          }
+        },
+        ApiKeyCreateRequest: {
+          type: 'object',
+          required: ['tenantId', 'name'],
+          properties: {
+            tenantId: { type: 'string', example: 'clinic-042', description: '1-64 letters, digits, ".", "_" or "-"' },
+            name: { type: 'string', example: 'Front desk integration' },
+            scopes: {
+              type: 'array',
+              items: { type: 'string', enum: ['eligibility:read', 'prior-auth:read', 'prior-auth:write', 'admin'] },
+              default: ['eligibility:read', 'prior-auth:write']
+            },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            tenantId: { type: 'string', example: 'clinic-042' },
+            name: { type: 'string', example: 'Front desk integration' },
+            scopes: { type: 'array', items: { type: 'string' }, example: ['eligibility:read', 'prior-auth:write'] },
+            hint: { type: 'string', example: 'opk_Xb3k', description: 'First characters of the key, for identification' },
+            status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true },
+            lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+            revokedAt: { type: 'string', format: 'date-time', nullable: true },
+            rotatedFrom: { type: 'string', nullable: true, description: 'Key this one replaced' },
+            rotatedTo: { type: 'string', nullable: true, description: 'Key that replaced this one' },
+            key: { type: 'string', description: 'Plaintext key, only returned by create and rotate' }
+          }
+        },
+        QuotaUsage: {
+          type: 'object',
+          properties: {
+            period: { type: 'string', example: '2024-01-15', description: 'UTC day (YYYY-MM-DD) or month (YYYY-MM)' },
+            limit: { type: 'integer', nullable: true, example: 5000, description: 'Billable Optum transactions allowed; null = unlimited' },
+            used: { type: 'integer', example: 1280 },
+            remaining: { type: 'integer', nullable: true, example: 3720 },
+            resetsAt: { type: 'string', format: 'date-time' },
+            transactions: {
+              type: 'object',
+              properties: {
+                eligibility: { type: 'integer', example: 1250 },
+                prior_auth_submission: { type: 'integer', example: 20 },
+                prior_auth_inquiry: { type: 'integer', example: 10 }
+              }
+            }
+          }
+        },
+        Usage: {
+          type: 'object',
+          properties: {
+            tenantId: { type: 'string', example: 'clinic-042' },
+            daily: { $ref: '#/components/schemas/QuotaUsage' },
+            monthly: { $ref: '#/components/schemas/QuotaUsage' },
+            rateLimit: {
+              type: 'object',
+              nullable: true,
+              description: 'Current per-tenant request window; null when the tenant limit is disabled',
+              properties: {
+                limit: { type: 'integer', example: 600 },
+                used: { type: 'integer', example: 42 },
+                remaining: { type: 'integer', example: 558 },
+                resetSeconds: { type: 'integer', example: 37 },
+                windowSeconds: { type: 'integer', example: 60 }
+              }
+            }
+          }
+        },
         ServiceType: {
           type: 'object',
           properties: {
@@ -0,0 +1,113 @@
+import cacheService from '../services/CacheService.js';
+import outboundThrottle from '../services/OutboundThrottle.js';
+import { circuitBreakerManager } from '../utils/circuitBreaker.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('AdminController');
+
+const BREAKER_ACTIONS = {
+  open: name => circuitBreakerManager.openBreaker(name),
+  close: name => circuitBreakerManager.closeBreaker(name),
+  reset: name => circuitBreakerManager.resetStats(name)
+};
+
+class AdminController {
+  // State and statistics for every circuit breaker
+  async getCircuitBreakers(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+
+    res.status(200).json({
+      success: true,
+      data: circuitBreakerManager.getAllStats(),
+      correlationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Force a circuit breaker open or closed, or reset its statistics
+  async updateCircuitBreaker(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+    const { name, action } = req.params;
+
+    if (!BREAKER_ACTIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid action: ${action}. Use one of: ${Object.keys(BREAKER_ACTIONS).join(', ')}`,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!circuitBreakerManager.getBreaker(name)) {
+      return res.status(404).json({
+        success: false,
+        error: `Circuit breaker not found: ${name}`,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    BREAKER_ACTIONS[action](name);
+    log.info(`Tenant ${req.tenant.id} ran ${action} on circuit breaker ${name}`, { correlationId });
+
+    res.status(200).json({
+      success: true,
+      data: circuitBreakerManager.getStats(name),
+      correlationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Cache counters since startup
+  async getCacheStats(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+
+    res.status(200).json({
+      success: true,
+      data: cacheService.getStats(),
+      correlationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Outbound throttle queue depth and bucket counters since startup
+  async getThrottleStats(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+
+    res.status(200).json({
+      success: true,
+      data: outboundThrottle.getStats(),
+      correlationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Drop every cached eligibility response
+  async clearCache(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+
+    try {
+      const deleted = await cacheService.clearEligibilityResponses(correlationId);
+      log.info(`Tenant ${req.tenant.id} cleared the eligibility cache`, { correlationId });
+
+      res.status(200).json({
+        success: true,
+        data: { deleted },
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      log.error('Failed to clear eligibility cache', { correlationId, error: error.message });
+
+      res.status(503).json({
+        success: false,
+        error: error.message,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+export default AdminController;
@@ -0,0 +1,120 @@
+import apiKeyService from '../services/ApiKeyService.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('ApiKeyController');
+
+class ApiKeyController {
+  constructor() {
+    this.apiKeyService = apiKeyService;
+  }
+
+  // Issue a key; the plaintext is only returned here and by rotate
+  async createKey(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+
+    try {
+      const { tenantId, name, scopes, expiresAt } = req.body || {};
+      const key = await this.apiKeyService.createKey({ tenantId, name, scopes, expiresAt });
+
+      log.info(`Tenant ${req.tenant.id} created API key ${key.id}`, { correlationId });
+
+      res.status(201).json({
+        success: true,
+        data: key,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, correlationId, 'create API key');
+    }
+  }
+
+  // List keys, optionally filtered by ?tenantId
+  async listKeys(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+
+    try {
+      const keys = await this.apiKeyService.listKeys({ tenantId: req.query.tenantId });
+
+      res.status(200).json({
+        success: true,
+        data: keys,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, correlationId, 'list API keys');
+    }
+  }
+
+  // Issue a replacement key and retire the old one (optionally after a grace period)
+  async rotateKey(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+
+    try {
+      const key = await this.apiKeyService.rotateKey(req.params.id, {
+        gracePeriodSeconds: req.body?.gracePeriodSeconds
+      });
+
+      if (!key) return this.sendNotFound(res, req.params.id, correlationId);
+
+      log.info(`Tenant ${req.tenant.id} rotated API key ${req.params.id}`, { correlationId });
+
+      res.status(201).json({
+        success: true,
+        data: key,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, correlationId, 'rotate API key');
+    }
+  }
+
+  // Revoke a key immediately
+  async revokeKey(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+
+    try {
+      const key = await this.apiKeyService.revokeKey(req.params.id);
+
+      if (!key) return this.sendNotFound(res, req.params.id, correlationId);
+
+      log.info(`Tenant ${req.tenant.id} revoked API key ${req.params.id}`, { correlationId });
+
+      res.status(200).json({
+        success: true,
+        data: key,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, correlationId, 'revoke API key');
+    }
+  }
+
+  sendNotFound(res, id, correlationId) {
+    res.status(404).json({
+      success: false,
+      error: `API key not found: ${id}`,
+      correlationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  sendError(res, error, correlationId, action) {
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    log.error(`Failed to ${action}`, { correlationId, error: error.message });
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details }),
+      correlationId,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default ApiKeyController;
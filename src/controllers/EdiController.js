@@ -0,0 +1,101 @@
+import EligibilityService from '../services/EligibilityService.js';
+import EdiService from '../services/EdiService.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('EdiController');
+
+const X12_CONTENT_TYPE = 'application/edi-x12';
+
+class EdiController {
+  constructor() {
+    this.eligibilityService = new EligibilityService();
+    this.ediService = new EdiService();
+  }
+
+  // Build a 270 from a JSON eligibility request
+  async build270(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+    const startTime = Date.now();
+
+    try {
+      // Fill provider fields from the tenant's defaults, as a live check would
+      const profile = this.eligibilityService.tenantRegistry.resolve(req.tenant.id);
+      const request = this.eligibilityService.applyTenantDefaults(req.body, profile);
+
+      const errors = this.eligibilityService.getValidationErrors(request);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Request validation failed: ${errors.join(', ')}`,
+          details: errors,
+          correlationId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const x12 = this.ediService.build270(this.eligibilityService.prepareOptumRequest(request));
+      log.info('Built X12 270', { correlationId, length: x12.length });
+
+      if (req.accepts(['application/json', X12_CONTENT_TYPE]) === X12_CONTENT_TYPE) {
+        return res.status(200).type(X12_CONTENT_TYPE).send(x12);
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.status(200).json({
+        success: true,
+        data: { x12 },
+        correlationId,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, correlationId, startTime);
+    }
+  }
+
+  // Parse a 271 into the JSON eligibility response shape
+  async parse271(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+    const startTime = Date.now();
+
+    try {
+      // Raw X12 body (text/plain or application/edi-x12) or JSON { x12 }
+      const x12 = typeof req.body === 'string' ? req.body : req.body?.x12;
+      const response = this.ediService.parse271(x12);
+
+      const duration = Date.now() - startTime;
+      log.info('Parsed X12 271', { correlationId, durationMs: duration });
+
+      res.status(200).json({
+        success: true,
+        data: response,
+        correlationId,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, correlationId, startTime);
+    }
+  }
+
+  // Map service errors to HTTP responses
+  sendError(res, error, correlationId, startTime) {
+    const duration = Date.now() - startTime;
+    log.error('EDI request failed', { correlationId, durationMs: duration, error: error.message });
+
+    const statusCode = error.name === 'ValidationError' ? 400 : error.status || 500;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details }),
+      correlationId,
+      duration: `${duration}ms`,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default EdiController;
@@ -1,6 +1,12 @@
 import ServiceTypeManager from '../services/ServiceTypeManager.js';
 import EligibilityService from '../services/EligibilityService.js';
 import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('EligibilityController');
+
+const DETAIL_LEVELS = ['simple', 'full'];
+const FORMATS = ['json', 'x12'];
 
 class EligibilityController {
   constructor() {
@@ -38,7 +44,7 @@ class EligibilityController {
     try {
       const correlationId = req.headers['x-correlation-id'] || uuidv4();
 
-      console.log(`📋 [${correlationId}] Getting service types`);
+      log.info('Getting service types', { correlationId });
 
       const serviceTypes = this.serviceTypeManager.getAllServiceTypes();
 
@@ -50,7 +56,7 @@ class EligibilityController {
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      console.error('❌ Error getting service types:', error.message);
+      log.error('Error getting service types', { error: error.message });
       res.status(500).json({
         success: false,
         error: 'Failed to retrieve service types',
@@ -68,13 +74,40 @@ class EligibilityController {
     const startTime = Date.now();
 
     try {
-      console.log(`🏥 [${correlationId}] Starting eligibility check`);
+      log.info('Starting eligibility check', { correlationId });
+
+      const detail = this.getDetailLevel(req);
+      if (!detail) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid detail level: ${req.query.detail} (expected one of ${DETAIL_LEVELS.join(', ')})`,
+          correlationId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // ?format=x12 exchanges raw X12 270/271 with Optum instead of JSON
+      const format = req.query.format || 'json';
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid format: ${format} (expected one of ${FORMATS.join(', ')})`,
+          correlationId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Cache-Control: no-cache forces a fresh call to Optum
+      const bypassCache = /no-cache/i.test(req.get('Cache-Control') || '');
+
+      // ?priorAuthDraft=true pre-fills prior auth requests for services that need authorization
+      const priorAuthDraft = req.query.priorAuthDraft === 'true';
 
       // Use the EligibilityService to check eligibility
-      const eligibilityResponse = await this.eligibilityService.checkEligibility(req.body, correlationId);
+      const eligibilityResponse = await this.eligibilityService.checkEligibility(req.body, correlationId, { bypassCache, detail, priorAuthDraft, format, tenant: req.tenant.id });
 
       const duration = Date.now() - startTime;
-      console.log(`✅ [${correlationId}] Eligibility check completed in ${duration}ms`);
+      log.info('Eligibility check completed', { correlationId, durationMs: duration });
 
       res.status(200).json({
         success: true,
@@ -86,11 +119,16 @@ class EligibilityController {
 
     } catch (error) {
       const duration = Date.now() - startTime;
-      console.error(`❌ [${correlationId}] Eligibility check failed after ${duration}ms:`, error.message);
+      log.error('Eligibility check failed', { correlationId, durationMs: duration, error: error.message });
 
       // Determine appropriate status code based on error type
       let statusCode = 500;
-      if (error.message.includes('validation failed') || error.message.includes('Invalid service type')) {
+      if (error.name === 'ForbiddenError') {
+        statusCode = 403;
+      } else if (error.name === 'TooManyRequestsError') {
+        statusCode = 429;
+        res.set('Retry-After', String(error.retryAfter));
+      } else if (error.message.includes('validation failed') || error.message.includes('Invalid service type')) {
         statusCode = 400;
       } else if (error.message.includes('authentication') || error.message.includes('unauthorized')) {
         statusCode = 401;
@@ -108,7 +146,59 @@ class EligibilityController {
     }
   }
 
+  // Check eligibility for many requests in one call (e.g. tomorrow's schedule)
+  async checkEligibilityBatch(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+    const startTime = Date.now();
+
+    const detail = this.getDetailLevel(req);
+    const batchErrors = this.eligibilityService.validateBatch(req.body?.requests);
+    if (!detail) {
+      batchErrors.push(`Invalid detail level: ${req.query.detail} (expected one of ${DETAIL_LEVELS.join(', ')})`);
+    }
+    if (batchErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Batch validation failed: ${batchErrors.join(', ')}`,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const bypassCache = /no-cache/i.test(req.get('Cache-Control') || '');
+      const priorAuthDraft = req.query.priorAuthDraft === 'true';
+      const batchResponse = await this.eligibilityService.checkEligibilityBatch(req.body.requests, correlationId, { bypassCache, detail, priorAuthDraft, tenant: req.tenant.id });
+
+      const duration = Date.now() - startTime;
+      log.info('Batch eligibility check completed', { correlationId, durationMs: duration });
 
+      res.status(200).json({
+        success: true,
+        data: batchResponse,
+        correlationId,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      log.error('Batch eligibility check failed', { correlationId, durationMs: duration, error: error.message });
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        correlationId,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // ?detail=simple|full - returns null for unknown levels
+  getDetailLevel(req) {
+    const detail = req.query.detail || 'simple';
+    return DETAIL_LEVELS.includes(detail) ? detail : null;
+  }
 }
 
 export default EligibilityController;
\ No newline at end of file
@@ -0,0 +1,76 @@
+import EligibilityService from '../services/EligibilityService.js';
+import FhirMapper from '../services/FhirMapper.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('FhirController');
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+class FhirController {
+  constructor() {
+    this.eligibilityService = new EligibilityService();
+    this.fhirMapper = new FhirMapper();
+  }
+
+  // Run an eligibility check for a FHIR CoverageEligibilityRequest
+  async checkEligibility(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+    const startTime = Date.now();
+
+    try {
+      const eligibilityRequest = this.fhirMapper.toEligibilityRequest(req.body);
+
+      // Full detail so items can carry deductibles, copays and coinsurance
+      const result = await this.eligibilityService.checkEligibility(eligibilityRequest, correlationId, { detail: 'full', tenant: req.tenant.id });
+
+      const duration = Date.now() - startTime;
+
+      if (result.eligibilityStatus === 'error') {
+        log.warn('FHIR eligibility check rejected by payer', { correlationId, durationMs: duration });
+        return this.sendResource(res, 422, this.fhirMapper.toOperationOutcome(this.fhirMapper.toPayerIssues(result)));
+      }
+
+      log.info('FHIR eligibility check completed', { correlationId, durationMs: duration });
+      this.sendResource(res, 200, this.fhirMapper.toCoverageEligibilityResponse(req.body, eligibilityRequest, result));
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      log.error('FHIR eligibility check failed', { correlationId, durationMs: duration, error: error.message });
+
+      let statusCode = 500;
+      let issues = [{ severity: 'error', code: 'exception', diagnostics: error.message }];
+
+      if (error.name === 'ValidationError') {
+        statusCode = 400;
+        issues = error.details || [{ severity: 'error', code: 'invalid', diagnostics: error.message }];
+      } else if (error.message.includes('validation failed') || error.message.includes('Invalid service type')) {
+        statusCode = 400;
+        issues = [{ severity: 'error', code: 'invalid', diagnostics: error.message }];
+      } else if (error.name === 'ForbiddenError') {
+        statusCode = 403;
+        issues = [{ severity: 'error', code: 'forbidden', diagnostics: error.message }];
+      } else if (error.name === 'TooManyRequestsError') {
+        statusCode = 429;
+        issues = [{ severity: 'error', code: 'throttled', diagnostics: error.message }];
+        res.set('Retry-After', String(error.retryAfter));
+      } else if (error.message.includes('Rate limited')) {
+        statusCode = 429;
+        issues = [{ severity: 'error', code: 'throttled', diagnostics: error.message }];
+      }
+
+      this.sendResource(res, statusCode, this.fhirMapper.toOperationOutcome(issues));
+    }
+  }
+
+  // GET /fhir/metadata
+  async getCapabilityStatement(req, res) {
+    const baseUrl = `${req.protocol}://${req.get('host')}/fhir`;
+    this.sendResource(res, 200, this.fhirMapper.getCapabilityStatement(baseUrl));
+  }
+
+  sendResource(res, statusCode, resource) {
+    res.status(statusCode).type(FHIR_CONTENT_TYPE).json(resource);
+  }
+}
+
+export default FhirController;
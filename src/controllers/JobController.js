@@ -0,0 +1,78 @@
+import jobService from '../services/JobService.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('JobController');
+
+class JobController {
+  constructor() {
+    this.jobService = jobService;
+  }
+
+  // Create an asynchronous eligibility job (one or many requests)
+  async createJob(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+
+    try {
+      const { request, requests, callbackUrl } = req.body || {};
+      const jobRequests = requests || (request ? [request] : null);
+
+      const job = await this.jobService.createJob(jobRequests, { callbackUrl, correlationId, tenant: req.tenant.id });
+
+      res.status(202)
+        .location(`/eligibility/jobs/${job.id}`)
+        .json({
+          success: true,
+          data: job,
+          correlationId,
+          timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+      const statusCode = error.name === 'ValidationError' ? 400 : 500;
+      log.error('Failed to create eligibility job', { correlationId, error: error.message });
+
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Get job status and any results so far
+  async getJob(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+
+    try {
+      const job = await this.jobService.getJob(req.params.id, req.tenant.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Job not found: ${req.params.id}`,
+          correlationId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: job,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      log.error('Failed to get eligibility job', { correlationId, error: error.message });
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+export default JobController;
@@ -0,0 +1,11 @@
+import { metrics, CONTENT_TYPE } from '../utils/metrics.js';
+
+class MetricsController {
+  // Every metric of this replica in the Prometheus text format
+  async getMetrics(req, res) {
+    res.set('Content-Type', CONTENT_TYPE);
+    res.status(200).send(await metrics.render());
+  }
+}
+
+export default MetricsController;
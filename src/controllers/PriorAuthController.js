@@ -0,0 +1,148 @@
+import priorAuthTracker from '../services/PriorAuthTracker.js';
+import webhookService from '../services/WebhookService.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PriorAuthController');
+
+class PriorAuthController {
+  constructor() {
+    this.priorAuthTracker = priorAuthTracker;
+    this.priorAuthService = priorAuthTracker.priorAuthService;
+  }
+
+  // Submit a new prior authorization request
+  async submit(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+    const startTime = Date.now();
+
+    try {
+      // callbackUrl is ours, not Optum's - keep it out of the submission
+      const { callbackUrl, ...submission } = req.body || {};
+      if (callbackUrl) {
+        const callbackError = await webhookService.validateCallbackUrl(callbackUrl);
+        if (callbackError) {
+          throw new ValidationError(callbackError);
+        }
+      }
+
+      const result = await this.priorAuthService.submit(submission, correlationId, { tenant: req.tenant.id });
+
+      // The submission already reached Optum - a storage failure must not fail the response
+      try {
+        result.tracking = await this.priorAuthTracker.saveSubmission(submission, result, { callbackUrl, tenant: req.tenant.id });
+      } catch (error) {
+        log.error(`Failed to store prior authorization ${result.authorizationId}`, { correlationId, error: error.message });
+        result.tracking = { stored: false, tracked: false };
+      }
+
+      const duration = Date.now() - startTime;
+      log.info('Prior authorization submitted', { correlationId, durationMs: duration, status: result.status });
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        correlationId,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, correlationId, startTime);
+    }
+  }
+
+  // Check the status of a stored authorization by its ID
+  async getStatus(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+    const startTime = Date.now();
+
+    try {
+      const checked = await this.priorAuthTracker.check(req.params.authorizationId, correlationId, req.tenant.id);
+
+      if (!checked) {
+        return res.status(404).json({
+          success: false,
+          error: `Prior authorization not found: ${req.params.authorizationId}`,
+          message: 'Only authorizations your tenant submitted through this service can be looked up by ID - use POST /prior-auth/inquiry otherwise',
+          correlationId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...checked.result,
+          record: this.priorAuthTracker.toPublicView(checked.record)
+        },
+        correlationId,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, correlationId, startTime);
+    }
+  }
+
+  // Inquire on any authorization with a full inquiry request
+  async inquire(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+    const startTime = Date.now();
+
+    try {
+      const result = await this.priorAuthService.inquire(req.body, correlationId, { tenant: req.tenant.id });
+
+      // Keep the stored record in step if this authorization was submitted here
+      if (result.authorizationId) {
+        try {
+          await this.priorAuthTracker.recordStatus(result.authorizationId, result, 'inquiry', req.tenant.id);
+        } catch (error) {
+          log.error('Failed to record prior authorization status', { correlationId, error: error.message });
+        }
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        correlationId,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, correlationId, startTime);
+    }
+  }
+
+  // Map service errors to HTTP responses
+  sendError(res, error, correlationId, startTime) {
+    const duration = Date.now() - startTime;
+    log.error('Prior authorization request failed', { correlationId, durationMs: duration, error: error.message });
+
+    let statusCode = error.status || 500;
+    if (error.name === 'ValidationError') {
+      statusCode = 400;
+    } else if (error.message.includes('unavailable')) {
+      statusCode = 503;
+    }
+
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details }),
+      correlationId,
+      duration: `${duration}ms`,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export default PriorAuthController;
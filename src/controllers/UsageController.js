@@ -0,0 +1,60 @@
+import rateLimitService from '../services/RateLimitService.js';
+import tenantRegistry from '../services/TenantRegistry.js';
+import config from '../utils/config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('UsageController');
+
+class UsageController {
+  // Transaction counts against quotas, plus the tenant's current rate limit window
+  async getUsage(req, res) {
+    const correlationId = req.headers['x-correlation-id'] || uuidv4();
+    const tenantId = req.query.tenantId || req.tenant.id;
+
+    // Other tenants' usage is for operators only
+    if (tenantId !== req.tenant.id && !req.tenant.scopes?.includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope: admin is required to view another tenant\'s usage',
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const profile = tenantRegistry.resolve(tenantId);
+      const { limit, windowMs } = config.rateLimit.tenant;
+
+      const [usage, rateLimit] = await Promise.all([
+        rateLimitService.getUsage(profile),
+        limit > 0 ? rateLimitService.getWindow('tenant', [tenantId], limit, windowMs) : null
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: { ...usage, rateLimit },
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      log.error(`Failed to read usage for tenant ${tenantId}`, { correlationId, error: error.message });
+
+      let statusCode = 500;
+      if (error.name === 'ForbiddenError') {
+        statusCode = 403;
+      } else if (error.message.includes('Redis not connected')) {
+        statusCode = 503;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        correlationId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+export default UsageController;
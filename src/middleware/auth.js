@@ -1,9 +1,63 @@
+import crypto from 'crypto';
+import apiKeyService, { SCOPES, IMPLIED_SCOPES } from '../services/ApiKeyService.js';
+import jwtVerifier from '../services/JwtVerifier.js';
+import { ForbiddenError } from './errorHandler.js';
+import { countAuthFailure } from './rateLimit.js';
 import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
 
-// Authentication middleware - uses hardcoded token for POC
-export function authenticateToken(req, res, next) {
+const log = createLogger('auth');
+
+// Bearer token from the Authorization header
+function getBearerToken(req) {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+}
+
+// Constant-time comparison of a bearer token with a configured secret
+function tokensMatch(secret, token) {
+  if (!secret || !token) return false;
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// API_TOKEN, when set, authenticates as a bootstrap tenant with every scope
+function matchesStaticToken(token) {
+  return tokensMatch(config.apiKeys.staticToken, token);
+}
+
+/**
+ * Resolve a bearer token to a tenant
+ * Tokens are tried as the static API_TOKEN, then as an IdP JWT (when JWT_ISSUER and
+ * a JWKS are configured), then as an API key.
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object|null>} { id, keyId, keyName, scopes, authType } or null if not valid
+ * @throws {UnauthorizedError} When a JWT fails validation
+ */
+async function resolveTenant(token) {
+  if (matchesStaticToken(token)) {
+    return {
+      id: config.apiKeys.staticTenantId,
+      keyId: null,
+      keyName: 'API_TOKEN',
+      scopes: [...SCOPES],
+      authType: 'static'
+    };
+  }
+
+  if (jwtVerifier.enabled && jwtVerifier.isJwt(token)) {
+    return jwtVerifier.authenticate(token);
+  }
+
+  return apiKeyService.authenticate(token);
+}
+
+// Authentication middleware - resolves API keys and IdP JWTs to tenants and sets req.tenant
+// Rejected tokens count against the client IP; past the auth-failure limit they get a 429 instead of a 403.
+export async function authenticateToken(req, res, next) {
+  const token = getBearerToken(req);
 
   if (!token) {
     return res.status(401).json({
@@ -14,30 +68,94 @@ export function authenticateToken(req, res, next) {
     });
   }
 
-  // For POC, validate against hardcoded token
-  if (token !== config.server.apiToken) {
+  let tenant;
+  try {
+    tenant = await resolveTenant(token);
+  } catch (error) {
+    if (error.name === 'UnauthorizedError') {
+      const throttled = await countAuthFailure(req);
+      if (throttled) return next(throttled);
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid access token',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    log.error('Token verification failed', { correlationId: req.correlationId, error: error.message });
+    return res.status(503).json({
+      success: false,
+      error: 'Authentication unavailable',
+      message: 'Access tokens cannot be verified right now, please retry',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!tenant) {
+    const throttled = await countAuthFailure(req);
+    if (throttled) return next(throttled);
     return res.status(403).json({
       success: false,
       error: 'Invalid access token',
-      message: 'The provided token is not valid',
+      message: 'The provided token is not valid, or has been revoked or has expired',
       timestamp: new Date().toISOString()
     });
   }
 
   // Token is valid, continue to next middleware
+  req.tenant = tenant;
   next();
 }
 
+/**
+ * Scope-based authorization; use after authenticateToken
+ * The caller must hold every listed scope; prior-auth:write also grants prior-auth:read.
+ * Denials go to the global error handler as ForbiddenError.
+ * @param {...string} scopes - Required scopes (eligibility:read, prior-auth:read, prior-auth:write, admin)
+ * @returns {Function} Express middleware
+ */
+export function requireScope(...scopes) {
+  return (req, res, next) => {
+    const held = req.tenant?.scopes || [];
+    const granted = [...held, ...held.flatMap(scope => IMPLIED_SCOPES[scope] || [])];
+    const missing = scopes.filter(scope => !granted.includes(scope));
+
+    if (missing.length > 0) {
+      log.warn(`Tenant ${req.tenant?.id || 'anonymous'} lacks scope ${missing.join(', ')} for ${req.method} ${req.originalUrl}`, { correlationId: req.correlationId });
+      return next(new ForbiddenError(`This endpoint requires the ${missing.join(', ')} scope`));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Guard for GET /metrics - a scraper is not a tenant, so it has its own token
+ * Requires METRICS_TOKEN as the bearer token when set; passes every request otherwise.
+ */
+export function requireMetricsToken(req, res, next) {
+  const metricsToken = config.metrics.token;
+  if (!metricsToken || tokensMatch(metricsToken, getBearerToken(req))) return next();
+
+  res.status(401).json({
+    success: false,
+    error: 'Metrics token is required',
+    message: 'Please provide METRICS_TOKEN as a Bearer token in the Authorization header',
+    timestamp: new Date().toISOString()
+  });
+}
+
 // Optional authentication middleware
-export function optionalAuth(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+export async function optionalAuth(req, res, next) {
+  const token = getBearerToken(req);
 
-  if (token && token === config.server.apiToken) {
-    req.authenticated = true;
-  } else {
-    req.authenticated = false;
+  try {
+    req.tenant = token ? await resolveTenant(token) : null;
+  } catch (error) {
+    req.tenant = null;
   }
+  req.authenticated = Boolean(req.tenant);
 
   next();
-}
\ No newline at end of file
+}
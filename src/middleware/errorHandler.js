@@ -1,4 +1,7 @@
 import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('errorHandler');
 
 // Async error wrapper
 export function asyncHandler(fn) {
@@ -20,8 +23,9 @@ export function globalErrorHandler(error, req, res, next) {
     const correlationId = req.correlationId || 'unknown';
     
     // Log error details
-    console.error(`❌ [${correlationId}] Error:`, {
-        message: error.message,
+    log.error('Request failed', {
+        correlationId: req.correlationId,
+        error: error.message,
         stack: error.stack,
         url: req.originalUrl,
         method: req.method,
@@ -43,6 +47,10 @@ export function globalErrorHandler(error, req, res, next) {
         };
     }
 
+    if (errorResponse.retryAfter) {
+        res.set('Retry-After', String(errorResponse.retryAfter));
+    }
+
     res.status(errorResponse.statusCode).json(errorResponse);
 }
 
@@ -80,7 +88,7 @@ function categorizeError(error, correlationId) {
             ...baseResponse,
             statusCode: 403,
             error: 'Forbidden',
-            message: 'Insufficient permissions',
+            message: error.message || 'Insufficient permissions',
             type: 'auth_error'
         };
     }
@@ -110,7 +118,7 @@ function categorizeError(error, correlationId) {
             ...baseResponse,
             statusCode: 429,
             error: 'Too Many Requests',
-            message: 'Rate limit exceeded',
+            message: error.message || 'Rate limit exceeded',
             type: 'rate_limit_error',
             retryAfter: error.retryAfter || 60
         };
@@ -0,0 +1,94 @@
+import idempotencyService from '../services/IdempotencyService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('idempotency');
+
+// Printable ASCII without spaces, like the IETF Idempotency-Key draft's examples
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// A 502 or 504 from a submission may have reached the payer - replayed, never resubmitted
+const MAYBE_SUBMITTED_STATUS_CODES = [502, 504];
+
+function sendError(req, res, statusCode, error) {
+  res.status(statusCode).json({
+    success: false,
+    error,
+    correlationId: req.correlationId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Idempotency-Key handling for POST routes; use after authenticateToken and tenantRateLimit
+ * Requests without the header pass through. The first request with a key runs and its
+ * response is stored; retries with the same key and body get that response back with
+ * Idempotent-Replayed: true, even when the client gave up on the first one. The same key
+ * with a different body is rejected with 422, and a retry while the first request is
+ * still running with 409. Responses the request can be retried after are not stored.
+ * @param {Function} isRetryable - Called with the response status code
+ * @returns {Function} Express middleware
+ */
+function createIdempotency(isRetryable) {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey === undefined) return next();
+
+    if (!KEY_PATTERN.test(idempotencyKey)) {
+      return sendError(req, res, 400, 'Idempotency-Key must be 1-255 printable ASCII characters without spaces');
+    }
+
+    const correlationId = req.correlationId || 'unknown';
+    const tenantId = req.tenant.id;
+    const route = `${req.method} ${req.baseUrl}${req.route.path}`;
+    const fingerprint = idempotencyService.getFingerprint(req.body, req.query);
+
+    let result;
+    try {
+      result = await idempotencyService.begin(tenantId, route, idempotencyKey, fingerprint);
+    } catch (error) {
+      log.error(`Idempotency-Key ${idempotencyKey} could not be checked`, { correlationId, error: error.message });
+      res.set('Retry-After', '1');
+      return sendError(req, res, 503, 'Idempotency-Key cannot be honored right now; retry later or send the request without it');
+    }
+
+    if (result.state === 'mismatch') {
+      log.warn(`Idempotency-Key ${idempotencyKey} reused with a different request on ${route}`, { correlationId });
+      return sendError(req, res, 422, 'Idempotency-Key was already used with a different request body');
+    }
+
+    if (result.state === 'in_progress') {
+      log.warn(`Idempotency-Key ${idempotencyKey} is still being processed on ${route}`, { correlationId });
+      res.set('Retry-After', '1');
+      return sendError(req, res, 409, 'A request with this Idempotency-Key is still being processed');
+    }
+
+    if (result.state === 'completed') {
+      log.info(`Replaying stored response for Idempotency-Key ${idempotencyKey} on ${route}`, { correlationId });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(result.statusCode).json(result.body);
+    }
+
+    // Store the response as it is sent - whether or not the client is still connected
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const stored = isRetryable(res.statusCode)
+        ? idempotencyService.release(tenantId, route, idempotencyKey)
+        : idempotencyService.complete(tenantId, route, idempotencyKey, fingerprint, res.statusCode, body);
+
+      stored.catch(error => {
+        log.error(`Failed to store response for Idempotency-Key ${idempotencyKey}`, { correlationId, error: error.message });
+      });
+
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+// Eligibility reads change nothing at the payer, so rate limits and server errors free the key
+export const idempotency = createIdempotency(statusCode => statusCode === 429 || statusCode >= 500);
+
+// Prior auth submissions keep a 502 or 504, which may have been submitted, for replay
+export const submissionIdempotency = createIdempotency(statusCode => statusCode === 429
+  || (statusCode >= 500 && !MAYBE_SUBMITTED_STATUS_CODES.includes(statusCode)));
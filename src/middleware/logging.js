@@ -1,56 +1,51 @@
 import { v4 as uuidv4 } from 'uuid';
+import { trace } from '@opentelemetry/api';
+import { correlationIdFromTrace } from '../utils/tracing.js';
+import config from '../utils/config.js';
+import { createLogger, runWithLogContext } from '../utils/logger.js';
 
-// Add correlation ID to requests for tracing
+const log = createLogger('logging');
+
+// Add correlation ID to requests for tracing; use after traceRequest
+// Without an X-Correlation-ID header the trace ID is used, so logs and traces share one ID.
+// Everything logged while the request runs carries the correlation ID.
 export function addCorrelationId(req, res, next) {
-  req.correlationId = req.headers['x-correlation-id'] || uuidv4();
+  req.correlationId = req.headers['x-correlation-id'] || correlationIdFromTrace() || uuidv4();
+  // Controllers read the header
+  req.headers['x-correlation-id'] = req.correlationId;
+  trace.getActiveSpan()?.setAttribute('correlation.id', req.correlationId);
   res.setHeader('X-Correlation-ID', req.correlationId);
-  next();
+  runWithLogContext({ correlationId: req.correlationId }, next);
 }
 
-// Simple request logging middleware
+/**
+ * Log each request and its outcome
+ * Bodies carry PHI under key names no policy can know in advance, so they are only
+ * logged when LOG_REQUEST_BODIES=true, at debug and through the redaction policy.
+ */
 export function requestLogger(req, res, next) {
   const startTime = Date.now();
-  
-  console.log(`📥 [${req.correlationId}] ${req.method} ${req.path} - Request started`);
-  
-  // Log request body for POST/PUT requests (excluding sensitive data)
-  if (['POST', 'PUT', 'PATCH'].includes(req.method) && req.body) {
-    const sanitizedBody = sanitizeRequestBody(req.body);
-    console.log(`📝 [${req.correlationId}] Request body:`, JSON.stringify(sanitizedBody, null, 2));
-  }
+  // Bound explicitly; the finish event fires outside the request's log context
+  const requestLog = log.child({ correlationId: req.correlationId, method: req.method, path: req.path });
 
-  // Override res.json to log responses
-  const originalJson = res.json;
-  res.json = function(body) {
-    const duration = Date.now() - startTime;
-    console.log(`📤 [${req.correlationId}] ${req.method} ${req.path} - ${res.statusCode} (${duration}ms)`);
-    
-    // Log response body for errors or debug mode
-    if (res.statusCode >= 400 || process.env.LOG_LEVEL === 'debug') {
-      console.log(`📋 [${req.correlationId}] Response:`, JSON.stringify(body, null, 2));
+  requestLog.info('Request started');
+
+  if (config.logging.logBodies) {
+    if (['POST', 'PUT', 'PATCH'].includes(req.method) && req.body) {
+      requestLog.debug('Request body', { body: req.body });
     }
-    
-    return originalJson.call(this, body);
-  };
+
+    // Override res.json to log responses
+    const originalJson = res.json;
+    res.json = function(body) {
+      requestLog.debug('Response body', { status: res.statusCode, body });
+      return originalJson.call(this, body);
+    };
+  }
+
+  res.on('finish', () => {
+    requestLog.info('Request completed', { status: res.statusCode, durationMs: Date.now() - startTime });
+  });
 
   next();
 }
-
-// Sanitize request body by removing sensitive information
-function sanitizeRequestBody(body) {
-  const sensitiveFields = ['ssn', 'password', 'token', 'secret'];
-  const sanitized = JSON.parse(JSON.stringify(body));
-  
-  function sanitizeObject(obj) {
-    for (const key in obj) {
-      if (typeof obj[key] === 'object' && obj[key] !== null) {
-        sanitizeObject(obj[key]);
-      } else if (sensitiveFields.some(field => key.toLowerCase().includes(field))) {
-        obj[key] = '***REDACTED***';
-      }
-    }
-  }
-  
-  sanitizeObject(sanitized);
-  return sanitized;
-}
\ No newline at end of file
@@ -0,0 +1,38 @@
+import { metrics } from '../utils/metrics.js';
+
+const httpRequests = metrics.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests served, by method, route and status',
+  labelNames: ['method', 'route', 'status']
+});
+
+// Eligibility checks that reach Optum take seconds, cache hits milliseconds
+const httpRequestDuration = metrics.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+});
+
+/**
+ * Count requests and time them for /metrics
+ * Requests are labelled with the route pattern (e.g. /prior-auth/:authorizationId),
+ * never the raw path, so IDs in URLs do not create new series. Requests no route
+ * matched (404s, early rejections) share the route "unmatched".
+ */
+export function requestMetrics(req, res, next) {
+  const startedAt = performance.now();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode
+    };
+
+    httpRequests.inc(labels);
+    httpRequestDuration.observeSince(labels, startedAt);
+  });
+
+  next();
+}
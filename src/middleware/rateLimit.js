@@ -0,0 +1,120 @@
+import rateLimitService from '../services/RateLimitService.js';
+import { TooManyRequestsError } from './errorHandler.js';
+import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('rateLimit');
+
+// Request attributes a policy can be keyed by
+const IDENTITIES = {
+  // Client address behind TRUST_PROXY proxy hops
+  ip: req => req.ip,
+  tenant: req => req.tenant?.id,
+  // API key, or JWT subject for IdP tokens
+  credential: req => req.tenant?.keyId || req.tenant?.subject || req.tenant?.authType,
+  route: req => `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+  payer: req => req.body?.tradingPartnerServiceId || req.body?.payerId
+};
+
+// Headers follow the policy closest to its limit; a request over any limit reports that one
+function pickTightest(results) {
+  const exceeded = results.filter(result => result.count > result.limit);
+  if (exceeded.length > 0) {
+    return exceeded.reduce((a, b) => (b.resetMs > a.resetMs ? b : a));
+  }
+  return results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+}
+
+/**
+ * Redis-backed rate limiting shared by every replica
+ * Each policy counts requests in a fixed window keyed by the listed request attributes.
+ * Policies whose key is incomplete (e.g. no payer in the body) are skipped. Sets the
+ * RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers;
+ * over-limit requests go to the global error handler as TooManyRequestsError, which
+ * adds Retry-After.
+ * @param {Object[]} policies - { name, limit, windowMs, keyBy, skip } - limit 0 disables a policy
+ * @returns {Function} Express middleware
+ */
+export function rateLimit(policies) {
+  const active = policies.filter(policy => policy.limit > 0);
+
+  return async (req, res, next) => {
+    const results = [];
+
+    for (const policy of active) {
+      if (policy.skip?.(req)) continue;
+
+      const identity = policy.keyBy.map(name => IDENTITIES[name](req));
+      if (identity.some(value => !value)) continue;
+
+      const result = await rateLimitService.hit(policy.name, identity, policy.limit, policy.windowMs);
+      if (result) results.push({ ...result, policy });
+    }
+
+    if (results.length === 0) return next();
+
+    const tightest = pickTightest(results);
+    const resetSeconds = Math.ceil(tightest.resetMs / 1000);
+
+    res.set({
+      'RateLimit-Limit': String(tightest.limit),
+      'RateLimit-Remaining': String(tightest.remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': results.map(({ policy }) => `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`).join(', ')
+    });
+
+    if (tightest.count > tightest.limit) {
+      const { policy } = tightest;
+      log.warn(`${req.tenant ? `Tenant ${req.tenant.id}` : `IP ${req.ip}`} hit the ${policy.name} rate limit on ${req.method} ${req.originalUrl}`, { correlationId: req.correlationId });
+      return next(new TooManyRequestsError(
+        `Rate limit exceeded: ${policy.limit} requests per ${Math.ceil(policy.windowMs / 1000)}s (${policy.name})`,
+        resetSeconds
+      ));
+    }
+
+    next();
+  };
+}
+
+const ipPolicy = { name: 'ip', keyBy: ['ip'], ...config.rateLimit.ip };
+
+// Anonymous traffic, per client IP. Requests with a bearer token are limited per tenant once
+// authenticated, and per IP by the auth-failure policy while their tokens are rejected.
+export const ipRateLimit = rateLimit([
+  { ...ipPolicy, skip: req => Boolean(req.headers['authorization']) }
+]);
+
+// Routes that never authenticate; counts the requests ipRateLimit passed over for their
+// Authorization header, so a junk header does not lift the per-IP limit there
+export const publicRateLimit = rateLimit([
+  { ...ipPolicy, skip: req => !req.headers['authorization'] }
+]);
+
+const authFailurePolicy = { name: 'auth-failure', ...config.rateLimit.authFailure };
+
+/**
+ * Count a rejected bearer token against the client IP; authenticateToken calls it
+ * Only rejections are counted and refused, so a token that authenticates still passes
+ * from an IP over the limit. Fails open while Redis is unreachable.
+ * @param {Object} req - Express request
+ * @returns {Promise<TooManyRequestsError|null>} Error to send instead of the 403, or null
+ */
+export async function countAuthFailure(req) {
+  if (authFailurePolicy.limit <= 0) return null;
+
+  const result = await rateLimitService.hit(authFailurePolicy.name, [IDENTITIES.ip(req)], authFailurePolicy.limit, authFailurePolicy.windowMs);
+  if (!result || result.count <= result.limit) return null;
+
+  log.warn(`IP ${req.ip} hit the auth-failure rate limit on ${req.method} ${req.originalUrl}`, { correlationId: req.correlationId });
+  return new TooManyRequestsError(
+    `Too many failed authentications: ${authFailurePolicy.limit} per ${Math.ceil(authFailurePolicy.windowMs / 1000)}s (auth-failure)`,
+    Math.ceil(result.resetMs / 1000)
+  );
+}
+
+// Authenticated routes; use after authenticateToken
+export const tenantRateLimit = rateLimit([
+  { name: 'tenant', keyBy: ['tenant'], ...config.rateLimit.tenant },
+  { name: 'route', keyBy: ['tenant', 'credential', 'route'], ...config.rateLimit.route },
+  { name: 'payer', keyBy: ['tenant', 'payer'], ...config.rateLimit.payer }
+]);
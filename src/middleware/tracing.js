@@ -0,0 +1,57 @@
+import { context, propagation, trace, ROOT_CONTEXT, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+import {
+  ATTR_HTTP_REQUEST_METHOD,
+  ATTR_HTTP_RESPONSE_STATUS_CODE,
+  ATTR_HTTP_ROUTE,
+  ATTR_URL_PATH
+} from '@opentelemetry/semantic-conventions';
+import { tracer } from '../utils/tracing.js';
+
+/**
+ * Server span for each request; use before addCorrelationId
+ * Continues the caller's trace when it sends a W3C traceparent header and starts a
+ * new one otherwise. Everything the request runs - services, retries, Optum calls -
+ * happens inside this span. Mount after body parsing: the parser's stream callbacks
+ * would lose the active span.
+ */
+export function traceRequest(req, res, next) {
+  const parentContext = propagation.extract(ROOT_CONTEXT, req.headers);
+  const span = tracer.startSpan(req.method, {
+    kind: SpanKind.SERVER,
+    attributes: {
+      [ATTR_HTTP_REQUEST_METHOD]: req.method,
+      [ATTR_URL_PATH]: req.path
+    }
+  }, parentContext);
+
+  let ended = false;
+  const end = () => {
+    if (ended) return;
+    ended = true;
+
+    // Named after the route pattern once one matched, e.g. GET /prior-auth/:authorizationId
+    if (req.route) {
+      const route = `${req.baseUrl}${req.route.path}`;
+      span.updateName(`${req.method} ${route}`);
+      span.setAttribute(ATTR_HTTP_ROUTE, route);
+    }
+    if (req.tenant) {
+      span.setAttribute('tenant.id', req.tenant.id);
+    }
+
+    if (res.writableFinished) {
+      span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, res.statusCode);
+      if (res.statusCode >= 500) {
+        span.setStatus({ code: SpanStatusCode.ERROR });
+      }
+    } else {
+      span.setStatus({ code: SpanStatusCode.ERROR, message: 'Client closed the connection before the response was sent' });
+    }
+    span.end();
+  };
+
+  res.on('finish', end);
+  res.on('close', end);
+
+  context.with(trace.setSpan(parentContext, span), next);
+}
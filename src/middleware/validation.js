@@ -27,15 +27,15 @@
 //     next();
 // }
 
-// Validate correlation ID format (UUID v4)
+// Validate correlation ID format (UUID layout - IDs taken from trace IDs are not v4)
 export function validateCorrelationId(req, res, next) {
     const correlationId = req.headers['x-correlation-id'];
     if (correlationId) {
-        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
         if (!uuidRegex.test(correlationId)) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid correlation ID format. Must be a valid UUID v4.',
+                error: 'Invalid correlation ID format. Must be a UUID.',
                 correlationId: req.correlationId,
                 timestamp: new Date().toISOString()
             });
@@ -0,0 +1,126 @@
+import express from 'express';
+import AdminController from '../controllers/AdminController.js';
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+import { tenantRateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+const adminController = new AdminController();
+
+/**
+ * @swagger
+ * /admin/circuit-breakers:
+ *   get:
+ *     summary: Circuit breaker state and statistics
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [admin]
+ *     responses:
+ *       200:
+ *         description: Statistics keyed by breaker name (optum-auth, optum-eligibility, optum-prior-auth, redis)
+ *       403:
+ *         description: Invalid token or missing admin scope
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.get('/admin/circuit-breakers', authenticateToken, requireScope('admin'), tenantRateLimit, adminController.getCircuitBreakers.bind(adminController));
+
+/**
+ * @swagger
+ * /admin/circuit-breakers/{name}/{action}:
+ *   post:
+ *     summary: Open, close or reset a circuit breaker
+ *     description: |
+ *       `open` rejects calls until the breaker is closed or its reset timeout passes, `close` resumes
+ *       calls immediately and `reset` clears the breaker's statistics.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [admin]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: optum-eligibility
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [open, close, reset]
+ *     responses:
+ *       200:
+ *         description: Breaker statistics after the action
+ *       400:
+ *         description: Unknown action
+ *       403:
+ *         description: Invalid token or missing admin scope
+ *       404:
+ *         description: Unknown circuit breaker
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.post('/admin/circuit-breakers/:name/:action', authenticateToken, requireScope('admin'), tenantRateLimit, adminController.updateCircuitBreaker.bind(adminController));
+
+/**
+ * @swagger
+ * /admin/cache:
+ *   get:
+ *     summary: Eligibility cache statistics
+ *     description: Hit, miss, set and error counters since this replica started
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [admin]
+ *     responses:
+ *       200:
+ *         description: Cache statistics
+ *       403:
+ *         description: Invalid token or missing admin scope
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ *   delete:
+ *     summary: Clear the eligibility cache
+ *     description: Removes every cached eligibility response. Optum access tokens are kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [admin]
+ *     responses:
+ *       200:
+ *         description: Number of entries removed
+ *       403:
+ *         description: Invalid token or missing admin scope
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ *       503:
+ *         description: Redis unavailable
+ */
+router.get('/admin/cache', authenticateToken, requireScope('admin'), tenantRateLimit, adminController.getCacheStats.bind(adminController));
+router.delete('/admin/cache', authenticateToken, requireScope('admin'), tenantRateLimit, adminController.clearCache.bind(adminController));
+
+/**
+ * @swagger
+ * /admin/throttle:
+ *   get:
+ *     summary: Outbound Optum throttle statistics
+ *     description: |
+ *       Calls queued for a throttle slot on this replica (`queueDepth`) and, per token bucket,
+ *       the calls waiting now plus acquired, delayed and rejected counts since this replica started.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [admin]
+ *     responses:
+ *       200:
+ *         description: Throttle statistics
+ *       403:
+ *         description: Invalid token or missing admin scope
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.get('/admin/throttle', authenticateToken, requireScope('admin'), tenantRateLimit, adminController.getThrottleStats.bind(adminController));
+
+export default router;
@@ -0,0 +1,172 @@
+import express from 'express';
+import ApiKeyController from '../controllers/ApiKeyController.js';
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+import { tenantRateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+const apiKeyController = new ApiKeyController();
+
+/**
+ * @swagger
+ * /admin/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       Issues a key for a tenant. The plaintext `key` is only returned in this response;
+ *       the API stores a SHA-256 hash of it. Requires the admin scope.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKeyCreateRequest'
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or missing admin scope
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ *   get:
+ *     summary: List API keys
+ *     description: Lists keys newest first, without their secrets. Requires the admin scope.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [admin]
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: Only list keys for this tenant
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: Invalid token or missing admin scope
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.post('/admin/api-keys', authenticateToken, requireScope('admin'), tenantRateLimit, apiKeyController.createKey.bind(apiKeyController));
+router.get('/admin/api-keys', authenticateToken, requireScope('admin'), tenantRateLimit, apiKeyController.listKeys.bind(apiKeyController));
+
+/**
+ * @swagger
+ * /admin/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: |
+ *       Issues a new key with the same tenant, name, scopes and expiry. The old key is revoked
+ *       immediately, or keeps working for `gracePeriodSeconds` (max 7 days) so clients can switch over.
+ *       Requires the admin scope.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gracePeriodSeconds:
+ *                 type: integer
+ *                 default: 0
+ *     responses:
+ *       201:
+ *         description: Replacement key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Key is revoked or expired, or the grace period is invalid
+ *       403:
+ *         description: Invalid token or missing admin scope
+ *       404:
+ *         description: Unknown key
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.post('/admin/api-keys/:id/rotate', authenticateToken, requireScope('admin'), tenantRateLimit, apiKeyController.rotateKey.bind(apiKeyController));
+
+/**
+ * @swagger
+ * /admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops authenticating immediately but stays listable. Requires the admin scope.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revoked key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: Invalid token or missing admin scope
+ *       404:
+ *         description: Unknown key
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.delete('/admin/api-keys/:id', authenticateToken, requireScope('admin'), tenantRateLimit, apiKeyController.revokeKey.bind(apiKeyController));
+
+export default router;
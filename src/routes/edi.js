@@ -0,0 +1,103 @@
+import express from 'express';
+import EdiController from '../controllers/EdiController.js';
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+import { tenantRateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+const ediController = new EdiController();
+
+// 271s arrive as raw text; JSON bodies ({ x12 }) are handled by the app-wide parser
+const rawX12Parser = express.text({ type: ['text/plain', 'application/edi-x12'], limit: '1mb' });
+
+/**
+ * @swagger
+ * /edi/270:
+ *   post:
+ *     summary: Build an X12 270 eligibility inquiry
+ *     description: |
+ *       Validates a JSON eligibility request (same body as POST /eligibility) and serializes it
+ *       into a 005010X279A1 270 interchange. Send `Accept: application/edi-x12` to get the raw
+ *       interchange instead of JSON.
+ *     tags: [EDI]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [eligibility:read]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EligibilityRequest'
+ *     responses:
+ *       200:
+ *         description: 270 interchange
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/X12Document'
+ *                 correlationId:
+ *                   type: string
+ *           application/edi-x12:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Request validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or missing eligibility:read scope
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.post('/edi/270', authenticateToken, requireScope('eligibility:read'), tenantRateLimit, ediController.build270.bind(ediController));
+
+/**
+ * @swagger
+ * /edi/271/parse:
+ *   post:
+ *     summary: Parse an X12 271 eligibility response
+ *     description: |
+ *       Converts a 271 interchange into the JSON eligibility response shape (payer, subscriber,
+ *       dependents, planDateInformation, benefitsInformation, errors). Send the raw interchange
+ *       as `text/plain` or `application/edi-x12`, or JSON `{ "x12": "ISA*..." }`.
+ *       Only the first transaction set is read.
+ *     tags: [EDI]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [eligibility:read]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/edi-x12:
+ *           schema:
+ *             type: string
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/X12Document'
+ *     responses:
+ *       200:
+ *         description: Parsed 271
+ *       400:
+ *         description: Not a valid 271 interchange
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or missing eligibility:read scope
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.post('/edi/271/parse', authenticateToken, requireScope('eligibility:read'), rawX12Parser, tenantRateLimit, ediController.parse271.bind(ediController));
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import EligibilityController from '../controllers/EligibilityController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+import { publicRateLimit, tenantRateLimit } from '../middleware/rateLimit.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 const eligibilityController = new EligibilityController();
@@ -36,8 +38,10 @@ const eligibilityController = new EligibilityController();
  *                 uptime:
  *                   type: number
  *                   example: 3600.5
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
  */
-router.get('/health', eligibilityController.healthCheck.bind(eligibilityController));
+router.get('/health', publicRateLimit, eligibilityController.healthCheck.bind(eligibilityController));
 
 /**
  * @swagger
@@ -73,8 +77,10 @@ router.get('/health', eligibilityController.healthCheck.bind(eligibilityControll
  *                 timestamp:
  *                   type: string
  *                   format: date-time
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
  */
-router.get('/service-types', eligibilityController.getServiceTypes.bind(eligibilityController));
+router.get('/service-types', publicRateLimit, eligibilityController.getServiceTypes.bind(eligibilityController));
 
 
 
@@ -86,10 +92,45 @@ router.get('/service-types', eligibilityController.getServiceTypes.bind(eligibil
  * /eligibility:
  *   post:
  *     summary: Check healthcare eligibility
- *     description: Submit an eligibility check request to verify patient coverage and benefits
+ *     description: |
+ *       Submit an eligibility check request to verify patient coverage and benefits.
+ *       Responses are cached; stale entries are served immediately while a background refresh runs.
  *     tags: [Eligibility]
  *     security:
  *       - bearerAuth: []
+ *     x-required-scopes: [eligibility:read]
+ *     parameters:
+ *       - in: header
+ *         name: Cache-Control
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: no-cache
+ *         description: Send `no-cache` to skip the cache and force a fresh Optum call
+ *       - in: query
+ *         name: detail
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [simple, full]
+ *           default: simple
+ *         description: Send `full` to include benefitDetails (deductibles, out-of-pocket, copays, coinsurance and limitations by network and coverage level)
+ *       - in: query
+ *         name: priorAuthDraft
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Send `true` to add priorAuthDrafts - pre-filled POST /prior-auth requests for requested services that need authorization
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, x12]
+ *           default: json
+ *         description: Send `x12` to exchange a raw X12 270/271 with Optum instead of JSON. The response shape is the same
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -116,11 +157,25 @@ router.get('/service-types', eligibilityController.getServiceTypes.bind(eligibil
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
- *         description: Invalid token
+ *         description: Invalid token, missing eligibility:read scope, or tradingPartnerServiceId not allowed for the tenant
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed; retry after the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
  *       500:
  *         description: Internal server error
  *         content:
@@ -128,6 +183,87 @@ router.get('/service-types', eligibilityController.getServiceTypes.bind(eligibil
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/eligibility', authenticateToken, eligibilityController.checkEligibility.bind(eligibilityController));
+router.post('/eligibility', authenticateToken, requireScope('eligibility:read'), tenantRateLimit, idempotency, eligibilityController.checkEligibility.bind(eligibilityController));
+
+/**
+ * @swagger
+ * /eligibility/batch:
+ *   post:
+ *     summary: Check eligibility for many patients at once
+ *     description: |
+ *       Runs up to BATCH_MAX_SIZE eligibility requests (default 300) with bounded concurrency.
+ *       Every item gets its own result keyed by controlNumber - a validation error, payer error,
+ *       failure or parsed eligibility response. One bad item never fails the whole batch.
+ *     tags: [Eligibility]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [eligibility:read]
+ *     parameters:
+ *       - in: header
+ *         name: Cache-Control
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: no-cache
+ *         description: Send `no-cache` to skip the cache for every item
+ *       - in: query
+ *         name: detail
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [simple, full]
+ *           default: simple
+ *         description: Send `full` to include benefitDetails (deductibles, out-of-pocket, copays, coinsurance and limitations by network and coverage level)
+ *       - in: query
+ *         name: priorAuthDraft
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Send `true` to add priorAuthDrafts - pre-filled POST /prior-auth requests for requested services that need authorization
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EligibilityBatchRequest'
+ *     responses:
+ *       200:
+ *         description: Batch processed (check each result's status)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EligibilityBatchResponse'
+ *       400:
+ *         description: Batch is empty, too large, or has missing/duplicate controlNumbers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or missing eligibility:read scope
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed; retry after the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.post('/eligibility/batch', authenticateToken, requireScope('eligibility:read'), tenantRateLimit, idempotency, eligibilityController.checkEligibilityBatch.bind(eligibilityController));
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,76 @@
+import express from 'express';
+import FhirController from '../controllers/FhirController.js';
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+import { publicRateLimit, tenantRateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+const fhirController = new FhirController();
+
+// FHIR clients send application/fhir+json, which the app-wide JSON parser skips
+const fhirJsonParser = express.json({ type: ['application/fhir+json', 'application/json'], limit: '1mb' });
+
+/**
+ * @swagger
+ * /fhir/metadata:
+ *   get:
+ *     summary: FHIR CapabilityStatement
+ *     description: Describes the FHIR R4 interactions this API supports
+ *     tags: [FHIR]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: CapabilityStatement
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               type: object
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.get('/fhir/metadata', publicRateLimit, fhirController.getCapabilityStatement.bind(fhirController));
+
+/**
+ * @swagger
+ * /fhir/CoverageEligibilityRequest:
+ *   post:
+ *     summary: Check eligibility with a FHIR R4 CoverageEligibilityRequest
+ *     description: |
+ *       Maps a CoverageEligibilityRequest to an eligibility check and returns a CoverageEligibilityResponse.
+ *
+ *       - `patient`, `insurance[].coverage` and `provider` must reference contained Patient, Coverage and
+ *         Organization/Practitioner resources
+ *       - The payer ID comes from `insurer.identifier` or the insurer Organization's identifier
+ *       - `item[].category` codings (system `https://x12.org/codes/service-type-codes`) become the
+ *         service type codes; 30 is used when there are none
+ *       - When `Coverage.subscriber` is a different Patient, the patient is checked as a dependent
+ *
+ *       Validation failures return a 400 OperationOutcome; payer rejections return a 422 OperationOutcome.
+ *     tags: [FHIR]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [eligibility:read]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/fhir+json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: CoverageEligibilityResponse
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: OperationOutcome for an invalid request
+ *       403:
+ *         description: Invalid token, missing eligibility:read scope, or payer not allowed for the tenant
+ *       422:
+ *         description: OperationOutcome for a payer rejection
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.post('/fhir/CoverageEligibilityRequest', authenticateToken, requireScope('eligibility:read'), fhirJsonParser, tenantRateLimit, fhirController.checkEligibility.bind(fhirController));
+
+export default router;
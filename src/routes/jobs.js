@@ -0,0 +1,100 @@
+import express from 'express';
+import JobController from '../controllers/JobController.js';
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+import { tenantRateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+const jobController = new JobController();
+
+/**
+ * @swagger
+ * /eligibility/jobs:
+ *   post:
+ *     summary: Start an asynchronous eligibility job
+ *     description: |
+ *       Accepts one request (`request`) or many (`requests`, same limits as /eligibility/batch)
+ *       and returns a job ID immediately. Poll GET /eligibility/jobs/{id} for progress, or pass
+ *       `callbackUrl` to receive a signed webhook when the job finishes.
+ *
+ *       Webhooks are POSTed with `X-Webhook-Event`, `X-Webhook-Timestamp` and
+ *       `X-Webhook-Signature: sha256=<hex>`, where the signature is an HMAC-SHA256 of
+ *       `<timestamp>.<raw body>` using the shared WEBHOOK_SECRET.
+ *     tags: [Eligibility Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [eligibility:read]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EligibilityJobRequest'
+ *     responses:
+ *       202:
+ *         description: Job accepted
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *             description: URL to poll for job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EligibilityJobResponse'
+ *       400:
+ *         description: Job validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token or missing eligibility:read scope
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.post('/eligibility/jobs', authenticateToken, requireScope('eligibility:read'), tenantRateLimit, jobController.createJob.bind(jobController));
+
+/**
+ * @swagger
+ * /eligibility/jobs/{id}:
+ *   get:
+ *     summary: Get eligibility job status and results
+ *     description: Returns progress and the results finished so far, keyed by controlNumber
+ *     tags: [Eligibility Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [eligibility:read]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Job found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EligibilityJobResponse'
+ *       403:
+ *         description: Invalid token or missing eligibility:read scope
+ *       404:
+ *         description: Job not found, expired, or created by another tenant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.get('/eligibility/jobs/:id', authenticateToken, requireScope('eligibility:read'), tenantRateLimit, jobController.getJob.bind(jobController));
+
+export default router;
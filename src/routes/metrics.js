@@ -0,0 +1,38 @@
+import express from 'express';
+import MetricsController from '../controllers/MetricsController.js';
+import { requireMetricsToken } from '../middleware/auth.js';
+
+const router = express.Router();
+const metricsController = new MetricsController();
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Metrics of the replica that answers, in the Prometheus text format: HTTP requests and
+ *       latency per route and status, Optum call latency per endpoint and trading partner,
+ *       retries, circuit breaker state and events, eligibility cache hits and misses, and
+ *       Optum token refreshes. When METRICS_TOKEN is set it must be sent as the bearer token.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 # HELP http_requests_total HTTP requests served, by method, route and status
+ *                 # TYPE http_requests_total counter
+ *                 http_requests_total{method="POST",route="/eligibility",status="200"} 42
+ *       401:
+ *         description: METRICS_TOKEN is set and was not sent
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.get('/metrics', requireMetricsToken, metricsController.getMetrics.bind(metricsController));
+
+export default router;
@@ -0,0 +1,158 @@
+import express from 'express';
+import PriorAuthController from '../controllers/PriorAuthController.js';
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+import { tenantRateLimit } from '../middleware/rateLimit.js';
+import { submissionIdempotency } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const priorAuthController = new PriorAuthController();
+
+/**
+ * @swagger
+ * /prior-auth:
+ *   post:
+ *     summary: Submit a prior authorization request
+ *     description: |
+ *       Validates and submits a prior authorization request to the Optum Submission API.
+ *       Include `dependent` when the patient is a family member covered under the subscriber's plan.
+ *       Submissions are never retried after they may have reached Optum (timeouts, 5xx).
+ *       Send an `Idempotency-Key` so a client-side timeout can be retried safely - a retry with the same
+ *       key gets the first submission's response instead of submitting again.
+ *
+ *       Pended submissions are re-checked on a schedule when PRIOR_AUTH_TRACKER_ENABLED=true;
+ *       pass `callbackUrl` to receive a signed `prior-auth.decision` webhook when a decision arrives.
+ *     tags: [Prior Authorization]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [prior-auth:write]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriorAuthRequest'
+ *     responses:
+ *       200:
+ *         description: Submission accepted by Optum (check data.status for the decision)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriorAuthResponse'
+ *       400:
+ *         description: Request validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token, missing prior-auth:write scope, or payerId not allowed for the tenant
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed; retry after the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ *       502:
+ *         description: Optum API error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/prior-auth', authenticateToken, requireScope('prior-auth:write'), tenantRateLimit, submissionIdempotency, priorAuthController.submit.bind(priorAuthController));
+
+/**
+ * @swagger
+ * /prior-auth/inquiry:
+ *   post:
+ *     summary: Check prior authorization status with a full inquiry
+ *     description: |
+ *       Sends an inquiry to the Optum Inquiry API. Key it on
+ *       `patientEventDetail.previousReviewAuthorizationNumber` (the authorizationId from a submission)
+ *       or `previousAdministrativeReferenceNumber` (the reviewIdentificationNumber).
+ *     tags: [Prior Authorization]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [prior-auth:read]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriorAuthInquiryRequest'
+ *     responses:
+ *       200:
+ *         description: Current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriorAuthResponse'
+ *       400:
+ *         description: Request validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid token, missing prior-auth:read scope, or payerId not allowed for the tenant
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.post('/prior-auth/inquiry', authenticateToken, requireScope('prior-auth:read'), tenantRateLimit, priorAuthController.inquire.bind(priorAuthController));
+
+/**
+ * @swagger
+ * /prior-auth/{authorizationId}:
+ *   get:
+ *     summary: Check the status of a submitted prior authorization
+ *     description: |
+ *       Builds an inquiry from the stored submission and returns the current status along with
+ *       the recorded status history. Only works for authorizations your tenant submitted through POST /prior-auth.
+ *     tags: [Prior Authorization]
+ *     security:
+ *       - bearerAuth: []
+ *     x-required-scopes: [prior-auth:read]
+ *     parameters:
+ *       - in: path
+ *         name: authorizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: AUTH123456
+ *     responses:
+ *       200:
+ *         description: Current status and history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriorAuthResponse'
+ *       403:
+ *         description: Invalid token or missing prior-auth:read scope
+ *       404:
+ *         description: No stored submission for this authorization from your tenant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ */
+router.get('/prior-auth/:authorizationId', authenticateToken, requireScope('prior-auth:read'), tenantRateLimit, priorAuthController.getStatus.bind(priorAuthController));
+
+export default router;
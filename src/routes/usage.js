@@ -0,0 +1,50 @@
+import express from 'express';
+import UsageController from '../controllers/UsageController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { tenantRateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+const usageController = new UsageController();
+
+/**
+ * @swagger
+ * /usage:
+ *   get:
+ *     summary: Quota usage and rate limit headroom for the calling tenant
+ *     description: |
+ *       Billable Optum transactions (eligibility checks that miss the cache, prior auth
+ *       submissions and inquiries) counted against the tenant's daily and monthly quotas,
+ *       plus the current per-tenant rate limit window. Periods are UTC calendar days and months.
+ *     tags: [Usage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: Another tenant's usage (requires the admin scope)
+ *     responses:
+ *       200:
+ *         description: Usage for the tenant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Usage'
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Invalid token, or admin scope missing for another tenant's usage
+ *       429:
+ *         description: Rate limit or quota exceeded; retry after the Retry-After header
+ *       503:
+ *         description: Redis unavailable
+ */
+router.get('/usage', authenticateToken, tenantRateLimit, usageController.getUsage.bind(usageController));
+
+export default router;
@@ -1,23 +1,48 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
 
 // Import configuration and middleware
 import config from './utils/config.js';
+import { initializeTracing, shutdownTracing } from './utils/tracing.js';
+import { createLogger } from './utils/logger.js';
 import { addCorrelationId, requestLogger } from './middleware/logging.js';
 import { validateCorrelationId, validateRequestSize } from './middleware/validation.js';
 import { notFoundHandler, globalErrorHandler } from './middleware/errorHandler.js';
+import { ipRateLimit, publicRateLimit } from './middleware/rateLimit.js';
+import { requestMetrics } from './middleware/metrics.js';
+import { traceRequest } from './middleware/tracing.js';
 import { specs, swaggerUi } from './config/swagger.js';
 
 // Import routes
 import eligibilityRoutes from './routes/eligibility.js';
+import jobRoutes from './routes/jobs.js';
+import priorAuthRoutes from './routes/priorAuth.js';
+import ediRoutes from './routes/edi.js';
+import fhirRoutes from './routes/fhir.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import adminRoutes from './routes/admin.js';
+import usageRoutes from './routes/usage.js';
+import metricsRoutes from './routes/metrics.js';
+import jobService from './services/JobService.js';
+import priorAuthTracker from './services/PriorAuthTracker.js';
+import rateLimitService from './services/RateLimitService.js';
+import outboundThrottle from './services/OutboundThrottle.js';
+import idempotencyService from './services/IdempotencyService.js';
+
+const log = createLogger('server');
 
 // Initialize Express app
 const app = express();
 
-// Print configuration summary
-config.printSummary();
+// Behind a load balancer, req.ip (what per-IP limits are keyed by) must be the client's address
+app.set('trust proxy', config.server.trustProxy);
+
+// Log configuration summary
+log.info('Configuration summary', config.summary());
+
+// Before the first request, so every span reaches the configured exporter
+initializeTracing();
 
 // Security middleware
 app.use(helmet({
@@ -36,23 +61,16 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Correlation-ID'],
-  exposedHeaders: ['X-Correlation-ID']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Correlation-ID', 'Cache-Control', 'Idempotency-Key', 'traceparent', 'tracestate'],
+  exposedHeaders: ['X-Correlation-ID', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'Idempotent-Replayed']
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    error: 'Too many requests from this IP, please try again later.',
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
-app.use(limiter);
+// Request counts and latency for /metrics, rate-limited requests included
+app.use(requestMetrics);
+
+// Rate limiting (Redis-backed, shared across replicas) - anonymous requests per IP here,
+// authenticated routes per tenant, API key, route and payer via tenantRateLimit
+app.use(ipRateLimit);
 
 // Body parsing middleware with error handling
 app.use(express.json({ 
@@ -67,6 +85,7 @@ app.use(express.urlencoded({
 }));
 
 // Request processing middleware
+app.use(traceRequest);
 app.use(addCorrelationId);
 app.use(validateCorrelationId);
 app.use(validateRequestSize(1024)); // 1MB limit
@@ -77,27 +96,49 @@ if (config.logging.enableRequestLogging) {
 }
 
 // Swagger documentation
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
+app.use('/api-docs', publicRateLimit, swaggerUi.serve, swaggerUi.setup(specs, {
   customCss: '.swagger-ui .topbar { display: none }',
   customSiteTitle: 'Optum Eligibility API POC',
   swaggerOptions: {
     persistAuthorization: true,
-    displayRequestDuration: true
+    displayRequestDuration: true,
+    showExtensions: true // shows x-required-scopes on each operation
   }
 }));
 
 // API routes
 app.use('/', eligibilityRoutes);
+app.use('/', jobRoutes);
+app.use('/', priorAuthRoutes);
+app.use('/', ediRoutes);
+app.use('/', fhirRoutes);
+app.use('/', apiKeyRoutes);
+app.use('/', adminRoutes);
+app.use('/', usageRoutes);
+app.use('/', metricsRoutes);
 
 // Root endpoint
-app.get('/', (req, res) => {
+app.get('/', publicRateLimit, (req, res) => {
   res.json({
     message: 'Optum Eligibility API POC',
     version: '1.0.0',
     documentation: '/api-docs',
     endpoints: {
       health: '/health',
+      metrics: '/metrics',
       eligibility: '/eligibility',
+      eligibilityBatch: '/eligibility/batch',
+      eligibilityJobs: '/eligibility/jobs',
+      priorAuth: '/prior-auth',
+      edi270: '/edi/270',
+      edi271Parse: '/edi/271/parse',
+      fhirCoverageEligibilityRequest: '/fhir/CoverageEligibilityRequest',
+      fhirMetadata: '/fhir/metadata',
+      apiKeys: '/admin/api-keys',
+      circuitBreakers: '/admin/circuit-breakers',
+      cache: '/admin/cache',
+      throttle: '/admin/throttle',
+      usage: '/usage',
       serviceTypes: '/service-types'
     },
     timestamp: new Date().toISOString()
@@ -105,28 +146,57 @@ app.get('/', (req, res) => {
 });
 
 // Error handling
-app.use(notFoundHandler);
+app.use(publicRateLimit, notFoundHandler);
 app.use(globalErrorHandler);
 
 // Start server
 const PORT = config.server.port;
 app.listen(PORT, () => {
-  console.log(`🚀 Optum Eligibility POC server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`🏥 Eligibility endpoint: http://localhost:${PORT}/eligibility`);
-  console.log(`📋 Service types: http://localhost:${PORT}/service-types`);
-  console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
-  console.log(`🔧 Environment: ${config.server.nodeEnv}`);
+  log.info(`Optum Eligibility POC server running on port ${PORT}`, {
+    environment: config.server.nodeEnv,
+    health: `http://localhost:${PORT}/health`,
+    metrics: `http://localhost:${PORT}/metrics`,
+    eligibility: `http://localhost:${PORT}/eligibility`,
+    serviceTypes: `http://localhost:${PORT}/service-types`,
+    apiDocs: `http://localhost:${PORT}/api-docs`
+  });
+
+  // Rate limits fail open until Redis is reachable
+  rateLimitService.initialize().catch(error => {
+    log.warn('Rate limits and quotas are not enforced until Redis is reachable', { error: error.message });
+  });
+
+  // Calls to Optum are not paced until Redis is reachable
+  outboundThrottle.initialize().catch(error => {
+    log.warn('Outbound throttle is not enforced until Redis is reachable', { error: error.message });
+  });
+
+  // Requests with an Idempotency-Key get 503 until Redis is reachable
+  idempotencyService.initialize().catch(error => {
+    log.warn('Idempotency-Key requests are refused until Redis is reachable', { error: error.message });
+  });
+
+  // Resume eligibility jobs left pending by a previous run
+  jobService.initialize().catch(error => {
+    log.warn('Eligibility jobs will start on first use', { error: error.message });
+  });
+
+  // Re-check pending prior authorizations on a schedule (opt-in)
+  priorAuthTracker.start().catch(error => {
+    log.warn('Prior auth tracker not started', { error: error.message });
+  });
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 SIGTERM received, shutting down gracefully');
+process.on('SIGTERM', async () => {
+  log.info('SIGTERM received, shutting down gracefully');
+  await shutdownTracing();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
-  console.log('🛑 SIGINT received, shutting down gracefully');
+process.on('SIGINT', async () => {
+  log.info('SIGINT received, shutting down gracefully');
+  await shutdownTracing();
   process.exit(0);
 });
 
@@ -1,10 +1,32 @@
 import axios from 'axios';
+import { context, propagation, trace, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+import { ATTR_HTTP_REQUEST_METHOD, ATTR_HTTP_RESPONSE_STATUS_CODE, ATTR_URL_FULL } from '@opentelemetry/semantic-conventions';
 import { defaultRetryHandler, rateLimitRetryHandler } from '../utils/retryHandler.js';
 import { circuitBreakerManager } from '../utils/circuitBreaker.js';
+import outboundThrottle from './OutboundThrottle.js';
+import trafficRecorder from './TrafficRecorder.js';
+import { metrics } from '../utils/metrics.js';
+import { tracer, recordSpanError } from '../utils/tracing.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('ApiClient');
+
+// Optum calls run up to the 30-45s circuit breaker timeouts
+const optumRequestDuration = metrics.histogram({
+    name: 'optum_request_duration_seconds',
+    help: 'Optum API call latency per attempt, by method, endpoint, trading partner and status',
+    labelNames: ['method', 'endpoint', 'trading_partner', 'status'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 45]
+});
 
 /**
  * ApiClient provides a resilient HTTP client with retry logic
- * Wraps axios with retry handlers and provides common functionality
+ * Wraps axios with retry handlers and provides common functionality.
+ * Clients created with a throttle target ({ credential, limits }) queue each call
+ * for an OutboundThrottle slot; pass tradingPartnerServiceId in the request
+ * options to pace the call per payer as well. Clients given an authManager replay
+ * a request once with a new token when Optum answers 401. With OPTUM_TRAFFIC_MODE
+ * set, traffic is recorded to or replayed from disk (see TrafficRecorder).
  */
 class ApiClient {
     constructor(options = {}) {
@@ -12,6 +34,8 @@ class ApiClient {
         this.timeout = options.timeout || 30000;
         this.retryHandler = options.retryHandler || defaultRetryHandler;
         this.circuitBreakerName = options.circuitBreakerName;
+        this.throttle = options.throttle || null;
+        this.authManager = options.authManager || null;
 
         // Create circuit breaker if name provided
         if (this.circuitBreakerName) {
@@ -26,6 +50,7 @@ class ApiClient {
         this.axios = axios.create({
             baseURL: this.baseURL,
             timeout: this.timeout,
+            adapter: trafficRecorder.createAdapter(),
             headers: {
                 'Content-Type': 'application/json',
                 'User-Agent': 'Optum-Eligibility-POC/1.0.0'
@@ -35,12 +60,17 @@ class ApiClient {
         // Add request interceptor for logging
         this.axios.interceptors.request.use(
             (config) => {
-                const correlationId = config.correlationId || 'unknown';
-                console.log(`📤 [${correlationId}] ${config.method?.toUpperCase()} ${config.url}`);
+                log.debug('Optum request', {
+                    correlationId: config.correlationId,
+                    method: config.method?.toUpperCase(),
+                    url: config.url
+                });
+                config.startedAt = performance.now();
+                this.startSpan(config);
                 return config;
             },
             (error) => {
-                console.error('❌ Request interceptor error:', error.message);
+                log.error('Request interceptor error', { error: error.message });
                 return Promise.reject(error);
             }
         );
@@ -48,14 +78,31 @@ class ApiClient {
         // Add response interceptor for logging
         this.axios.interceptors.response.use(
             (response) => {
-                const correlationId = response.config.correlationId || 'unknown';
-                console.log(`📥 [${correlationId}] ${response.status} ${response.config.method?.toUpperCase()} ${response.config.url} (${response.headers['content-length'] || 'unknown'} bytes)`);
+                log.info('Optum response', {
+                    correlationId: response.config.correlationId,
+                    status: response.status,
+                    method: response.config.method?.toUpperCase(),
+                    url: response.config.url,
+                    bytes: response.headers['content-length']
+                });
+                this.observeLatency(response.config, response.status);
+                this.endSpan(response.config, response.status);
                 return response;
             },
             (error) => {
-                const correlationId = error.config?.correlationId || 'unknown';
-                const status = error.response?.status || 'network error';
-                console.error(`📥 [${correlationId}] ${status} ${error.config?.method?.toUpperCase()} ${error.config?.url} - ${error.message}`);
+                log.error('Optum request failed', {
+                    correlationId: error.config?.correlationId,
+                    status: error.response?.status || 'network error',
+                    method: error.config?.method?.toUpperCase(),
+                    url: error.config?.url,
+                    error: error.message
+                });
+                this.observeLatency(error.config, error.response?.status || error.code || 'network_error');
+                this.endSpan(error.config, error.response?.status, error);
+
+                if (error.response?.status === 401 && this.authManager && !error.config.authReplayed) {
+                    return this.replayWithNewToken(error);
+                }
                 return Promise.reject(error);
             }
         );
@@ -75,10 +122,13 @@ class ApiClient {
             correlationId: options.correlationId || 'unknown'
         };
 
+        await this.waitForThrottle(config);
+        const attempt = this.throttledAttempt(config);
+
         if (this.circuitBreakerName) {
             return circuitBreakerManager.execute(
                 this.circuitBreakerName,
-                () => this.axios(config),
+                attempt,
                 `GET ${url}`,
                 config.correlationId,
                 this.retryHandler
@@ -86,7 +136,7 @@ class ApiClient {
         }
 
         return this.retryHandler.execute(
-            () => this.axios(config),
+            attempt,
             `GET ${url}`,
             config.correlationId
         );
@@ -108,10 +158,13 @@ class ApiClient {
             correlationId: options.correlationId || 'unknown'
         };
 
+        await this.waitForThrottle(config);
+        const attempt = this.throttledAttempt(config);
+
         if (this.circuitBreakerName) {
             return circuitBreakerManager.execute(
                 this.circuitBreakerName,
-                () => this.axios(config),
+                attempt,
                 `POST ${url}`,
                 config.correlationId,
                 this.retryHandler
@@ -119,12 +172,135 @@ class ApiClient {
         }
 
         return this.retryHandler.execute(
-            () => this.axios(config),
+            attempt,
             `POST ${url}`,
             config.correlationId
         );
     }
 
+    /**
+     * Function sending one attempt of a request, for the retry handler
+     * The first attempt uses the slot taken before the circuit breaker started timing;
+     * every retry queues for a slot of its own rather than firing straight at Optum.
+     * @param {Object} config - Request config
+     * @returns {Function} Attempt function
+     */
+    throttledAttempt(config) {
+        let attempts = 0;
+        return async () => {
+            if (attempts++ > 0) {
+                await this.waitForThrottle(config);
+            }
+            return this.axios(config);
+        };
+    }
+
+    /**
+     * Queue for a throttle slot before the circuit breaker starts timing the call
+     * @param {Object} config - Request config (correlationId, tradingPartnerServiceId)
+     * @throws {TooManyRequestsError} When no slot frees up within the max wait
+     */
+    async waitForThrottle(config) {
+        if (!this.throttle) return;
+
+        await outboundThrottle.acquire({
+            ...this.throttle,
+            tradingPartnerServiceId: config.tradingPartnerServiceId
+        }, config.correlationId);
+    }
+
+    /**
+     * Replay a request rejected with 401 once, with a new token
+     * Optum can reject a token before it expires (e.g. revoked), so the cached token
+     * is dropped instead of being served until expiry. A 401 means Optum did not
+     * process the request, so this is safe for prior auth submissions too.
+     * @param {Error} error - Axios error for the 401 response
+     * @returns {Promise} Response to the replayed request
+     */
+    async replayWithNewToken(error) {
+        const config = error.config;
+        const correlationId = config.correlationId || 'unknown';
+        const rejectedToken = String(config.headers?.Authorization || '').replace(/^Bearer /, '');
+
+        log.warn(`Optum rejected the access token, replaying ${config.method?.toUpperCase()} ${config.url} with a new one`, { correlationId });
+        config.authReplayed = true;
+
+        try {
+            await this.authManager.clearToken(rejectedToken);
+            const token = await this.authManager.getAccessToken();
+            this.setAuthToken(token);
+            config.headers.Authorization = `Bearer ${token}`;
+            await this.waitForThrottle(config);
+        } catch (refreshError) {
+            log.error('Could not replay with a new token', { correlationId, error: refreshError.message });
+            this.authManager.recordTokenReplay(false);
+            throw error;
+        }
+
+        try {
+            const response = await this.axios(config);
+            this.authManager.recordTokenReplay(true);
+            return response;
+        } catch (replayError) {
+            this.authManager.recordTokenReplay(false);
+            throw replayError;
+        }
+    }
+
+    /**
+     * Start a client span for one attempt and send its traceparent to Optum
+     * Runs in the request interceptor, so the span is a child of the retry attempt.
+     * @param {Object} config - Axios request config
+     */
+    startSpan(config) {
+        const method = config.method?.toUpperCase();
+        config.span = tracer.startSpan(`${method} ${config.url}`, {
+            kind: SpanKind.CLIENT,
+            attributes: {
+                [ATTR_HTTP_REQUEST_METHOD]: method,
+                [ATTR_URL_FULL]: axios.getUri(config),
+                'optum.trading_partner': config.tradingPartnerServiceId || 'none'
+            }
+        });
+        propagation.inject(trace.setSpan(context.active(), config.span), config.headers);
+    }
+
+    /**
+     * End an attempt's client span
+     * @param {Object} config - Axios request config
+     * @param {number} [status] - HTTP status, when Optum answered
+     * @param {Error} [error] - Error the attempt failed with
+     */
+    endSpan(config, status, error) {
+        const span = config?.span;
+        if (!span) return;
+
+        if (status) span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, status);
+        if (error) {
+            recordSpanError(span, error);
+        } else if (status >= 400) {
+            span.setStatus({ code: SpanStatusCode.ERROR });
+        }
+        span.end();
+        config.span = null;
+    }
+
+    /**
+     * Record how long one attempt took, for optum_request_duration_seconds
+     * @param {Object} config - Axios request config
+     * @param {number|string} status - HTTP status, or the error code when there was no response
+     */
+    observeLatency(config, status) {
+        if (!config?.startedAt) return;
+
+        optumRequestDuration.observeSince({
+            method: config.method?.toUpperCase(),
+            endpoint: config.url,
+            trading_partner: config.tradingPartnerServiceId || 'none',
+            status
+        }, config.startedAt);
+    }
+
     /**
      * Set authorization header for subsequent requests
      * @param {string} token - Bearer token
@@ -170,15 +346,17 @@ class ApiClient {
 
     /**
      * Create a new ApiClient instance for Optum API
-     * @param {Object} config - Configuration object
+     * @param {Object} config - Configuration object (retryHandler, circuitBreakerName, throttle and authManager are optional)
      * @returns {ApiClient} Configured Optum API client
      */
     static createOptumClient(config) {
         return new ApiClient({
             baseURL: config.baseUrl,
             timeout: config.timeout || 30000,
-            retryHandler: rateLimitRetryHandler, // Optum API may have rate limits
-            circuitBreakerName: 'optum-eligibility', // Use predefined circuit breaker
+            retryHandler: config.retryHandler || rateLimitRetryHandler, // Optum API may have rate limits
+            circuitBreakerName: config.circuitBreakerName || 'optum-eligibility', // Use predefined circuit breaker
+            throttle: config.throttle,
+            authManager: config.authManager,
             errorThresholdPercentage: 50,
             resetTimeout: 60000
         });
@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import { createClient } from 'redis';
+import { v4 as uuidv4 } from 'uuid';
+import { ValidationError } from '../middleware/errorHandler.js';
+import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('ApiKeyService');
+
+export const SCOPES = ['eligibility:read', 'prior-auth:read', 'prior-auth:write', 'admin'];
+
+// Scopes granted along with another: whoever may submit may read back the status
+export const IMPLIED_SCOPES = {
+    'prior-auth:write': ['prior-auth:read']
+};
+
+const DEFAULT_SCOPES = ['eligibility:read', 'prior-auth:write'];
+const KEY_PREFIX = 'opk_';
+const TENANT_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const MAX_GRACE_PERIOD_SECONDS = 7 * 24 * 3600;
+
+/**
+ * ApiKeyService issues per-tenant API keys and resolves bearer tokens to tenants
+ * Only a SHA-256 of each key is stored; the plaintext is returned once, when the
+ * key is created or rotated. Revoked and expired keys stay listable but stop
+ * authenticating.
+ *
+ * Keys:
+ *   <prefix>key:<id>        key record (JSON)
+ *   <prefix>hash:<sha256>   key ID for a key hash (expires with the key)
+ *   <prefix>ids             set of all key IDs
+ *   <prefix>last-used       hash of key ID -> last successful authentication (ISO)
+ */
+class ApiKeyService {
+    constructor() {
+        this.client = null;
+        this.isInitialized = false;
+        this.initializing = null;
+        this.keyPrefix = config.apiKeys.keyPrefix;
+        this.lastUsedIntervalMs = config.apiKeys.lastUsedIntervalMs;
+        this.lastUsedWrites = new Map();
+    }
+
+    // Connect to Redis
+    async initialize() {
+        if (this.isInitialized) return;
+        if (this.initializing) return this.initializing;
+
+        this.initializing = (async () => {
+            try {
+                this.client = createClient({ url: config.redis.url });
+
+                this.client.on('error', (err) => {
+                    log.error('ApiKeyService Redis Error', { error: err.message });
+                });
+
+                await this.client.connect();
+                this.isInitialized = true;
+                log.info('ApiKeyService initialized');
+            } catch (error) {
+                log.error('Failed to initialize ApiKeyService', { error: error.message });
+                throw error;
+            } finally {
+                this.initializing = null;
+            }
+        })();
+
+        return this.initializing;
+    }
+
+    recordKey(id) {
+        return `${this.keyPrefix}key:${id}`;
+    }
+
+    hashKey(hash) {
+        return `${this.keyPrefix}hash:${hash}`;
+    }
+
+    get idsKey() {
+        return `${this.keyPrefix}ids`;
+    }
+
+    get lastUsedKey() {
+        return `${this.keyPrefix}last-used`;
+    }
+
+    /**
+     * Issue a new API key
+     * @param {Object} params
+     * @param {string} params.tenantId - Tenant the key belongs to
+     * @param {string} params.name - Human-readable label
+     * @param {string[]} params.scopes - Granted scopes (defaults to eligibility:read, prior-auth:write)
+     * @param {string} params.expiresAt - Optional ISO expiry
+     * @returns {Promise<Object>} Public key view plus the plaintext `key` (shown once)
+     */
+    async createKey(params = {}) {
+        const errors = this.getValidationErrors(params);
+        if (errors.length > 0) {
+            throw new ValidationError(`API key validation failed: ${errors.join(', ')}`, errors);
+        }
+
+        await this.initialize();
+
+        const record = {
+            id: uuidv4(),
+            tenantId: params.tenantId,
+            name: params.name,
+            scopes: [...new Set(params.scopes || DEFAULT_SCOPES)],
+            createdAt: new Date().toISOString(),
+            expiresAt: params.expiresAt ? new Date(params.expiresAt).toISOString() : null,
+            revokedAt: null,
+            rotatedFrom: params.rotatedFrom || null,
+            rotatedTo: null
+        };
+
+        const key = await this.storeRecord(record);
+        log.info(`API key ${record.id} created for tenant ${record.tenantId}`);
+
+        return { ...this.toPublicView(record), key };
+    }
+
+    /**
+     * List keys, optionally for one tenant
+     * @param {Object} filters
+     * @param {string} filters.tenantId - Only keys for this tenant
+     * @returns {Promise<Object[]>} Public key views, newest first
+     */
+    async listKeys(filters = {}) {
+        await this.initialize();
+
+        const ids = await this.client.sMembers(this.idsKey);
+        const records = await this.loadRecords(ids);
+        const lastUsed = await this.client.hGetAll(this.lastUsedKey);
+
+        return records
+            .filter(record => !filters.tenantId || record.tenantId === filters.tenantId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(record => this.toPublicView(record, lastUsed[record.id]));
+    }
+
+    /**
+     * Get one key
+     * @param {string} id - Key ID
+     * @returns {Promise<Object|null>} Public key view or null if unknown
+     */
+    async getKey(id) {
+        await this.initialize();
+
+        const record = await this.loadRecord(id);
+        if (!record) return null;
+
+        return this.toPublicView(record, await this.client.hGet(this.lastUsedKey, id));
+    }
+
+    /**
+     * Replace a key with a new one carrying the same tenant, name, scopes and expiry
+     * @param {string} id - Key ID
+     * @param {Object} options
+     * @param {number} options.gracePeriodSeconds - How long the old key keeps working (default 0)
+     * @returns {Promise<Object|null>} New key (with plaintext `key`) or null if unknown
+     */
+    async rotateKey(id, options = {}) {
+        const gracePeriodSeconds = options.gracePeriodSeconds ?? 0;
+        if (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0 || gracePeriodSeconds > MAX_GRACE_PERIOD_SECONDS) {
+            const error = `gracePeriodSeconds must be an integer between 0 and ${MAX_GRACE_PERIOD_SECONDS}`;
+            throw new ValidationError(`API key validation failed: ${error}`, [error]);
+        }
+
+        await this.initialize();
+
+        const record = await this.loadRecord(id);
+        if (!record) return null;
+        if (!this.isActive(record)) {
+            throw new ValidationError(`API key ${id} is revoked or expired and cannot be rotated`, ['key is not active']);
+        }
+
+        const rotated = await this.createKey({
+            tenantId: record.tenantId,
+            name: record.name,
+            scopes: record.scopes,
+            expiresAt: record.expiresAt,
+            rotatedFrom: record.id
+        });
+
+        record.rotatedTo = rotated.id;
+        if (gracePeriodSeconds > 0) {
+            const graceEnd = new Date(Date.now() + gracePeriodSeconds * 1000).toISOString();
+            if (!record.expiresAt || graceEnd < record.expiresAt) record.expiresAt = graceEnd;
+            await this.client.multi()
+                .set(this.recordKey(record.id), JSON.stringify(record))
+                .pExpireAt(this.hashKey(record.hash), new Date(record.expiresAt).getTime())
+                .exec();
+        } else {
+            record.revokedAt = new Date().toISOString();
+            await this.client.multi()
+                .set(this.recordKey(record.id), JSON.stringify(record))
+                .del(this.hashKey(record.hash))
+                .exec();
+        }
+
+        log.info(`API key ${record.id} rotated to ${rotated.id} for tenant ${record.tenantId}`);
+        return rotated;
+    }
+
+    /**
+     * Revoke a key immediately
+     * @param {string} id - Key ID
+     * @returns {Promise<Object|null>} Public key view or null if unknown
+     */
+    async revokeKey(id) {
+        await this.initialize();
+
+        const record = await this.loadRecord(id);
+        if (!record) return null;
+
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            await this.client.multi()
+                .set(this.recordKey(record.id), JSON.stringify(record))
+                .del(this.hashKey(record.hash))
+                .exec();
+            log.info(`API key ${record.id} revoked for tenant ${record.tenantId}`);
+        }
+
+        return this.toPublicView(record);
+    }
+
+    /**
+     * Resolve a bearer token to its tenant
+     * @param {string} token - Plaintext API key
+     * @returns {Promise<Object|null>} { id, keyId, keyName, scopes, authType } or null if the key is unknown, revoked or expired
+     */
+    async authenticate(token) {
+        if (!token || !token.startsWith(KEY_PREFIX)) return null;
+
+        await this.initialize();
+
+        const hash = this.hash(token);
+        const id = await this.client.get(this.hashKey(hash));
+        if (!id) return null;
+
+        const record = await this.loadRecord(id);
+        // Compare hashes in constant time in case the lookup key was ever tampered with
+        if (!record || !crypto.timingSafeEqual(Buffer.from(record.hash), Buffer.from(hash))) return null;
+        if (!this.isActive(record)) return null;
+
+        this.touch(record.id);
+
+        return {
+            id: record.tenantId,
+            keyId: record.id,
+            keyName: record.name,
+            scopes: record.scopes,
+            authType: 'api_key'
+        };
+    }
+
+    // Record lastUsedAt, at most once per interval per key and without blocking the request
+    touch(id) {
+        const now = Date.now();
+        const lastWrite = this.lastUsedWrites.get(id) || 0;
+        if (now - lastWrite < this.lastUsedIntervalMs) return;
+
+        this.lastUsedWrites.set(id, now);
+        this.client.hSet(this.lastUsedKey, id, new Date(now).toISOString()).catch(error => {
+            log.warn(`Failed to record last use of API key ${id}`, { error: error.message });
+        });
+    }
+
+    // Generate a key, store its hash and return the plaintext
+    async storeRecord(record) {
+        const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        record.hash = this.hash(key);
+        record.hint = key.slice(0, KEY_PREFIX.length + 4);
+
+        const hashOptions = record.expiresAt ? { PXAT: new Date(record.expiresAt).getTime() } : {};
+
+        await this.client.multi()
+            .set(this.recordKey(record.id), JSON.stringify(record))
+            .set(this.hashKey(record.hash), record.id, hashOptions)
+            .sAdd(this.idsKey, record.id)
+            .exec();
+
+        return key;
+    }
+
+    async loadRecord(id) {
+        const raw = await this.client.get(this.recordKey(id));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async loadRecords(ids) {
+        if (ids.length === 0) return [];
+        const raws = await this.client.mGet(ids.map(id => this.recordKey(id)));
+        return raws.filter(Boolean).map(raw => JSON.parse(raw));
+    }
+
+    hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    isActive(record) {
+        if (record.revokedAt) return false;
+        return !record.expiresAt || new Date(record.expiresAt).getTime() > Date.now();
+    }
+
+    getValidationErrors(params) {
+        const errors = [];
+
+        if (!params.tenantId || !TENANT_ID_PATTERN.test(params.tenantId)) {
+            errors.push('tenantId is required (1-64 letters, digits, ".", "_" or "-")');
+        }
+        if (!params.name || typeof params.name !== 'string' || params.name.length > 100) {
+            errors.push('name is required (max 100 characters)');
+        }
+        if (params.scopes !== undefined) {
+            if (!Array.isArray(params.scopes) || params.scopes.length === 0) {
+                errors.push('scopes must be a non-empty array');
+            } else {
+                const unknown = params.scopes.filter(scope => !SCOPES.includes(scope));
+                if (unknown.length > 0) errors.push(`Unknown scopes: ${unknown.join(', ')} (allowed: ${SCOPES.join(', ')})`);
+            }
+        }
+        if (params.expiresAt) {
+            const expiresAt = new Date(params.expiresAt);
+            if (isNaN(expiresAt.getTime())) {
+                errors.push('expiresAt must be an ISO 8601 date-time');
+            } else if (expiresAt.getTime() <= Date.now()) {
+                errors.push('expiresAt must be in the future');
+            }
+        }
+
+        return errors;
+    }
+
+    // Key record without its hash
+    toPublicView(record, lastUsedAt = null) {
+        const { hash, ...view } = record;
+        return {
+            ...view,
+            lastUsedAt: lastUsedAt || null,
+            status: record.revokedAt ? 'revoked' : (this.isActive(record) ? 'active' : 'expired')
+        };
+    }
+}
+
+// Export singleton instance
+const apiKeyService = new ApiKeyService();
+export default apiKeyService;
@@ -1,11 +1,53 @@
 import axios from 'axios';
+import { randomUUID } from 'crypto';
 import { createClient } from 'redis';
 import { authRetryHandler } from '../utils/retryHandler.js';
 import { optumAuthBreaker } from '../utils/circuitBreaker.js';
+import trafficRecorder from './TrafficRecorder.js';
+import { metrics } from '../utils/metrics.js';
+import { withSpan } from '../utils/tracing.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('AuthenticationManager');
+
+// Delete the refresh lock only if this process still holds it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+const LOCK_POLL_INTERVAL_MS = 200;
+
+const TOKEN_REQUEST_TIMEOUT_MS = 30000;
+
+// Longest a token request can take: every attempt timing out, plus the backoff between them
+const TOKEN_REFRESH_BUDGET_MS = (authRetryHandler.maxRetries + 1) * TOKEN_REQUEST_TIMEOUT_MS
+  + authRetryHandler.maxRetries * authRetryHandler.maxDelay;
+
+// Shared by every tenant's AuthenticationManager
+const tokenRefreshes = metrics.counter({
+  name: 'optum_token_refreshes_total',
+  help: 'Optum access token requests, by result (success, failure)',
+  labelNames: ['result']
+});
+
+const tokenReplays = metrics.counter({
+  name: 'optum_token_replays_total',
+  help: 'Requests replayed with a new token after Optum answered 401, by result (recovered, failed)',
+  labelNames: ['result']
+});
 
 /**
  * AuthenticationManager handles OAuth2 client credentials flow with Optum API
- * Manages token lifecycle with Redis storage and automatic refresh
+ * Manages token lifecycle with Redis storage and automatic refresh.
+ *
+ * Refreshes are single-flight: concurrent callers in a process share one refresh
+ * promise, and a Redis lock (<tokenKey>:refresh-lock, SET NX PX) lets one replica
+ * call Optum while the others wait for the token it caches. Tokens within
+ * proactiveRefreshBuffer of expiry are renewed in the background while still
+ * being served, so requests rarely wait on a refresh.
  */
 class AuthenticationManager {
   constructor(config) {
@@ -14,12 +56,21 @@ class AuthenticationManager {
       clientSecret: config.clientSecret,
       baseUrl: config.baseUrl,
       redisUrl: config.redisUrl,
-      tokenRefreshBuffer: config.tokenRefreshBuffer || 5 * 60 * 1000 // 5 minutes in ms
+      tokenRefreshBuffer: config.tokenRefreshBuffer || 5 * 60 * 1000, // 5 minutes in ms
+      proactiveRefreshBuffer: config.proactiveRefreshBuffer || 10 * 60 * 1000,
+      // The lock must outlive the refresh, or a second replica calls Optum while it runs
+      refreshLockTtlMs: Math.max(config.refreshLockTtlMs || 0, TOKEN_REFRESH_BUDGET_MS)
     };
     
     this.redisClient = null;
-    this.tokenKey = 'optum:access_token';
+    // Each set of Optum credentials caches its token under its own key
+    this.tokenKey = config.tokenKey || 'optum:access_token';
+    this.lockKey = `${this.tokenKey}:refresh-lock`;
     this.isInitialized = false;
+    this.initializing = null;
+    this.refreshing = null; // in-flight refresh shared by concurrent callers
+    this.renewing = null; // in-flight background renewal
+    this.replayStats = { replayed: 0, recovered: 0, failed: 0 }; // 401 replays by ApiClient
   }
 
   /**
@@ -27,27 +78,34 @@ class AuthenticationManager {
    */
   async initialize() {
     if (this.isInitialized) return;
+    if (this.initializing) return this.initializing;
 
-    try {
-      this.redisClient = createClient({
-        url: this.config.redisUrl
-      });
+    this.initializing = (async () => {
+      try {
+        this.redisClient = createClient({
+          url: this.config.redisUrl
+        });
 
-      this.redisClient.on('error', (err) => {
-        console.error('❌ Redis Client Error:', err);
-      });
+        this.redisClient.on('error', (err) => {
+          log.error('Redis Client Error', { error: err.message });
+        });
 
-      this.redisClient.on('connect', () => {
-        console.log('🔗 Connected to Redis');
-      });
+        this.redisClient.on('connect', () => {
+          log.info('Connected to Redis');
+        });
 
-      await this.redisClient.connect();
-      this.isInitialized = true;
-      console.log('✅ AuthenticationManager initialized');
-    } catch (error) {
-      console.error('❌ Failed to initialize AuthenticationManager:', error.message);
-      throw error;
-    }
+        await this.redisClient.connect();
+        this.isInitialized = true;
+        log.info('AuthenticationManager initialized');
+      } catch (error) {
+        log.error('Failed to initialize AuthenticationManager', { error: error.message });
+        throw error;
+      } finally {
+        this.initializing = null;
+      }
+    })();
+
+    return this.initializing;
   }
 
   /**
@@ -55,26 +113,33 @@ class AuthenticationManager {
    * @returns {Promise<string>} Access token
    */
   async getAccessToken() {
-    if (!this.isInitialized) {
-      await this.initialize();
-    }
-
-    try {
-      // Try to get token from Redis cache
-      const cachedToken = await this.getCachedToken();
-      
-      if (cachedToken && !this.isTokenExpiring(cachedToken)) {
-        console.log('🎯 Using cached access token');
-        return cachedToken.token;
+    return withSpan('AuthenticationManager.getAccessToken', {}, async (span) => {
+      if (!this.isInitialized) {
+        await this.initialize();
       }
 
-      // Token expired or doesn't exist, get new one
-      console.log('🔄 Refreshing access token');
-      return await this.refreshToken();
-    } catch (error) {
-      console.error('❌ Failed to get access token:', error.message);
-      throw error;
-    }
+      try {
+        // Try to get token from Redis cache
+        const cachedToken = await this.getCachedToken();
+
+        if (cachedToken && !this.isTokenExpiring(cachedToken)) {
+          if (this.isTokenExpiring(cachedToken, this.config.proactiveRefreshBuffer)) {
+            this.refreshInBackground(cachedToken);
+          }
+          log.debug('Using cached access token');
+          span.setAttribute('optum.token.source', 'cache');
+          return cachedToken.token;
+        }
+
+        // Token expired or doesn't exist, get new one
+        log.info('Refreshing access token');
+        span.setAttribute('optum.token.source', 'refresh');
+        return await this.refreshSingleFlight(cachedToken);
+      } catch (error) {
+        log.error('Failed to get access token', { error: error.message });
+        throw error;
+      }
+    });
   }
 
   /**
@@ -86,7 +151,7 @@ class AuthenticationManager {
       const tokenData = await this.redisClient.get(this.tokenKey);
       return tokenData ? JSON.parse(tokenData) : null;
     } catch (error) {
-      console.error('❌ Failed to get cached token:', error.message);
+      log.error('Failed to get cached token', { error: error.message });
       return null;
     }
   }
@@ -94,16 +159,137 @@ class AuthenticationManager {
   /**
    * Check if token is expiring soon
    * @param {Object} tokenData - Token data object
+   * @param {number} buffer - Milliseconds before expiry that count as expiring
    * @returns {boolean} True if token is expiring within buffer time
    */
-  isTokenExpiring(tokenData) {
+  isTokenExpiring(tokenData, buffer = this.config.tokenRefreshBuffer) {
     if (!tokenData || !tokenData.expiresAt) return true;
     
     const expiresAt = new Date(tokenData.expiresAt);
     const now = new Date();
     const timeUntilExpiry = expiresAt.getTime() - now.getTime();
     
-    return timeUntilExpiry <= this.config.tokenRefreshBuffer;
+    return timeUntilExpiry <= buffer;
+  }
+
+  /**
+   * Refresh the token once for every concurrent caller in this process
+   * @param {Object|null} staleToken - Cached token the caller found unusable, if any
+   * @returns {Promise<string>} New access token
+   */
+  refreshSingleFlight(staleToken) {
+    if (!this.refreshing) {
+      this.refreshing = this.refreshWithLock(staleToken, { wait: true })
+        .finally(() => { this.refreshing = null; });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Renew a still-valid token without making the caller wait
+   * Replicas that lose the lock skip the refresh - the winner caches the new token.
+   * @param {Object} currentToken - Cached token being served
+   */
+  refreshInBackground(currentToken) {
+    if (this.renewing || this.refreshing) return;
+
+    log.info('Renewing access token in background');
+    this.renewing = this.refreshWithLock(currentToken, { wait: false })
+      .catch(error => {
+        log.warn('Background token refresh failed', { error: error.message });
+      })
+      .finally(() => { this.renewing = null; });
+  }
+
+  /**
+   * Refresh under the cluster-wide lock, or wait for the replica that holds it
+   * @param {Object|null} staleToken - Token being replaced
+   * @param {Object} options - { wait } - false returns null instead of waiting for another replica
+   * @returns {Promise<string|null>} New access token
+   */
+  async refreshWithLock(staleToken, { wait }) {
+    // Long enough for the holder to finish, or for its lock to expire if it crashed
+    const deadline = Date.now() + this.config.refreshLockTtlMs + LOCK_POLL_INTERVAL_MS;
+
+    for (;;) {
+      const lockValue = await this.acquireRefreshLock();
+
+      if (lockValue) {
+        try {
+          // Another replica may have finished a refresh just before we got the lock
+          const newer = await this.getNewerToken(staleToken);
+          if (newer) return newer.token;
+
+          return await this.refreshToken();
+        } finally {
+          await this.releaseRefreshLock(lockValue);
+        }
+      }
+
+      if (!wait) return null;
+
+      // Wait for the lock holder to cache its token; retry the lock if it gave up or crashed
+      log.info('Waiting for another replica to refresh the access token');
+      while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, LOCK_POLL_INTERVAL_MS));
+
+        const newer = await this.getNewerToken(staleToken);
+        if (newer) return newer.token;
+
+        if (!(await this.isRefreshLocked())) break;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error('Timed out waiting for access token refresh');
+      }
+    }
+  }
+
+  // A usable token other than the one being replaced, or null
+  async getNewerToken(staleToken) {
+    const cachedToken = await this.getCachedToken();
+    if (!cachedToken || this.isTokenExpiring(cachedToken)) return null;
+    if (staleToken && cachedToken.token === staleToken.token) return null;
+    return cachedToken;
+  }
+
+  /**
+   * Take the refresh lock
+   * Without Redis every replica refreshes on its own rather than failing.
+   * @returns {Promise<string|null>} Lock value to release with, or null if another replica holds it
+   */
+  async acquireRefreshLock() {
+    const lockValue = randomUUID();
+
+    try {
+      const acquired = await this.redisClient.set(this.lockKey, lockValue, {
+        NX: true,
+        PX: this.config.refreshLockTtlMs
+      });
+      return acquired ? lockValue : null;
+    } catch (error) {
+      log.error('Failed to take token refresh lock, refreshing without it', { error: error.message });
+      return lockValue;
+    }
+  }
+
+  async releaseRefreshLock(lockValue) {
+    try {
+      await this.redisClient.eval(RELEASE_LOCK_SCRIPT, {
+        keys: [this.lockKey],
+        arguments: [lockValue]
+      });
+    } catch (error) {
+      log.error('Failed to release token refresh lock', { error: error.message });
+    }
+  }
+
+  async isRefreshLocked() {
+    try {
+      return (await this.redisClient.exists(this.lockKey)) === 1;
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
@@ -120,20 +306,26 @@ class AuthenticationManager {
         grant_type: 'client_credentials'
       };
 
-      console.log('🔐 Authenticating with Optum API...');
-      
-      // Use circuit breaker with retry handler for authentication requests
-      const response = await optumAuthBreaker.fire(
-        () => axios.post(authUrl, requestData, {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }),
-        'Optum authentication',
-        'auth-request',
-        authRetryHandler
-      );
+      log.info('Authenticating with Optum API...');
+
+      let response;
+      if (trafficRecorder.isReplaying()) {
+        // Replayed traffic needs no real token, and must not reach the network for one
+        response = { status: 200, data: { access_token: 'replay-token', token_type: 'Bearer', expires_in: 3600 } };
+      } else {
+        // Use circuit breaker with retry handler for authentication requests
+        response = await optumAuthBreaker.fire(
+          () => axios.post(authUrl, requestData, {
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            timeout: TOKEN_REQUEST_TIMEOUT_MS
+          }),
+          'Optum authentication',
+          'auth-request',
+          authRetryHandler
+        );
+      }
 
       if (response.status !== 200) {
         throw new Error(`Authentication failed with status: ${response.status}`);
@@ -159,22 +351,24 @@ class AuthenticationManager {
       // Store in Redis with TTL
       await this.cacheToken(tokenData, expires_in || 3600);
 
-      console.log(`✅ New access token obtained, expires at: ${expiresAt.toISOString()}`);
+      tokenRefreshes.inc({ result: 'success' });
+      log.info('New access token obtained', { expiresAt: expiresAt.toISOString() });
       return access_token;
 
     } catch (error) {
+      tokenRefreshes.inc({ result: 'failure' });
       if (error.response) {
-        console.error('❌ Optum API authentication error:', {
+        log.error('Optum API authentication error', {
           status: error.response.status,
           statusText: error.response.statusText,
           data: error.response.data
         });
         throw new Error(`Optum authentication failed: ${error.response.status} ${error.response.statusText}`);
       } else if (error.request) {
-        console.error('❌ Network error during authentication:', error.message);
+        log.error('Network error during authentication', { error: error.message });
         throw new Error('Network error during authentication');
       } else {
-        console.error('❌ Authentication error:', error.message);
+        log.error('Authentication error', { error: error.message });
         throw error;
       }
     }
@@ -192,25 +386,49 @@ class AuthenticationManager {
         ttlSeconds,
         JSON.stringify(tokenData)
       );
-      console.log(`💾 Token cached in Redis with TTL: ${ttlSeconds}s`);
+      log.debug('Token cached in Redis', { ttlSeconds });
     } catch (error) {
-      console.error('❌ Failed to cache token:', error.message);
+      log.error('Failed to cache token', { error: error.message });
       // Don't throw here - authentication can still work without caching
     }
   }
 
   /**
    * Clear cached token (useful for testing or forced refresh)
+   * @param {string} rejectedToken - Only clear if this is still the cached token, so a
+   *   token another request or replica already replaced is kept
    */
-  async clearToken() {
+  async clearToken(rejectedToken) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
     try {
+      if (rejectedToken) {
+        const cachedToken = await this.getCachedToken();
+        if (cachedToken?.token !== rejectedToken) {
+          log.info('Rejected token was already replaced');
+          return;
+        }
+      }
+
       await this.redisClient.del(this.tokenKey);
-      console.log('🗑️ Cached token cleared');
+      log.info('Cached token cleared');
     } catch (error) {
-      console.error('❌ Failed to clear token:', error.message);
+      log.error('Failed to clear token', { error: error.message });
     }
   }
 
+  /**
+   * Count a request replayed after Optum rejected its token
+   * @param {boolean} recovered - The replay succeeded
+   */
+  recordTokenReplay(recovered) {
+    this.replayStats.replayed++;
+    this.replayStats[recovered ? 'recovered' : 'failed']++;
+    tokenReplays.inc({ result: recovered ? 'recovered' : 'failed' });
+  }
+
   /**
    * Get token info (for debugging/monitoring)
    * @returns {Promise<Object|null>} Token information
@@ -247,6 +465,7 @@ class AuthenticationManager {
           expiring: tokenInfo.isExpiring,
           expiresAt: tokenInfo.expiresAt
         } : null,
+        unauthorizedReplays: { ...this.replayStats },
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -264,7 +483,7 @@ class AuthenticationManager {
   async close() {
     if (this.redisClient) {
       await this.redisClient.quit();
-      console.log('🔌 Redis connection closed');
+      log.info('Redis connection closed');
     }
   }
 }
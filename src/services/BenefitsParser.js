@@ -0,0 +1,259 @@
+import ServiceTypeManager from './ServiceTypeManager.js';
+
+// X12 271 EB01 benefit information codes this parser turns into amounts
+const BENEFIT_CATEGORIES = {
+    A: 'coinsurance',
+    B: 'copay',
+    C: 'deductible',
+    F: 'limitations',
+    G: 'outOfPocketMax'
+};
+
+// EB01 codes that describe coverage status rather than amounts
+const STATUS_CODES = {
+    '1': 'active',
+    '2': 'active', // Active - Full Risk Capitation
+    '3': 'active', // Active - Services Capitated
+    '4': 'active', // Active - Services Capitated to Primary Care Physician
+    '5': 'active', // Active - Pending Investigation
+    '6': 'inactive',
+    '7': 'inactive', // Inactive - Pending Eligibility Update
+    '8': 'inactive', // Inactive - Pending Investigation
+    I: 'non_covered'
+};
+
+// EB02 coverage level codes
+const COVERAGE_LEVELS = {
+    IND: 'individual',
+    FAM: 'family',
+    EMP: 'employee',
+    ESP: 'employee_and_spouse',
+    ECH: 'employee_and_children',
+    CHD: 'children',
+    DEP: 'dependents',
+    SPC: 'spouse_and_children',
+    SPO: 'spouse'
+};
+
+// EB06 time period qualifiers
+const TIME_PERIODS = {
+    '6': 'hour',
+    '7': 'day',
+    '21': 'years',
+    '22': 'service_year',
+    '23': 'calendar_year',
+    '24': 'year_to_date',
+    '25': 'contract',
+    '26': 'episode',
+    '27': 'visit',
+    '28': 'outlier',
+    '29': 'remaining',
+    '30': 'exceeded',
+    '31': 'not_exceeded',
+    '32': 'lifetime',
+    '33': 'lifetime_remaining',
+    '34': 'month',
+    '35': 'week',
+    '36': 'admission'
+};
+
+const REMAINING_PERIODS = ['remaining', 'lifetime_remaining'];
+const MET_PERIODS = ['year_to_date'];
+
+/**
+ * BenefitsParser builds the full benefits breakdown for ?detail=full
+ * Groups every 271 benefit by service type, insurance type, network and
+ * coverage level, and turns deductibles, out-of-pocket maximums, copays,
+ * coinsurance and limitations into typed numbers.
+ */
+class BenefitsParser {
+    constructor(serviceTypeManager = new ServiceTypeManager()) {
+        this.serviceTypeManager = serviceTypeManager;
+    }
+
+    /**
+     * Parse all benefits in an Optum eligibility response
+     * @param {Object} response - Optum eligibility response
+     * @returns {Object} Benefit details keyed by service type code
+     */
+    parseBenefitDetails(response) {
+        const details = {};
+        const benefits = response.benefitsInformation || response.subscriber?.benefitsInformation || [];
+
+        for (const benefit of benefits) {
+            // A benefit without service types applies to the plan as a whole (30)
+            const serviceTypeCodes = benefit.serviceTypeCodes?.length ? benefit.serviceTypeCodes : ['30'];
+
+            for (const serviceTypeCode of serviceTypeCodes) {
+                const serviceDetail = details[serviceTypeCode] || (details[serviceTypeCode] = this.createServiceDetail(serviceTypeCode));
+                this.applyBenefit(serviceDetail, benefit);
+            }
+        }
+
+        for (const serviceDetail of Object.values(details)) {
+            this.deriveAccumulators(serviceDetail);
+        }
+
+        return details;
+    }
+
+    createServiceDetail(serviceTypeCode) {
+        return {
+            serviceTypeCode,
+            serviceType: this.serviceTypeManager.getDescription(serviceTypeCode) || 'Unknown Service',
+            status: 'unknown',
+            authOrCertIndicator: null,
+            plans: {}
+        };
+    }
+
+    // Fold one benefit entry into a service type's detail
+    applyBenefit(serviceDetail, benefit) {
+        const statusValue = STATUS_CODES[benefit.code];
+        if (statusValue && (serviceDetail.status === 'unknown' || statusValue === 'active')) {
+            serviceDetail.status = statusValue;
+        }
+
+        const authCode = this.getAuthOrCertCode(benefit);
+        if (authCode && (!serviceDetail.authOrCertIndicator || authCode === 'Y')) {
+            serviceDetail.authOrCertIndicator = authCode;
+        }
+
+        const category = BENEFIT_CATEGORIES[benefit.code];
+        if (!category) return;
+
+        const insuranceTypeCode = benefit.insuranceTypeCode || 'default';
+        const plan = serviceDetail.plans[insuranceTypeCode] || (serviceDetail.plans[insuranceTypeCode] = {
+            insuranceTypeCode: benefit.insuranceTypeCode || null,
+            insuranceType: benefit.insuranceType || null,
+            networks: {}
+        });
+        plan.insuranceType = plan.insuranceType || benefit.insuranceType || null;
+
+        const network = this.getNetwork(benefit);
+        const level = COVERAGE_LEVELS[benefit.coverageLevelCode] || 'unspecified';
+        const networkGroup = plan.networks[network] || (plan.networks[network] = {});
+        const bucket = networkGroup[level] || (networkGroup[level] = this.createLevelBucket());
+
+        const period = TIME_PERIODS[benefit.timeQualifierCode] || null;
+        const amount = this.toNumber(benefit.benefitAmount);
+
+        switch (category) {
+            case 'deductible':
+            case 'outOfPocketMax':
+                this.applyAccumulator(bucket, category, amount, period);
+                break;
+            case 'copay':
+                if (amount !== null) {
+                    bucket.copay = { amount, period };
+                }
+                break;
+            case 'coinsurance': {
+                const percent = this.toPercent(benefit.benefitPercent);
+                if (percent !== null) {
+                    bucket.coinsurance = { percent, period };
+                }
+                break;
+            }
+            case 'limitations':
+                bucket.limitations.push({
+                    amount,
+                    quantity: this.toNumber(benefit.benefitQuantity),
+                    quantityQualifier: benefit.quantityQualifier || benefit.quantityQualifierCode || null,
+                    period,
+                    description: benefit.additionalInformation?.map(info => info.description).join('; ') || null
+                });
+                break;
+        }
+    }
+
+    createLevelBucket() {
+        return {
+            deductible: null,
+            outOfPocketMax: null,
+            copay: null,
+            coinsurance: null,
+            limitations: []
+        };
+    }
+
+    // Deductible/OOP entries arrive as separate total, remaining and year-to-date rows
+    applyAccumulator(bucket, category, amount, period) {
+        if (amount === null) return;
+
+        const accumulator = bucket[category] || (bucket[category] = {
+            total: null,
+            remaining: null,
+            metToDate: null,
+            period: null
+        });
+
+        if (REMAINING_PERIODS.includes(period)) {
+            accumulator.remaining = amount;
+        } else if (MET_PERIODS.includes(period)) {
+            accumulator.metToDate = amount;
+        } else {
+            accumulator.total = amount;
+            accumulator.period = period;
+        }
+    }
+
+    // Fill in met-to-date or remaining from the total when the payer sent only one of them
+    deriveAccumulators(serviceDetail) {
+        for (const plan of Object.values(serviceDetail.plans)) {
+            for (const networkGroup of Object.values(plan.networks)) {
+                for (const bucket of Object.values(networkGroup)) {
+                    for (const accumulator of [bucket.deductible, bucket.outOfPocketMax]) {
+                        if (!accumulator || accumulator.total === null) continue;
+
+                        if (accumulator.metToDate === null && accumulator.remaining !== null) {
+                            accumulator.metToDate = Math.max(0, accumulator.total - accumulator.remaining);
+                        } else if (accumulator.remaining === null && accumulator.metToDate !== null) {
+                            accumulator.remaining = Math.max(0, accumulator.total - accumulator.metToDate);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // inPlanNetworkIndicator may arrive as a code (Y/N/W) or as text (Yes/No/Not Applicable)
+    getNetwork(benefit) {
+        const value = benefit.inPlanNetworkIndicatorCode || benefit.inPlanNetworkIndicator;
+        switch (value) {
+            case 'Y':
+            case 'Yes':
+                return 'in_network';
+            case 'N':
+            case 'No':
+                return 'out_of_network';
+            case 'W':
+            case 'Not Applicable':
+                return 'not_applicable';
+            default:
+                return 'unspecified';
+        }
+    }
+
+    // authOrCertIndicator may arrive as a code (Y/N/U) or as text (Yes/No/Unknown)
+    getAuthOrCertCode(benefit) {
+        const value = benefit.authOrCertIndicatorCode || benefit.authOrCertIndicator;
+        if (!value) return null;
+        return { Yes: 'Y', No: 'N', Unknown: 'U' }[value] || value;
+    }
+
+    toNumber(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    // benefitPercent is normally a fraction (0.2); some payers send a whole percentage (20)
+    toPercent(value) {
+        const number = this.toNumber(value);
+        if (number === null) return null;
+        return number <= 1 ? Math.round(number * 10000) / 100 : number;
+    }
+}
+
+export default BenefitsParser;
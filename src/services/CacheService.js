@@ -1,5 +1,19 @@
 import { createClient } from 'redis';
+import { createHash, randomUUID } from 'crypto';
+import { canonicalize } from '../utils/canonicalize.js';
 import config from '../utils/config.js';
+import { metrics } from '../utils/metrics.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('CacheService');
+
+// Delete a lease only if its holder still owns it
+const RELEASE_LEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
 
 class CacheService {
     constructor() {
@@ -15,6 +29,9 @@ class CacheService {
         };
         this.keyPrefix = config.cache.keyPrefix || 'optum:eligibility:';
         this.defaultTTL = config.cache.ttlSeconds || 300; // 5 minutes
+        this.inactiveTTL = config.cache.inactiveTtlSeconds || 120;
+        this.errorTTL = config.cache.errorTtlSeconds || 30;
+        this.softTTL = config.cache.softTtlSeconds || 120;
     }
 
     // Initialize Redis connection
@@ -32,51 +49,67 @@ class CacheService {
 
             // Set up event listeners
             this.client.on('error', (err) => {
-                console.error('❌ Redis Client Error:', err.message);
+                log.error('Redis Client Error', { error: err.message });
                 this.stats.errors++;
                 this.isConnected = false;
             });
 
             this.client.on('connect', () => {
-                console.log('🔗 Redis connecting...');
+                log.debug('Redis connecting...');
             });
 
             this.client.on('ready', () => {
-                console.log('✅ Redis connected and ready');
+                log.info('Redis connected and ready');
                 this.isConnected = true;
             });
 
             this.client.on('end', () => {
-                console.log('🔌 Redis connection ended');
+                log.info('Redis connection ended');
                 this.isConnected = false;
             });
 
             this.client.on('reconnecting', () => {
-                console.log('🔄 Redis reconnecting...');
+                log.info('Redis reconnecting...');
             });
 
             await this.client.connect();
-            console.log('✅ CacheService initialized');
+            log.info('CacheService initialized');
         } catch (error) {
-            console.error('❌ Failed to initialize CacheService:', error.message);
+            log.error('Failed to initialize CacheService', { error: error.message });
             this.isConnected = false;
             throw error;
         }
     }
 
     // Generate cache key for eligibility requests
-    generateEligibilityKey(request) {
-        // Create a deterministic key based on request parameters
+    // Tenants never share entries - each queries Optum under its own contract
+    generateEligibilityKey(request, tenantId) {
+        return `${this.keyPrefix}eligibility:${this.getEligibilityHash(request, tenantId)}`;
+    }
+
+    // Lease held by the replica fetching an eligibility request from Optum
+    generateLeaseKey(request, tenantId) {
+        return `${this.keyPrefix}lease:${this.getEligibilityHash(request, tenantId)}`;
+    }
+
+    // SHA-256 of the canonical request parameters. Patients sharing a member ID (a family on one
+    // card, a mistyped DOB) must never get each other's 271, so subscriber demographics are part of it.
+    getEligibilityHash(request, tenantId) {
+        // Copy before sorting so the caller's serviceTypeCodes order is left untouched
+        const subscriber = request.subscriber || {};
         const keyData = {
-            memberId: request.subscriber?.memberId,
+            tenant: tenantId,
+            memberId: subscriber.memberId,
+            subscriber: `${subscriber.firstName || ''}|${subscriber.lastName || ''}|${subscriber.dateOfBirth || ''}`.toUpperCase(),
             npi: request.provider?.npi,
-            serviceTypes: request.encounter?.serviceTypeCodes?.sort(),
-            dateOfService: request.encounter?.beginningDateOfService
+            tradingPartnerServiceId: request.tradingPartnerServiceId,
+            serviceTypes: request.encounter?.serviceTypeCodes ? [...request.encounter.serviceTypeCodes].sort() : undefined,
+            dateOfService: request.encounter?.beginningDateOfService,
+            endDateOfService: request.encounter?.endDateOfService,
+            dependents: request.dependents?.map(d => `${d.firstName}|${d.lastName}|${d.dateOfBirth}`.toUpperCase())
         };
         
-        const keyString = JSON.stringify(keyData);
-        const hash = this.simpleHash(keyString);
-        return `${this.keyPrefix}eligibility:${hash}`;
+        return createHash('sha256').update(JSON.stringify(canonicalize(keyData))).digest('hex');
     }
 
     // Generate cache key for tokens
@@ -85,72 +118,196 @@ class CacheService {
     }
 
     // Get cached eligibility response
-    async getEligibilityResponse(request, correlationId = 'unknown') {
+    async getEligibilityResponse(request, correlationId = 'unknown', tenantId) {
         if (!this.isConnected) {
-            console.warn(`⚠️ [${correlationId}] Redis not connected, skipping cache lookup`);
+            log.warn('Redis not connected, skipping cache lookup', { correlationId });
             return null;
         }
 
         try {
             this.stats.totalRequests++;
-            const key = this.generateEligibilityKey(request);
+            const key = this.generateEligibilityKey(request, tenantId);
             
-            console.log(`🔍 [${correlationId}] Cache lookup: ${key}`);
+            log.debug('Cache lookup', { correlationId, key });
             const cached = await this.client.get(key);
             
             if (cached) {
                 this.stats.hits++;
-                const data = JSON.parse(cached);
-                console.log(`✅ [${correlationId}] Cache HIT - Age: ${this.getCacheAge(data.cachedAt)}`);
-                
-                // Add cache metadata
-                data.cacheMetadata = {
-                    hit: true,
-                    key: key,
-                    cachedAt: data.cachedAt,
-                    age: this.getCacheAge(data.cachedAt)
-                };
+                const data = this.withCacheMetadata(key, JSON.parse(cached));
+                log.info('Cache HIT', { correlationId, stale: data.cacheMetadata.stale, age: data.cacheMetadata.age });
                 
                 return data;
             } else {
                 this.stats.misses++;
-                console.log(`❌ [${correlationId}] Cache MISS`);
+                log.info('Cache MISS', { correlationId });
                 return null;
             }
         } catch (error) {
             this.stats.errors++;
-            console.error(`❌ [${correlationId}] Cache lookup error:`, error.message);
+            log.error('Cache lookup error', { correlationId, error: error.message });
             return null; // Fail gracefully
         }
     }
 
+    // Add cache metadata to a cached entry
+    withCacheMetadata(key, data) {
+        data.cacheMetadata = {
+            hit: true,
+            key: key,
+            cachedAt: data.cachedAt,
+            age: this.getCacheAge(data.cachedAt),
+            ttl: data.ttl,
+            expiresAt: data.expiresAt,
+            stale: this.isStale(data)
+        };
+        return data;
+    }
+
+    /**
+     * Read a cached eligibility response without counting a lookup
+     * Used while waiting for another replica's response to an identical request.
+     * @param {Object} request - Eligibility request
+     * @param {string} tenantId - Tenant the entry belongs to
+     * @returns {Promise<Object|null>} Cached response with cacheMetadata, or null
+     */
+    async peekEligibilityResponse(request, tenantId) {
+        if (!this.isConnected) return null;
+
+        try {
+            const key = this.generateEligibilityKey(request, tenantId);
+            const cached = await this.client.get(key);
+            return cached ? this.withCacheMetadata(key, JSON.parse(cached)) : null;
+        } catch (error) {
+            this.stats.errors++;
+            return null;
+        }
+    }
+
+    /**
+     * Take the lease for fetching an eligibility request from Optum
+     * @param {Object} request - Eligibility request
+     * @param {string} tenantId - Tenant making the request
+     * @param {number} ttlMs - Lease lifetime; a crashed holder frees it after this
+     * @returns {Promise<string|null>} Lease value, or null if another replica holds it.
+     *   Without Redis every replica gets a lease.
+     */
+    async acquireEligibilityLease(request, tenantId, ttlMs) {
+        const leaseValue = randomUUID();
+        if (!this.isConnected) return leaseValue;
+
+        try {
+            const acquired = await this.client.set(this.generateLeaseKey(request, tenantId), leaseValue, { NX: true, PX: ttlMs });
+            return acquired ? leaseValue : null;
+        } catch (error) {
+            this.stats.errors++;
+            return leaseValue;
+        }
+    }
+
+    async releaseEligibilityLease(request, tenantId, leaseValue) {
+        if (!this.isConnected) return;
+
+        try {
+            await this.client.eval(RELEASE_LEASE_SCRIPT, {
+                keys: [this.generateLeaseKey(request, tenantId)],
+                arguments: [leaseValue]
+            });
+        } catch (error) {
+            this.stats.errors++;
+            log.error('Failed to release eligibility lease', { error: error.message });
+        }
+    }
+
+    async hasEligibilityLease(request, tenantId) {
+        if (!this.isConnected) return false;
+
+        try {
+            return (await this.client.exists(this.generateLeaseKey(request, tenantId))) === 1;
+        } catch (error) {
+            return false;
+        }
+    }
+
     // Cache eligibility response
-    async setEligibilityResponse(request, response, correlationId = 'unknown', ttl = null) {
+    async setEligibilityResponse(request, response, correlationId = 'unknown', ttl = null, tenantId) {
         if (!this.isConnected) {
-            console.warn(`⚠️ [${correlationId}] Redis not connected, skipping cache set`);
+            log.warn('Redis not connected, skipping cache set', { correlationId });
             return;
         }
 
         try {
-            const key = this.generateEligibilityKey(request);
+            const key = this.generateEligibilityKey(request, tenantId);
+            const ttlSeconds = ttl || this.getEligibilityTTL(response);
+            const now = Date.now();
+            const { cacheMetadata, ...payload } = response;
             const cacheData = {
-                ...response,
-                cachedAt: new Date().toISOString(),
+                ...payload,
+                cachedAt: new Date(now).toISOString(),
+                ttl: ttlSeconds,
+                expiresAt: new Date(now + ttlSeconds * 1000).toISOString(),
                 originalCorrelationId: correlationId
             };
             
-            const ttlSeconds = ttl || this.defaultTTL;
             await this.client.setEx(key, ttlSeconds, JSON.stringify(cacheData));
             
             this.stats.sets++;
-            console.log(`💾 [${correlationId}] Cached response: ${key} (TTL: ${ttlSeconds}s)`);
+            log.info('Cached response', { correlationId, key, ttlSeconds });
         } catch (error) {
             this.stats.errors++;
-            console.error(`❌ [${correlationId}] Cache set error:`, error.message);
+            log.error('Cache set error', { correlationId, error: error.message });
             // Don't throw - caching failures shouldn't break the main flow
         }
     }
 
+    // Pick a TTL from the eligibility outcome - payer errors and inactive coverage
+    // are re-checked sooner since they are often fixed by correcting member data
+    getEligibilityTTL(response) {
+        if (!response || response.eligibilityStatus === 'error') return this.errorTTL;
+        if (!response.eligible) return this.inactiveTTL;
+        return this.defaultTTL;
+    }
+
+    // An entry is stale once it passes the soft TTL; only entries that outlive
+    // the soft TTL (active coverage by default) are ever served stale
+    isStale(cacheData) {
+        if (!cacheData?.cachedAt) return false;
+        const ageSeconds = (Date.now() - new Date(cacheData.cachedAt).getTime()) / 1000;
+        return ageSeconds >= this.softTTL;
+    }
+
+    /**
+     * Drop all cached eligibility responses (tokens are kept)
+     * @param {string} correlationId - Correlation ID for logging
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async clearEligibilityResponses(correlationId = 'unknown') {
+        if (!this.isConnected) {
+            throw new Error('Redis not connected');
+        }
+
+        let deleted = 0;
+        for await (const key of this.client.scanIterator({ MATCH: `${this.keyPrefix}eligibility:*`, COUNT: 500 })) {
+            deleted += await this.client.unlink(key);
+        }
+
+        this.stats.deletes += deleted;
+        log.info(`Cleared ${deleted} cached eligibility responses`, { correlationId });
+        return deleted;
+    }
+
+    // Hit/miss counters since startup
+    getStats() {
+        const hitRate = this.stats.totalRequests > 0
+            ? ((this.stats.hits / this.stats.totalRequests) * 100).toFixed(2) + '%'
+            : 'N/A';
+
+        return {
+            ...this.stats,
+            hitRate,
+            connected: this.isConnected
+        };
+    }
+
     // Get cached token
     async getToken(identifier) {
         if (!this.isConnected) return null;
@@ -161,14 +318,14 @@ class CacheService {
             
             if (cached) {
                 const data = JSON.parse(cached);
-                console.log(`🎯 Token cache HIT: ${identifier}`);
+                log.debug('Token cache HIT', { identifier });
                 return data;
             } else {
-                console.log(`❌ Token cache MISS: ${identifier}`);
+                log.debug('Token cache MISS', { identifier });
                 return null;
             }
         } catch (error) {
-            console.error(`❌ Token cache lookup error:`, error.message);
+            log.error('Token cache lookup error', { error: error.message });
             return null;
         }
     }
@@ -180,9 +337,9 @@ class CacheService {
         try {
             const key = this.generateTokenKey(identifier);
             await this.client.setEx(key, ttl, JSON.stringify(tokenData));
-            console.log(`💾 Token cached: ${identifier} (TTL: ${ttl}s)`);
+            log.debug('Token cached', { identifier, ttlSeconds: ttl });
         } catch (error) {
-            console.error(`❌ Token cache set error:`, error.message);
+            log.error('Token cache set error', { error: error.message });
         }
     }
 
@@ -226,28 +383,33 @@ class CacheService {
         return `${Math.floor(ageSeconds / 3600)}h`;
     }
 
-    // Simple hash function for cache keys
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash).toString(36);
-    }
-
-
-
     // Close Redis connection
     async close() {
         if (this.client && this.isConnected) {
             await this.client.quit();
-            console.log('🔌 CacheService connection closed');
+            log.info('CacheService connection closed');
         }
     }
 }
 
 // Export singleton instance
 const cacheService = new CacheService();
-export default cacheService;
\ No newline at end of file
+
+// Copied from cacheService.stats on every scrape
+metrics.counter({
+    name: 'cache_hits_total',
+    help: 'Eligibility cache lookups that found a response',
+    collect: (counter) => counter.set({}, cacheService.stats.hits)
+});
+metrics.counter({
+    name: 'cache_misses_total',
+    help: 'Eligibility cache lookups that found nothing',
+    collect: (counter) => counter.set({}, cacheService.stats.misses)
+});
+metrics.counter({
+    name: 'cache_errors_total',
+    help: 'Eligibility cache operations that failed',
+    collect: (counter) => counter.set({}, cacheService.stats.errors)
+});
+
+export default cacheService;
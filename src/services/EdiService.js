@@ -0,0 +1,669 @@
+import { ValidationError } from '../middleware/errorHandler.js';
+import config from '../utils/config.js';
+
+const IMPLEMENTATION_GUIDE = '005010X279A1';
+
+// Delimiters used when building; parsing reads them from the incoming ISA segment
+const DELIMITERS = {
+    element: '*',
+    repetition: '^',
+    component: ':',
+    segment: '~'
+};
+
+// 2100B REF qualifier used for provider.serviceProviderNumber (Provider Plan Network Identification Number)
+const PROVIDER_NUMBER_QUALIFIER = 'N5';
+
+// EB01 eligibility or benefit information codes
+const BENEFIT_NAMES = {
+    '1': 'Active Coverage',
+    '2': 'Active - Full Risk Capitation',
+    '3': 'Active - Services Capitated',
+    '4': 'Active - Services Capitated to Primary Care Physician',
+    '5': 'Active - Pending Investigation',
+    '6': 'Inactive',
+    '7': 'Inactive - Pending Eligibility Update',
+    '8': 'Inactive - Pending Investigation',
+    A: 'Co-Insurance',
+    B: 'Co-Payment',
+    C: 'Deductible',
+    CB: 'Coverage Basis',
+    D: 'Benefit Description',
+    E: 'Exclusions',
+    F: 'Limitations',
+    G: 'Out of Pocket (Stop Loss)',
+    H: 'Unlimited',
+    I: 'Non-Covered',
+    J: 'Cost Containment',
+    K: 'Reserve',
+    L: 'Primary Care Provider',
+    M: 'Pre-existing Condition',
+    MC: 'Managed Care Coordinator',
+    N: 'Services Restricted to Following Provider',
+    O: 'Not Deemed a Medical Necessity',
+    P: 'Benefit Disclaimer',
+    Q: 'Second Surgical Opinion Required',
+    R: 'Other or Additional Payor',
+    S: 'Prior Year(s) History',
+    T: 'Card(s) Reported Lost/Stolen',
+    U: 'Contact Following Entity for Eligibility or Benefit Information',
+    V: 'Cannot Process',
+    W: 'Other Source of Data',
+    X: 'Health Care Facility',
+    Y: 'Spend Down'
+};
+
+const ACTIVE_CODES = ['1', '2', '3', '4', '5'];
+const INACTIVE_CODES = ['6', '7', '8'];
+
+// DTP01 qualifiers mapped to planDateInformation / benefitsDateInformation keys
+const DATE_QUALIFIERS = {
+    '096': 'discharge',
+    '193': 'periodStart',
+    '194': 'periodEnd',
+    '291': 'plan',
+    '292': 'benefit',
+    '295': 'primaryCareProvider',
+    '304': 'latestVisitOrConsultation',
+    '307': 'eligibility',
+    '318': 'added',
+    '346': 'planBegin',
+    '347': 'planEnd',
+    '348': 'benefitBegin',
+    '349': 'benefitEnd',
+    '356': 'eligibilityBegin',
+    '357': 'eligibilityEnd',
+    '435': 'admission',
+    '472': 'service',
+    '539': 'policyEffective',
+    '540': 'policyExpiration',
+    '636': 'lastUpdated'
+};
+
+// AAA03 reject reason codes
+const REJECT_REASONS = {
+    '15': 'Required application data missing',
+    '41': 'Authorization/Access Restrictions',
+    '42': 'Unable to Respond at Current Time',
+    '43': 'Invalid/Missing Provider Identification',
+    '44': 'Invalid/Missing Provider Name',
+    '45': 'Invalid/Missing Provider Specialty',
+    '47': 'Invalid/Missing Provider State',
+    '48': 'Invalid/Missing Referring Provider Identification Number',
+    '50': 'Provider Ineligible for Inquiries',
+    '51': 'Provider Not on File',
+    '52': 'Service Dates Not Within Provider Plan Enrollment',
+    '53': 'Inquired Benefit Inconsistent with Provider Type',
+    '56': 'Inappropriate Date',
+    '57': 'Invalid/Missing Date(s) of Service',
+    '58': 'Invalid/Missing Date-of-Birth',
+    '60': 'Date of Birth Follows Date(s) of Service',
+    '61': 'Date of Death Precedes Date(s) of Service',
+    '62': 'Date of Service Not Within Allowable Inquiry Period',
+    '63': 'Date of Service in Future',
+    '64': 'Invalid/Missing Patient ID',
+    '65': 'Invalid/Missing Patient Name',
+    '66': 'Invalid/Missing Patient Gender Code',
+    '67': 'Patient Not Found',
+    '68': 'Duplicate Patient ID Number',
+    '71': 'Patient Birth Date Does Not Match That for the Patient on the Database',
+    '72': 'Invalid/Missing Subscriber/Insured ID',
+    '73': 'Invalid/Missing Subscriber/Insured Name',
+    '74': 'Invalid/Missing Subscriber/Insured Gender Code',
+    '75': 'Subscriber/Insured Not Found',
+    '76': 'Duplicate Subscriber/Insured ID Number',
+    '77': 'Subscriber Found, Patient Not Found',
+    '78': 'Subscriber/Insured Not in Group/Plan Identified',
+    '79': 'Invalid Participant Identification',
+    '80': 'No Response received - Transaction Terminated',
+    '97': 'Invalid or Missing Provider Address',
+    T4: 'Payer Name or Identifier Missing'
+};
+
+// HL03 hierarchical level codes
+const LEVELS = {
+    '20': 'payer',
+    '21': 'provider',
+    '22': 'subscriber',
+    '23': 'dependent'
+};
+
+const LEVEL_LOOPS = {
+    payer: '2100A',
+    provider: '2100B',
+    subscriber: '2100C',
+    dependent: '2100D'
+};
+
+const RELATIONSHIPS = {
+    '01': 'Spouse',
+    '18': 'Self',
+    '19': 'Child',
+    '34': 'Other Adult'
+};
+
+/**
+ * EdiService converts between the JSON eligibility shapes and raw X12
+ * Builds 005010X279A1 270 inquiries from the request EligibilityService.prepareOptumRequest
+ * produces, and parses 271 responses into the object SimpleResponseParser consumes.
+ * Only the first transaction set of an interchange is read.
+ */
+class EdiService {
+    /**
+     * Build a 270 interchange
+     * @param {Object} request - Request in prepareOptumRequest shape
+     * @param {Object} options - Build options
+     * @param {Date} options.date - Interchange date (defaults to now)
+     * @returns {string} X12 270 interchange
+     */
+    build270(request, options = {}) {
+        const errors = this.get270Errors(request);
+        if (errors.length > 0) {
+            throw new ValidationError(`Cannot build 270: ${errors.join(', ')}`, errors);
+        }
+
+        const date = options.date || new Date();
+        const { ccyymmdd, yymmdd, hhmm } = this.formatDate(date);
+        const controlNumber = request.controlNumber;
+        const dependents = request.dependents || [];
+
+        const transaction = [
+            ['ST', '270', '0001', IMPLEMENTATION_GUIDE],
+            ['BHT', '0022', '13', controlNumber, ccyymmdd, hhmm],
+
+            // 2000A / 2100A information source (payer)
+            ['HL', '1', '', '20', '1'],
+            ['NM1', 'PR', '2', request.tradingPartnerName || request.tradingPartnerServiceId, '', '', '', '', 'PI', request.tradingPartnerServiceId],
+
+            // 2000B / 2100B information receiver (provider)
+            ['HL', '2', '1', '21', '1'],
+            ['NM1', '1P', '2', request.provider.organizationName, '', '', '', '', 'XX', request.provider.npi],
+            ...(request.provider.serviceProviderNumber
+                ? [['REF', PROVIDER_NUMBER_QUALIFIER, request.provider.serviceProviderNumber]]
+                : []),
+            ...(request.provider.providerCode
+                ? [request.provider.referenceIdentification
+                    ? ['PRV', request.provider.providerCode, 'PXC', request.provider.referenceIdentification]
+                    : ['PRV', request.provider.providerCode]]
+                : []),
+
+            // 2000C / 2100C subscriber
+            ['HL', '3', '2', '22', dependents.length > 0 ? '1' : '0'],
+            ...this.buildTrace(controlNumber),
+            ['NM1', 'IL', '1', request.subscriber.lastName, request.subscriber.firstName, request.subscriber.middleName, '', '', 'MI', request.subscriber.memberId],
+            ...(request.subscriber.ssn ? [['REF', 'SY', request.subscriber.ssn]] : []),
+            ['DMG', 'D8', request.subscriber.dateOfBirth, request.subscriber.gender]
+        ];
+
+        // Dates and service types belong to the patient - the subscriber only when there are no dependents
+        if (dependents.length === 0) {
+            transaction.push(...this.buildInquirySegments(request.encounter));
+        }
+
+        dependents.forEach((dependent, index) => {
+            transaction.push(
+                // 2000D / 2100D dependent
+                ['HL', String(4 + index), '3', '23', '0'],
+                ...this.buildTrace(controlNumber),
+                ['NM1', '03', '1', dependent.lastName, dependent.firstName, dependent.middleName],
+                ['DMG', 'D8', dependent.dateOfBirth, dependent.gender],
+                ...this.buildInquirySegments(request.encounter)
+            );
+        });
+
+        transaction.push(['SE', String(transaction.length + 1), '0001']);
+
+        const { senderId, receiverId, usageIndicator } = config.x12;
+        const groupControlNumber = String(parseInt(controlNumber, 10));
+
+        const interchange = [
+            [
+                'ISA', '00', ' '.repeat(10), '00', ' '.repeat(10),
+                'ZZ', senderId.padEnd(15).slice(0, 15),
+                'ZZ', receiverId.padEnd(15).slice(0, 15),
+                yymmdd, hhmm, DELIMITERS.repetition, '00501', controlNumber, '0', usageIndicator, DELIMITERS.component
+            ],
+            ['GS', 'HS', senderId, receiverId, ccyymmdd, hhmm, groupControlNumber, 'X', IMPLEMENTATION_GUIDE],
+            ...transaction,
+            ['GE', '1', groupControlNumber],
+            ['IEA', '1', controlNumber]
+        ];
+
+        return interchange.map(elements => this.serializeSegment(elements)).join('');
+    }
+
+    /**
+     * Check a request has what a 270 needs
+     * @param {Object} request - Request in prepareOptumRequest shape
+     * @returns {string[]} Errors
+     */
+    get270Errors(request) {
+        const errors = [];
+
+        if (!request) {
+            return ['Request is required'];
+        }
+        if (!/^\d{9}$/.test(request.controlNumber || '')) {
+            errors.push('controlNumber must be exactly 9 digits');
+        }
+        if (!request.tradingPartnerServiceId) {
+            errors.push('tradingPartnerServiceId is required');
+        }
+        if (!request.provider?.organizationName || !request.provider?.npi) {
+            errors.push('provider.organizationName and provider.npi are required');
+        }
+        if (!request.subscriber?.memberId || !request.subscriber?.lastName) {
+            errors.push('subscriber.memberId and subscriber.lastName are required');
+        }
+        if (!request.encounter?.beginningDateOfService) {
+            errors.push('encounter.beginningDateOfService is required');
+        }
+
+        return errors;
+    }
+
+    // TRN is situational - only sent when an originator ID is configured
+    buildTrace(controlNumber) {
+        const originatorId = config.x12.originatorId;
+        return originatorId ? [['TRN', '1', controlNumber, originatorId]] : [];
+    }
+
+    // DTP date of service and one EQ per service type
+    buildInquirySegments(encounter) {
+        const begin = encounter.beginningDateOfService;
+        const end = encounter.endDateOfService;
+        const dateSegment = end && end !== begin
+            ? ['DTP', '291', 'RD8', `${begin}-${end}`]
+            : ['DTP', '291', 'D8', begin];
+
+        const serviceTypeCodes = encounter.serviceTypeCodes?.length ? encounter.serviceTypeCodes : ['30'];
+
+        return [
+            dateSegment,
+            ...serviceTypeCodes.map(code => ['EQ', code])
+        ];
+    }
+
+    serializeSegment(elements) {
+        const values = elements.map((value, index) => (
+            // ISA is fixed width and carries the delimiters themselves
+            elements[0] === 'ISA' || index === 0 ? value : this.sanitize(value)
+        ));
+
+        // Trailing empty elements are dropped
+        while (values.length > 1 && values[values.length - 1] === '') {
+            values.pop();
+        }
+
+        return values.join(DELIMITERS.element) + DELIMITERS.segment;
+    }
+
+    // Delimiters can't appear inside data elements
+    sanitize(value) {
+        if (value === undefined || value === null) return '';
+        return String(value)
+            .replace(/[*~:^\r\n]/g, ' ')
+            .trim()
+            .toUpperCase();
+    }
+
+    formatDate(date) {
+        const iso = date.toISOString();
+        const ccyymmdd = iso.slice(0, 10).replace(/-/g, '');
+        return {
+            ccyymmdd,
+            yymmdd: ccyymmdd.slice(2),
+            hhmm: iso.slice(11, 16).replace(':', '')
+        };
+    }
+
+    /**
+     * Parse a 271 interchange
+     * @param {string} x12 - Raw X12 271 interchange
+     * @returns {Object} Response in the shape of the Optum eligibility JSON
+     */
+    parse271(x12) {
+        const { segments, delimiters, interchangeControlNumber } = this.splitInterchange(x12);
+
+        const response = {
+            controlNumber: null,
+            tradingPartnerServiceId: null,
+            payer: null,
+            provider: null,
+            subscriber: null,
+            dependents: [],
+            planDateInformation: {},
+            planStatus: [],
+            benefitsInformation: [],
+            errors: [],
+            meta: {
+                interchangeControlNumber,
+                implementationGuide: null
+            }
+        };
+
+        let level = null;
+        let entity = null;
+        let benefit = null;
+        let inRelatedEntity = false;
+        let seenTransaction = false;
+        let done = false;
+
+        for (const segment of segments) {
+            if (done) break;
+
+            const el = segment.split(delimiters.element);
+
+            switch (el[0]) {
+                case 'ST':
+                    if (seenTransaction) {
+                        done = true;
+                        break;
+                    }
+                    if (el[1] !== '271') {
+                        throw new ValidationError(`Expected a 271 transaction set, got ${el[1]}`);
+                    }
+                    seenTransaction = true;
+                    response.meta.implementationGuide = el[3] || null;
+                    break;
+
+                case 'BHT':
+                    response.controlNumber = el[3] || null;
+                    break;
+
+                case 'HL':
+                    level = LEVELS[el[3]] || el[3];
+                    benefit = null;
+                    inRelatedEntity = false;
+                    entity = this.startEntity(response, level);
+                    break;
+
+                case 'TRN':
+                    if (entity) {
+                        (entity.traceNumbers = entity.traceNumbers || []).push({
+                            traceTypeCode: el[1],
+                            referenceIdentification: el[2],
+                            originatingCompanyIdentifier: el[3]
+                        });
+                    }
+                    break;
+
+                case 'NM1':
+                    if (inRelatedEntity && benefit) {
+                        (benefit.benefitsRelatedEntities = benefit.benefitsRelatedEntities || []).push(this.compact({
+                            entityIdentifier: el[1],
+                            entityType: el[2],
+                            entityName: el[3],
+                            entityFirstName: el[4],
+                            entityIdentificationValue: el[9]
+                        }));
+                    } else {
+                        this.applyName(response, level, entity, el);
+                    }
+                    break;
+
+                case 'REF':
+                    if (benefit) {
+                        (benefit.benefitsAdditionalInformation = benefit.benefitsAdditionalInformation || {})[el[1]] = el[2];
+                    } else if (entity) {
+                        this.applyReference(entity, el);
+                    }
+                    break;
+
+                case 'N3':
+                    if (entity && !benefit) {
+                        entity.address = { ...entity.address, ...this.compact({ address1: el[1], address2: el[2] }) };
+                    }
+                    break;
+
+                case 'N4':
+                    if (entity && !benefit) {
+                        entity.address = { ...entity.address, ...this.compact({ city: el[1], state: el[2], postalCode: el[3] }) };
+                    }
+                    break;
+
+                case 'DMG':
+                    if (entity) {
+                        Object.assign(entity, this.compact({ dateOfBirth: el[2], gender: el[3] }));
+                    }
+                    break;
+
+                case 'INS':
+                    if (entity) {
+                        entity.relationToSubscriberCode = el[2];
+                        entity.relationToSubscriber = RELATIONSHIPS[el[2]] || el[2];
+                    }
+                    break;
+
+                case 'DTP': {
+                    const key = DATE_QUALIFIERS[el[1]] || el[1];
+                    if (benefit) {
+                        (benefit.benefitsDateInformation = benefit.benefitsDateInformation || {})[key] = el[3];
+                    } else if (entity) {
+                        (entity.planDateInformation = entity.planDateInformation || {})[key] = el[3];
+                    }
+                    break;
+                }
+
+                case 'AAA':
+                    response.errors.push(this.compact({
+                        field: 'AAA',
+                        location: LEVEL_LOOPS[level] ? `Loop ${LEVEL_LOOPS[level]}` : undefined,
+                        validRequestIndicator: el[1],
+                        code: el[3],
+                        description: REJECT_REASONS[el[3]] || 'Request rejected',
+                        followupAction: el[4]
+                    }));
+                    break;
+
+                case 'EB':
+                    benefit = this.parseBenefit(el, delimiters);
+                    inRelatedEntity = false;
+                    if (entity) {
+                        (entity.benefitsInformation = entity.benefitsInformation || []).push(benefit);
+                    }
+                    break;
+
+                case 'MSG':
+                    if (benefit) {
+                        (benefit.additionalInformation = benefit.additionalInformation || []).push({ description: el[1] });
+                    }
+                    break;
+
+                case 'LS':
+                    inRelatedEntity = true;
+                    break;
+
+                case 'LE':
+                    inRelatedEntity = false;
+                    break;
+
+                case 'SE':
+                    done = true;
+                    break;
+            }
+        }
+
+        if (!seenTransaction) {
+            throw new ValidationError('Invalid X12: no transaction set found');
+        }
+
+        return this.liftPatient(response);
+    }
+
+    /**
+     * Split an interchange into segments using the delimiters declared in its ISA
+     * @param {string} x12 - Raw interchange
+     * @returns {Object} { segments, delimiters, interchangeControlNumber }
+     */
+    splitInterchange(x12) {
+        const text = typeof x12 === 'string' ? x12.replace(/^\s+/, '') : '';
+
+        // ISA is fixed width: element separator at 3, repetition at 82, component at 104, terminator at 105
+        if (!text.startsWith('ISA') || text.length < 106) {
+            throw new ValidationError('Invalid X12: interchange must start with a 106-character ISA segment');
+        }
+
+        const delimiters = {
+            element: text[3],
+            repetition: text[82],
+            component: text[104],
+            segment: text[105]
+        };
+
+        const segments = text
+            .split(delimiters.segment)
+            .map(segment => segment.replace(/^[\r\n]+/, ''))
+            .filter(Boolean);
+
+        return {
+            segments,
+            delimiters,
+            interchangeControlNumber: segments[0].split(delimiters.element)[13] || null
+        };
+    }
+
+    startEntity(response, level) {
+        if (level === 'subscriber') {
+            response.subscriber = {};
+            return response.subscriber;
+        }
+        if (level === 'dependent') {
+            const dependent = {};
+            response.dependents.push(dependent);
+            return dependent;
+        }
+        return null;
+    }
+
+    applyName(response, level, entity, el) {
+        if (level === 'payer') {
+            response.payer = this.compact({
+                entityIdentifier: 'Payer',
+                entityType: el[2] === '2' ? 'Non-Person Entity' : 'Person',
+                name: el[3],
+                payorIdentification: el[9]
+            });
+            response.tradingPartnerServiceId = el[9] || null;
+        } else if (level === 'provider') {
+            response.provider = this.compact({
+                providerName: el[3],
+                providerFirstName: el[4],
+                entityType: el[2] === '2' ? 'Non-Person Entity' : 'Person',
+                npi: el[8] === 'XX' ? el[9] : undefined,
+                serviceProviderNumber: el[8] !== 'XX' ? el[9] : undefined
+            });
+        } else if (entity) {
+            Object.assign(entity, this.compact({
+                lastName: el[3],
+                firstName: el[4],
+                middleName: el[5],
+                suffix: el[7],
+                memberId: el[8] === 'MI' ? el[9] : undefined
+            }));
+        }
+    }
+
+    applyReference(entity, el) {
+        switch (el[1]) {
+            case '6P':
+            case '1L':
+                entity.groupNumber = el[2];
+                if (el[3]) entity.groupDescription = el[3];
+                break;
+            case '18':
+                entity.planNumber = el[2];
+                break;
+            case 'IG':
+                entity.insurancePolicyNumber = el[2];
+                break;
+            case 'SY':
+                entity.ssn = el[2];
+                break;
+            default:
+                (entity.additionalIdentification = entity.additionalIdentification || {})[el[1]] = el[2];
+        }
+    }
+
+    parseBenefit(el, delimiters) {
+        const procedure = el[13] ? el[13].split(delimiters.component) : null;
+
+        return this.compact({
+            code: el[1],
+            name: BENEFIT_NAMES[el[1]],
+            coverageLevelCode: el[2],
+            serviceTypeCodes: el[3] ? el[3].split(delimiters.repetition) : undefined,
+            insuranceTypeCode: el[4],
+            planCoverage: el[5],
+            timeQualifierCode: el[6],
+            benefitAmount: el[7],
+            benefitPercent: el[8],
+            quantityQualifierCode: el[9],
+            benefitQuantity: el[10],
+            authOrCertIndicator: el[11],
+            inPlanNetworkIndicatorCode: el[12],
+            compositeMedicalProcedureIdentifier: procedure ? this.compact({
+                productOrServiceIdQualifierCode: procedure[0],
+                procedureCode: procedure[1],
+                procedureModifiers: procedure.slice(2).filter(Boolean)
+            }) : undefined
+        });
+    }
+
+    /**
+     * Move the patient's benefits and dates to the top level, where SimpleResponseParser reads them
+     * The patient is the last dependent loop if there is one, otherwise the subscriber.
+     */
+    liftPatient(response) {
+        const patient = response.dependents[response.dependents.length - 1] || response.subscriber;
+        const entities = [response.subscriber, ...response.dependents].filter(Boolean);
+
+        if (patient) {
+            response.benefitsInformation = patient.benefitsInformation || [];
+            response.planDateInformation = patient.planDateInformation || {};
+
+            // The 271 has no member status element - derive it from the EB01 status codes
+            const codes = response.benefitsInformation.map(benefit => benefit.code);
+            const statusCode = codes.some(code => ACTIVE_CODES.includes(code)) ? 'A'
+                : codes.some(code => INACTIVE_CODES.includes(code)) ? 'I'
+                    : undefined;
+
+            if (statusCode) {
+                patient.informationStatusCode = statusCode;
+                if (response.subscriber) {
+                    // SimpleResponseParser reads the status from the subscriber
+                    response.subscriber.informationStatusCode = statusCode;
+                }
+            }
+        }
+
+        for (const entity of entities) {
+            delete entity.benefitsInformation;
+            delete entity.planDateInformation;
+        }
+
+        response.planStatus = response.benefitsInformation
+            .filter(benefit => ACTIVE_CODES.includes(benefit.code) || INACTIVE_CODES.includes(benefit.code))
+            .map(benefit => ({
+                statusCode: benefit.code,
+                status: benefit.name,
+                serviceTypeCodes: benefit.serviceTypeCodes || []
+            }));
+
+        if (response.errors.length === 0) {
+            delete response.errors;
+        }
+
+        return response;
+    }
+
+    // Drop undefined and empty values
+    compact(object) {
+        return Object.fromEntries(
+            Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''
+                && !(Array.isArray(value) && value.length === 0))
+        );
+    }
+}
+
+export default EdiService;
@@ -1,29 +1,47 @@
-import AuthenticationManager from './AuthenticationManager.js';
 import ServiceTypeManager from './ServiceTypeManager.js';
 import SimpleResponseParser from './SimpleResponseParser.js';
+import EdiService from './EdiService.js';
 import ApiClient from './ApiClient.js';
+import cacheService from './CacheService.js';
+import tenantRegistry from './TenantRegistry.js';
+import rateLimitService from './RateLimitService.js';
+import outboundThrottle from './OutboundThrottle.js';
+import { buildPriorAuthDrafts } from './PriorAuthService.js';
 import config from '../utils/config.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { withSpan } from '../utils/tracing.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('EligibilityService');
+
+// Optum calls in flight in this process, shared by every EligibilityService instance
+// (JSON, FHIR, EDI and jobs) so identical checks coalesce whichever route they come from
+const inFlightChecks = new Map(); // cache key -> promise of the parsed response
+
+const LEASE_POLL_INTERVAL_MS = 200;
 
 /**
  * EligibilityService handles healthcare eligibility checks with Optum API
- * Integrates authentication, request validation, API calls, and response processing
+ * Integrates authentication, request validation, API calls, and response processing.
+ * Each check runs with the calling tenant's Optum credentials, base URL and
+ * provider defaults from the TenantRegistry.
+ *
+ * Identical concurrent checks (same cache key) make one Optum call: callers in a
+ * process share its promise, and a short Redis lease lets one replica make the call
+ * while the others wait for the response it caches.
  */
 class EligibilityService {
     constructor() {
-        this.authManager = new AuthenticationManager({
-            clientId: config.optum.clientId,
-            clientSecret: config.optum.clientSecret,
-            baseUrl: config.optum.baseUrl,
-            redisUrl: config.redis.url
-        });
-        
+        this.tenantRegistry = tenantRegistry;
         this.serviceTypeManager = new ServiceTypeManager();
         this.responseParser = new SimpleResponseParser();
+        this.ediService = new EdiService();
         
-        this.apiClient = ApiClient.createOptumClient({
-            baseUrl: config.optum.baseUrl,
-            timeout: config.optum.timeout
-        });
+        this.apiClients = new Map(); // tenant credential key -> ApiClient
+        
+        this.cacheService = cacheService;
+        this.inFlight = inFlightChecks;
+        this.leaseMs = config.cache.coalesceLeaseMs;
         
         this.isInitialized = false;
     }
@@ -35,73 +53,98 @@ class EligibilityService {
         if (this.isInitialized) return;
 
         try {
-            await this.authManager.initialize();
+            await this.tenantRegistry.getAuthManager(this.tenantRegistry.resolve()).initialize();
+
+            // Cache is optional - eligibility checks still work against Optum without it
+            try {
+                await this.cacheService.initialize();
+            } catch (error) {
+                log.warn('Eligibility cache unavailable, continuing without it', { error: error.message });
+            }
+
             this.isInitialized = true;
-            console.log('✅ EligibilityService initialized');
+            log.info('EligibilityService initialized');
         } catch (error) {
-            console.error('❌ Failed to initialize EligibilityService:', error.message);
+            log.error('Failed to initialize EligibilityService', { error: error.message });
             throw error;
         }
     }
 
     /**
-     * Check eligibility with Optum API
+     * Check eligibility, serving from cache when possible
+     * Fresh cache hits are returned as-is; stale hits are returned immediately
+     * while a background refresh updates the cache entry.
      * @param {Object} request - Eligibility request object
      * @param {string} correlationId - Request correlation ID
-     * @returns {Promise<Object>} Eligibility response
+     * @param {Object} options - Check options
+     * @param {boolean} options.bypassCache - Skip the cache lookup and force a fresh Optum call
+     * @param {string} options.detail - 'full' to include benefitDetails (default 'simple')
+     * @param {boolean} options.priorAuthDraft - Add prior auth request drafts for services that need authorization
+     * @param {string} options.format - 'x12' to exchange raw X12 270/271 with Optum (default 'json')
+     * @param {string} options.tenant - Calling tenant's ID (default tenant when omitted)
+     * @returns {Promise<Object>} Eligibility response with cacheMetadata
      */
-    async checkEligibility(request, correlationId = 'unknown') {
+    async checkEligibility(request, correlationId = 'unknown', options = {}) {
+        return withSpan('EligibilityService.checkEligibility', {
+            attributes: {
+                'correlation.id': correlationId,
+                'optum.trading_partner': request?.tradingPartnerServiceId || 'none',
+                'eligibility.format': options.format || 'json'
+            }
+        }, (span) => this.runEligibilityCheck(request, correlationId, options, span));
+    }
+
+    // checkEligibility inside its span
+    async runEligibilityCheck(request, correlationId, options, span) {
         if (!this.isInitialized) {
             await this.initialize();
         }
 
         try {
-            console.log(`🏥 [${correlationId}] Starting eligibility check`);
+            log.info('Starting eligibility check', { correlationId });
 
-            // Validate the request
-            const validationResult = this.validateRequest(request);
-            if (!validationResult.isValid) {
-                throw new Error(`Request validation failed: ${validationResult.errors.join(', ')}`);
-            }
+            const profile = this.tenantRegistry.resolve(options.tenant);
+            request = this.applyTenantDefaults(request, profile);
 
-            // Validate service type codes
-            const serviceTypeValidation = this.serviceTypeManager.validateCodes(
-                request.encounter?.serviceTypeCodes || []
-            );
-            if (!serviceTypeValidation.isValid) {
-                throw new Error(`Invalid service type codes: ${serviceTypeValidation.invalidCodes.join(', ')}`);
-            }
+            withSpan('EligibilityService.validate', {}, () => {
+                // Validate the request
+                const validationResult = this.validateRequest(request);
+                if (!validationResult.isValid) {
+                    throw new Error(`Request validation failed: ${validationResult.errors.join(', ')}`);
+                }
 
-            // Get access token
-            const accessToken = await this.authManager.getAccessToken();
-            this.apiClient.setAuthToken(accessToken);
+                // Validate service type codes
+                const serviceTypeValidation = this.serviceTypeManager.validateCodes(
+                    request.encounter?.serviceTypeCodes || []
+                );
+                if (!serviceTypeValidation.isValid) {
+                    throw new Error(`Invalid service type codes: ${serviceTypeValidation.invalidCodes.join(', ')}`);
+                }
 
-            // Prepare the request for Optum API
-            const optumRequest = this.prepareOptumRequest(request);
-            
-            console.log(`📤 [${correlationId}] Sending eligibility request to Optum API`);
-
-            // Make the API call
-            const response = await this.apiClient.post(
-                '/medicalnetwork/eligibility/v3/',
-                optumRequest,
-                {
-                    correlationId,
-                    headers: {
-                        'Content-Type': 'application/json'
+                this.tenantRegistry.assertTradingPartnerAllowed(profile, request.tradingPartnerServiceId);
+            });
+
+            if (!options.bypassCache) {
+                const cached = await this.cacheService.getEligibilityResponse(request, correlationId, profile.tenantId);
+                if (cached) {
+                    span.setAttribute('eligibility.cache', cached.cacheMetadata.stale ? 'stale' : 'hit');
+                    if (cached.cacheMetadata.stale) {
+                        this.refreshInBackground(request, correlationId, profile, options.format);
+                        cached.cacheMetadata.revalidating = true;
                     }
+                    return this.finalizeResponse(request, cached, options, profile);
                 }
-            );
-
-            console.log(`📥 [${correlationId}] Received eligibility response from Optum API`);
+                span.setAttribute('eligibility.cache', 'miss');
+            } else {
+                span.setAttribute('eligibility.cache', 'bypassed');
+                log.info('Cache bypassed (Cache-Control: no-cache)', { correlationId });
+            }
 
-            // Process and return the response using SimpleResponseParser
-            const parsedResponse = this.responseParser.parseEligibilityResponse(response.data, request, correlationId);
-            
-            return parsedResponse;
+            const response = await this.fetchCoalesced(request, correlationId, profile, { bypassed: !!options.bypassCache }, options.format);
+            return this.finalizeResponse(request, response, options, profile);
 
         } catch (error) {
-            console.error(`❌ [${correlationId}] Eligibility check failed:`, error.message);
+            log.error('Eligibility check failed', { correlationId, error: error.message });
             
             // Handle specific error types
             if (error.response) {
@@ -123,6 +166,411 @@ class EligibilityService {
         }
     }
 
+    /**
+     * Fill provider fields the request left out from the tenant's default provider
+     * @param {Object} request - Eligibility request
+     * @param {Object} profile - Resolved tenant profile
+     * @returns {Object} Request with tenant defaults applied
+     */
+    applyTenantDefaults(request, profile) {
+        if (!request || typeof request !== 'object') return request;
+
+        const provider = this.tenantRegistry.applyProviderDefaults(profile, request.provider);
+        return provider === request.provider ? request : { ...request, provider };
+    }
+
+    /**
+     * Apply per-request options to a parsed or cached response
+     * Drafts are built here rather than cached since they depend on the request options.
+     * @param {Object} request - Eligibility request
+     * @param {Object} response - Parsed eligibility response
+     * @param {Object} options - Check options
+     * @param {Object} profile - Resolved tenant profile
+     * @returns {Object} Response for the caller
+     */
+    finalizeResponse(request, response, options, profile) {
+        const result = this.applyDetailLevel(response, options.detail);
+        if (options.priorAuthDraft && result.eligibilityStatus !== 'error') {
+            result.priorAuthDrafts = buildPriorAuthDrafts(request, result, profile.senderId);
+        }
+        return result;
+    }
+
+    /**
+     * Shape a parsed response for the requested detail level
+     * The cache always holds the full breakdown so both levels share one entry.
+     * @param {Object} response - Parsed eligibility response
+     * @param {string} detail - 'simple' or 'full'
+     * @returns {Object} Response for the caller
+     */
+    applyDetailLevel(response, detail = 'simple') {
+        if (detail === 'full') {
+            return response;
+        }
+        const { benefitDetails, ...simpleResponse } = response;
+        return simpleResponse;
+    }
+
+    /**
+     * Fetch from Optum once for identical concurrent requests
+     * @param {Object} request - Validated eligibility request
+     * @param {string} correlationId - Request correlation ID
+     * @param {Object} profile - Resolved tenant profile
+     * @param {Object} metadata - Extra cacheMetadata fields
+     * @param {string} format - 'json' or 'x12'
+     * @returns {Promise<Object>} Parsed eligibility response, cacheMetadata.coalesced when shared
+     */
+    async fetchCoalesced(request, correlationId, profile, metadata = {}, format = 'json') {
+        const key = this.cacheService.generateEligibilityKey(request, profile.tenantId);
+        let flight = this.inFlight.get(key);
+        const coalesced = Boolean(flight);
+
+        if (coalesced) {
+            log.info(`Joining in-flight eligibility check ${key}`, { correlationId });
+        } else {
+            flight = this.fetchWithLease(request, correlationId, profile, metadata, format)
+                .finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, flight);
+        }
+
+        // Each caller gets its own copy - detail levels and drafts are applied per caller
+        const response = structuredClone(await flight);
+        if (coalesced) {
+            response.cacheMetadata = { ...response.cacheMetadata, coalesced: true };
+        }
+        return response;
+    }
+
+    /**
+     * Fetch under the cluster-wide lease, or wait for the replica that holds it
+     * Waiters take the lease themselves if the holder gives up without caching a response.
+     * @param {Object} request - Validated eligibility request
+     * @param {string} correlationId - Request correlation ID
+     * @param {Object} profile - Resolved tenant profile
+     * @param {Object} metadata - Extra cacheMetadata fields
+     * @param {string} format - 'json' or 'x12'
+     * @returns {Promise<Object>} Parsed eligibility response
+     */
+    async fetchWithLease(request, correlationId, profile, metadata, format) {
+        const deadline = Date.now() + this.leaseMs;
+        // A stale or bypassed entry may already be cached; wait for a newer one
+        const previous = await this.cacheService.peekEligibilityResponse(request, profile.tenantId);
+
+        for (;;) {
+            const lease = await this.cacheService.acquireEligibilityLease(request, profile.tenantId, this.leaseMs);
+
+            if (lease) {
+                try {
+                    return await this.fetchAndCache(request, correlationId, profile, metadata, format);
+                } finally {
+                    await this.cacheService.releaseEligibilityLease(request, profile.tenantId, lease);
+                }
+            }
+
+            log.info('Another replica is checking the same request, waiting for its response', { correlationId });
+            while (Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, LEASE_POLL_INTERVAL_MS));
+
+                const cached = await this.cacheService.peekEligibilityResponse(request, profile.tenantId);
+                if (cached && cached.cachedAt !== previous?.cachedAt) {
+                    cached.cacheMetadata.coalesced = true;
+                    return cached;
+                }
+
+                if (!(await this.cacheService.hasEligibilityLease(request, profile.tenantId))) break;
+            }
+
+            if (Date.now() >= deadline) {
+                log.warn('No response from the replica holding the lease, calling Optum directly', { correlationId });
+                return this.fetchAndCache(request, correlationId, profile, metadata, format);
+            }
+        }
+    }
+
+    /**
+     * Call Optum, cache the parsed response with an outcome-based TTL and return it
+     * @param {Object} request - Validated eligibility request
+     * @param {string} correlationId - Request correlation ID
+     * @param {Object} profile - Resolved tenant profile
+     * @param {Object} metadata - Extra cacheMetadata fields
+     * @param {string} format - 'json' or 'x12'
+     * @returns {Promise<Object>} Parsed eligibility response
+     */
+    async fetchAndCache(request, correlationId, profile, metadata = {}, format = 'json') {
+        await rateLimitService.consumeQuota(profile, 'eligibility', correlationId);
+
+        const parsedResponse = format === 'x12'
+            ? await this.fetchFromOptumX12(request, correlationId, profile)
+            : await this.fetchFromOptum(request, correlationId, profile);
+        const ttl = this.cacheService.getEligibilityTTL(parsedResponse);
+
+        await this.cacheService.setEligibilityResponse(request, parsedResponse, correlationId, ttl, profile.tenantId);
+
+        parsedResponse.cacheMetadata = {
+            hit: false,
+            key: this.cacheService.generateEligibilityKey(request, profile.tenantId),
+            cachedAt: new Date().toISOString(),
+            ttl,
+            stale: false,
+            ...metadata
+        };
+
+        return parsedResponse;
+    }
+
+    /**
+     * Send the eligibility request to Optum and parse the response
+     * @param {Object} request - Validated eligibility request
+     * @param {string} correlationId - Request correlation ID
+     * @param {Object} profile - Resolved tenant profile
+     * @returns {Promise<Object>} Parsed eligibility response
+     */
+    async fetchFromOptum(request, correlationId, profile) {
+        const apiClient = await this.getAuthorizedClient(profile);
+
+        // Prepare the request for Optum API
+        const optumRequest = this.prepareOptumRequest(request);
+        
+        log.info('Sending eligibility request to Optum API', { correlationId });
+
+        // Make the API call
+        const response = await apiClient.post(
+            '/medicalnetwork/eligibility/v3/',
+            optumRequest,
+            {
+                correlationId,
+                tradingPartnerServiceId: request.tradingPartnerServiceId,
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+
+        log.info('Received eligibility response from Optum API', { correlationId });
+
+        // Process and return the response using SimpleResponseParser
+        return this.responseParser.parseEligibilityResponse(response.data, request, correlationId);
+    }
+
+    /**
+     * Send the eligibility request to Optum as a raw X12 270 and parse the 271
+     * The 271 is converted to the JSON response shape so parsing and caching are shared.
+     * @param {Object} request - Validated eligibility request
+     * @param {string} correlationId - Request correlation ID
+     * @param {Object} profile - Resolved tenant profile
+     * @returns {Promise<Object>} Parsed eligibility response
+     */
+    async fetchFromOptumX12(request, correlationId, profile) {
+        const apiClient = await this.getAuthorizedClient(profile);
+
+        const x12 = this.ediService.build270(this.prepareOptumRequest(request));
+
+        log.info('Sending X12 270 to Optum API', { correlationId });
+
+        const response = await apiClient.post(
+            '/medicalnetwork/eligibility/v3/raw-x12',
+            { x12 },
+            {
+                correlationId,
+                tradingPartnerServiceId: request.tradingPartnerServiceId,
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+
+        log.info('Received X12 271 from Optum API', { correlationId });
+
+        const raw = typeof response.data === 'string' ? response.data : response.data?.x12;
+        const optumResponse = this.ediService.parse271(raw);
+
+        return this.responseParser.parseEligibilityResponse(optumResponse, request, correlationId);
+    }
+
+    /**
+     * Get the tenant's Optum client with a current access token
+     * Clients are kept per set of credentials so concurrent tenants never share an Authorization header.
+     * @param {Object} profile - Resolved tenant profile
+     * @returns {Promise<ApiClient>} Authorized client
+     */
+    async getAuthorizedClient(profile) {
+        if (!this.apiClients.has(profile.key)) {
+            this.apiClients.set(profile.key, ApiClient.createOptumClient({
+                baseUrl: profile.baseUrl,
+                timeout: config.optum.timeout,
+                throttle: { credential: profile.key, limits: profile.throttle },
+                authManager: this.tenantRegistry.getAuthManager(profile)
+            }));
+        }
+
+        const apiClient = this.apiClients.get(profile.key);
+        apiClient.setAuthToken(await this.tenantRegistry.getAuthManager(profile).getAccessToken());
+        return apiClient;
+    }
+
+    /**
+     * Refresh a stale cache entry without blocking the caller
+     * Coalesces with any in-flight check for the same cache key.
+     * @param {Object} request - Validated eligibility request
+     * @param {string} correlationId - Correlation ID of the request that found the stale entry
+     * @param {Object} profile - Resolved tenant profile
+     * @param {string} format - 'json' or 'x12'
+     */
+    refreshInBackground(request, correlationId, profile, format = 'json') {
+        const key = this.cacheService.generateEligibilityKey(request, profile.tenantId);
+        if (this.inFlight.has(key)) return;
+
+        log.info('Revalidating stale cache entry in background', { correlationId });
+
+        this.fetchCoalesced(request, correlationId, profile, {}, format)
+            .catch(error => {
+                // Keep serving the stale entry until it hard-expires
+                log.warn('Background revalidation failed', { correlationId, error: error.message });
+            });
+    }
+
+    /**
+     * Check eligibility for many requests with bounded concurrency
+     * Each item is validated on its own; one failing item never fails the batch.
+     * @param {Object[]} requests - Eligibility requests, each with a unique controlNumber
+     * @param {string} correlationId - Batch correlation ID
+     * @param {Object} options - Batch options
+     * @param {number} options.concurrency - Maximum concurrent Optum calls
+     * @param {boolean} options.bypassCache - Skip the cache for every item
+     * @param {string} options.detail - 'full' to include benefitDetails for every item
+     * @param {boolean} options.priorAuthDraft - Add prior auth request drafts for every item
+     * @param {string} options.tenant - Calling tenant's ID
+     * @param {Function} options.onResult - Awaited with (controlNumber, outcome) as each item finishes
+     * @returns {Promise<Object>} Summary and results keyed by controlNumber
+     */
+    async checkEligibilityBatch(requests, correlationId = 'unknown', options = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const concurrency = options.concurrency || config.batch.concurrency;
+
+        log.info(`Starting batch eligibility check: ${requests.length} requests (concurrency ${concurrency})`, { correlationId });
+
+        const outcomes = await mapWithConcurrency(requests, concurrency, async (request) => {
+            const outcome = await this.checkBatchItem(request, correlationId, options);
+            if (options.onResult) {
+                await options.onResult(request.controlNumber, outcome);
+            }
+            return outcome;
+        });
+
+        const results = {};
+        requests.forEach((request, index) => {
+            results[request.controlNumber] = outcomes[index];
+        });
+        const summary = this.summarizeBatch(results);
+
+        log.info(`Batch complete: ${summary.success}/${summary.total} succeeded`, { correlationId });
+
+        return { summary, results };
+    }
+
+    /**
+     * Check one batch item and classify the outcome
+     * @param {Object} request - Eligibility request
+     * @param {string} correlationId - Batch correlation ID
+     * @param {Object} options - Batch options
+     * @returns {Promise<Object>} Outcome with status success|validation_error|payer_error|error
+     */
+    async checkBatchItem(request, correlationId, options = {}) {
+        let profile;
+        try {
+            profile = this.tenantRegistry.resolve(options.tenant);
+        } catch (error) {
+            return { status: 'error', error: error.message };
+        }
+
+        const errors = this.getValidationErrors(this.applyTenantDefaults(request, profile));
+        if (errors.length > 0) {
+            return { status: 'validation_error', errors };
+        }
+
+        try {
+            const data = await this.checkEligibility(request, `${correlationId}:${request.controlNumber}`, {
+                bypassCache: options.bypassCache,
+                detail: options.detail,
+                priorAuthDraft: options.priorAuthDraft,
+                tenant: options.tenant
+            });
+
+            if (data.eligibilityStatus === 'error') {
+                return { status: 'payer_error', error: data.error, data };
+            }
+            return { status: 'success', data };
+        } catch (error) {
+            return { status: 'error', error: error.message };
+        }
+    }
+
+    /**
+     * Count batch outcomes by status
+     * @param {Object} results - Outcomes keyed by controlNumber
+     * @returns {Object} Summary counts
+     */
+    summarizeBatch(results) {
+        const summary = { total: 0, success: 0, validation_error: 0, payer_error: 0, error: 0 };
+        for (const outcome of Object.values(results)) {
+            summary.total++;
+            summary[outcome.status]++;
+        }
+        return summary;
+    }
+
+    /**
+     * Batch-level checks; per-item validation happens when each item runs
+     * @param {Object[]} requests - Batch of eligibility requests
+     * @returns {string[]} Validation error messages
+     */
+    validateBatch(requests) {
+        const errors = [];
+
+        if (!Array.isArray(requests) || requests.length === 0) {
+            errors.push('requests must be a non-empty array');
+            return errors;
+        }
+
+        if (requests.length > config.batch.maxSize) {
+            errors.push(`requests may contain at most ${config.batch.maxSize} items`);
+        }
+
+        // Results are keyed by controlNumber, so each item needs a unique one
+        const seen = new Set();
+        requests.forEach((request, index) => {
+            if (!request || typeof request !== 'object' || !request.controlNumber) {
+                errors.push(`requests[${index}].controlNumber is required`);
+            } else if (seen.has(request.controlNumber)) {
+                errors.push(`requests[${index}].controlNumber ${request.controlNumber} is duplicated`);
+            } else {
+                seen.add(request.controlNumber);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Collect request and service type validation errors without throwing
+     * @param {Object} request - Request to validate
+     * @returns {string[]} Validation error messages
+     */
+    getValidationErrors(request) {
+        const validationResult = this.validateRequest(request);
+        if (!validationResult.isValid) {
+            return validationResult.errors;
+        }
+
+        const serviceTypeValidation = this.serviceTypeManager.validateCodes(request.encounter.serviceTypeCodes);
+        return serviceTypeValidation.isValid
+            ? []
+            : [`Invalid service type codes: ${serviceTypeValidation.invalidCodes.join(', ')}`];
+    }
+
     /**
      * Validate eligibility request
      * @param {Object} request - Request to validate
@@ -254,6 +702,7 @@ class EligibilityService {
         return {
             controlNumber: request.controlNumber,
             tradingPartnerServiceId: request.tradingPartnerServiceId,
+            ...(request.tradingPartnerName && { tradingPartnerName: request.tradingPartnerName }),
             provider: {
                 organizationName: request.provider.organizationName,
                 npi: request.provider.npi,
@@ -287,12 +736,17 @@ class EligibilityService {
      */
     async getHealthStatus() {
         try {
-            const authHealth = await this.authManager.healthCheck();
+            const authHealth = await this.tenantRegistry.getAuthManager(this.tenantRegistry.resolve()).healthCheck();
             
             return {
                 status: 'healthy',
                 initialized: this.isInitialized,
                 authentication: authHealth,
+                cache: await this.cacheService.getHealthStatus(),
+                throttle: {
+                    enabled: outboundThrottle.settings.enabled,
+                    queueDepth: outboundThrottle.queueDepth
+                },
                 serviceTypes: {
                     loaded: Object.keys(this.serviceTypeManager.getAllServiceTypes()).length
                 },
@@ -312,10 +766,9 @@ class EligibilityService {
      * Close connections and cleanup
      */
     async close() {
-        if (this.authManager) {
-            await this.authManager.close();
-        }
-        console.log('🔌 EligibilityService closed');
+        await this.tenantRegistry.close();
+        await this.cacheService.close();
+        log.info('EligibilityService closed');
     }
 }
 
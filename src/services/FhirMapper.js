@@ -0,0 +1,416 @@
+import { v4 as uuidv4 } from 'uuid';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+const FHIR_VERSION = '4.0.1';
+
+const SYSTEMS = {
+    npi: 'http://hl7.org/fhir/sid/us-npi',
+    serviceType: 'https://x12.org/codes/service-type-codes',
+    benefitCode: 'https://x12.org/codes/eligibility-or-benefit-information',
+    rejectReason: 'https://x12.org/codes/reject-reason-codes',
+    benefitType: 'http://terminology.hl7.org/CodeSystem/benefit-type',
+    benefitNetwork: 'http://terminology.hl7.org/CodeSystem/benefit-network',
+    benefitUnit: 'http://terminology.hl7.org/CodeSystem/benefit-unit',
+    benefitTerm: 'http://terminology.hl7.org/CodeSystem/benefit-term'
+};
+
+// FHIR has no provider role on CoverageEligibilityRequest; X12 PRV01 defaults to admitting
+const DEFAULT_PROVIDER_CODE = 'AD';
+
+const GENDERS = {
+    male: 'M',
+    female: 'F'
+};
+
+const NETWORKS = {
+    in_network: 'in',
+    out_of_network: 'out'
+};
+
+const UNITS = {
+    individual: 'individual',
+    family: 'family'
+};
+
+const TERMS = {
+    calendar_year: 'annual',
+    service_year: 'annual',
+    contract: 'annual',
+    lifetime: 'lifetime',
+    day: 'day'
+};
+
+/**
+ * FhirMapper translates between FHIR R4 eligibility resources and this API's JSON shapes
+ * CoverageEligibilityRequest (with contained Patient, Coverage, Organization/Practitioner and,
+ * for a dependent, the subscriber as Patient or RelatedPerson) becomes the request
+ * EligibilityService.checkEligibility expects; the parsed result becomes a
+ * CoverageEligibilityResponse. Only contained resources are resolved - the facade stores nothing.
+ */
+class FhirMapper {
+    /**
+     * Map a CoverageEligibilityRequest to an eligibility request
+     * @param {Object} resource - FHIR CoverageEligibilityRequest
+     * @returns {Object} Eligibility request
+     * @throws {ValidationError} details holds OperationOutcome issues
+     */
+    toEligibilityRequest(resource) {
+        const issues = [];
+        const issue = (expression, diagnostics, code = 'required') => issues.push({ severity: 'error', code, diagnostics, expression: [expression] });
+
+        if (resource?.resourceType !== 'CoverageEligibilityRequest') {
+            issue('CoverageEligibilityRequest', 'Body must be a CoverageEligibilityRequest resource', 'structure');
+            throw this.validationError(issues);
+        }
+
+        const patient = this.resolve(resource, resource.patient, 'Patient');
+        if (!patient) issue('CoverageEligibilityRequest.patient', 'patient must reference a contained Patient');
+
+        const coverageReference = (resource.insurance || []).find(insurance => insurance.focal !== false)?.coverage;
+        const coverage = this.resolve(resource, coverageReference, 'Coverage');
+        if (!coverage) issue('CoverageEligibilityRequest.insurance.coverage', 'insurance must reference a contained Coverage');
+
+        const provider = this.resolve(resource, resource.provider, 'Organization')
+            || this.resolve(resource, resource.provider, 'Practitioner');
+        if (!provider) issue('CoverageEligibilityRequest.provider', 'provider must reference a contained Organization or Practitioner');
+
+        const payerId = this.getPayerId(resource, coverage);
+        if (!payerId) issue('CoverageEligibilityRequest.insurer', 'insurer (or Coverage.payor) must carry the payer identifier');
+
+        const memberId = coverage?.subscriberId
+            || coverage?.identifier?.find(identifier => identifier.type?.coding?.some(coding => coding.code === 'MB'))?.value
+            || coverage?.identifier?.[0]?.value;
+        if (coverage && !memberId) issue('Coverage.subscriberId', 'Coverage.subscriberId is required');
+
+        const npi = provider?.identifier?.find(identifier => identifier.system === SYSTEMS.npi)?.value;
+        if (provider && !npi) issue(`${provider.resourceType}.identifier`, `${provider.resourceType} needs an identifier with system ${SYSTEMS.npi}`);
+
+        const dates = this.getServiceDates(resource, issue);
+
+        if (issues.length > 0) {
+            throw this.validationError(issues);
+        }
+
+        // When Coverage.subscriber is someone else, the patient is a dependent on their plan.
+        // A subscriber who is not a patient here is contained as a RelatedPerson.
+        const subscriberResource = this.resolve(resource, coverage.subscriber, 'Patient')
+            || this.resolve(resource, coverage.subscriber, 'RelatedPerson');
+        if (coverage.subscriber && !subscriberResource) {
+            issue('Coverage.subscriber', 'Coverage.subscriber must reference a contained Patient or RelatedPerson');
+        }
+        const isDependent = Boolean(subscriberResource) && subscriberResource !== patient;
+        const subscriberPerson = this.toPerson(isDependent ? subscriberResource : patient, isDependent ? 'Coverage.subscriber' : 'Patient', issue);
+        const dependentPerson = isDependent ? this.toPerson(patient, 'Patient', issue) : null;
+
+        if (issues.length > 0) {
+            throw this.validationError(issues);
+        }
+
+        const serviceTypeCodes = (resource.item || [])
+            .flatMap(item => item.category?.coding || [])
+            .filter(coding => !coding.system || coding.system === SYSTEMS.serviceType)
+            .map(coding => coding.code)
+            .filter(Boolean);
+
+        const providerNumber = provider.identifier?.find(identifier => identifier.system !== SYSTEMS.npi)?.value;
+
+        return {
+            controlNumber: this.getControlNumber(resource),
+            tradingPartnerServiceId: payerId,
+            provider: {
+                organizationName: this.getProviderName(provider),
+                npi,
+                serviceProviderNumber: providerNumber || npi,
+                providerCode: DEFAULT_PROVIDER_CODE
+            },
+            subscriber: {
+                memberId,
+                ...subscriberPerson
+            },
+            ...(dependentPerson && { dependents: [dependentPerson] }),
+            encounter: {
+                beginningDateOfService: dates.begin,
+                endDateOfService: dates.end,
+                serviceTypeCodes: serviceTypeCodes.length > 0 ? [...new Set(serviceTypeCodes)] : ['30']
+            }
+        };
+    }
+
+    /**
+     * Build a CoverageEligibilityResponse from a parsed eligibility result
+     * @param {Object} resource - Original CoverageEligibilityRequest
+     * @param {Object} eligibilityRequest - Request built by toEligibilityRequest
+     * @param {Object} result - EligibilityService.checkEligibility result (detail=full)
+     * @returns {Object} FHIR CoverageEligibilityResponse
+     */
+    toCoverageEligibilityResponse(resource, eligibilityRequest, result) {
+        const coverageReference = (resource.insurance || []).find(insurance => insurance.focal !== false)?.coverage;
+        const items = (result.benefits || [])
+            .filter((benefit, index, benefits) => benefits.findIndex(b => b.serviceTypeCode === benefit.serviceTypeCode) === index)
+            .flatMap(benefit => this.toItems(benefit, result.benefitDetails?.[benefit.serviceTypeCode]));
+
+        return {
+            resourceType: 'CoverageEligibilityResponse',
+            id: uuidv4(),
+            ...(resource.contained && { contained: resource.contained }),
+            status: 'active',
+            purpose: resource.purpose || ['benefits'],
+            patient: resource.patient,
+            ...(resource.servicedDate && { servicedDate: resource.servicedDate }),
+            ...(resource.servicedPeriod && { servicedPeriod: resource.servicedPeriod }),
+            created: new Date().toISOString(),
+            request: resource.id
+                ? { reference: `CoverageEligibilityRequest/${resource.id}` }
+                : { type: 'CoverageEligibilityRequest', identifier: { value: eligibilityRequest.controlNumber } },
+            outcome: 'complete',
+            disposition: `Eligibility ${result.eligibilityStatus}`,
+            insurer: resource.insurer || { identifier: { value: eligibilityRequest.tradingPartnerServiceId } },
+            insurance: [
+                {
+                    ...(coverageReference && { coverage: coverageReference }),
+                    inforce: result.eligible,
+                    ...(this.toPeriod(result.planPeriod) && { benefitPeriod: this.toPeriod(result.planPeriod) }),
+                    item: items
+                }
+            ]
+        };
+    }
+
+    // One item per network/coverage level with amounts, or a bare item when the payer sent none
+    toItems(benefit, detail) {
+        const base = {
+            category: {
+                coding: [{ system: SYSTEMS.serviceType, code: benefit.serviceTypeCode, display: benefit.serviceType }]
+            },
+            ...(benefit.priorAuthRequired !== 'unknown' && benefit.priorAuthRequired !== undefined
+                && { authorizationRequired: benefit.priorAuthRequired }),
+            ...(benefit.covered === false && detail?.status !== 'active' && { excluded: true })
+        };
+
+        const items = [];
+        for (const plan of Object.values(detail?.plans || {})) {
+            for (const [network, levels] of Object.entries(plan.networks)) {
+                for (const [level, amounts] of Object.entries(levels)) {
+                    const benefits = this.toBenefits(amounts);
+                    if (benefits.length === 0) continue;
+
+                    const term = TERMS[amounts.deductible?.period || amounts.outOfPocketMax?.period];
+                    items.push({
+                        ...base,
+                        ...(plan.insuranceType && { name: plan.insuranceType }),
+                        ...(NETWORKS[network] && { network: this.toConcept(SYSTEMS.benefitNetwork, NETWORKS[network]) }),
+                        ...(UNITS[level] && { unit: this.toConcept(SYSTEMS.benefitUnit, UNITS[level]) }),
+                        ...(term && { term: this.toConcept(SYSTEMS.benefitTerm, term) }),
+                        benefit: benefits
+                    });
+                }
+            }
+        }
+
+        return items.length > 0 ? items : [base];
+    }
+
+    toBenefits(amounts) {
+        const benefits = [];
+        const money = value => ({ value, currency: 'USD' });
+
+        if (amounts.deductible?.total !== null && amounts.deductible?.total !== undefined) {
+            benefits.push({
+                type: this.toConcept(SYSTEMS.benefitType, 'deductible'),
+                allowedMoney: money(amounts.deductible.total),
+                ...(amounts.deductible.metToDate !== null && { usedMoney: money(amounts.deductible.metToDate) })
+            });
+        }
+        if (amounts.outOfPocketMax?.total !== null && amounts.outOfPocketMax?.total !== undefined) {
+            benefits.push({
+                // benefit-type has no out-of-pocket code
+                type: this.toConcept(SYSTEMS.benefitCode, 'G', 'Out of Pocket (Stop Loss)'),
+                allowedMoney: money(amounts.outOfPocketMax.total),
+                ...(amounts.outOfPocketMax.metToDate !== null && { usedMoney: money(amounts.outOfPocketMax.metToDate) })
+            });
+        }
+        if (amounts.copay) {
+            benefits.push({
+                type: this.toConcept(SYSTEMS.benefitType, 'copay'),
+                allowedMoney: money(amounts.copay.amount)
+            });
+        }
+        if (amounts.coinsurance) {
+            benefits.push({
+                type: this.toConcept(SYSTEMS.benefitType, 'copay-percent'),
+                allowedUnsignedInt: Math.round(amounts.coinsurance.percent)
+            });
+        }
+        for (const limitation of amounts.limitations || []) {
+            if (limitation.quantity === null) continue;
+            benefits.push({
+                type: this.toConcept(SYSTEMS.benefitType, 'visit'),
+                allowedUnsignedInt: Math.round(limitation.quantity)
+            });
+        }
+
+        return benefits;
+    }
+
+    /**
+     * Build an OperationOutcome
+     * @param {Object[]} issues - { severity, code, diagnostics, expression }
+     * @returns {Object} FHIR OperationOutcome
+     */
+    toOperationOutcome(issues) {
+        return {
+            resourceType: 'OperationOutcome',
+            id: uuidv4(),
+            issue: issues
+        };
+    }
+
+    // Payer rejections (AAA) as OperationOutcome issues
+    toPayerIssues(result) {
+        const error = result.error || {};
+        return [{
+            severity: 'error',
+            code: 'processing',
+            details: {
+                coding: error.code && error.code !== 'UNKNOWN'
+                    ? [{ system: SYSTEMS.rejectReason, code: error.code, display: error.message }]
+                    : undefined,
+                text: error.message || 'Payer rejected the eligibility request'
+            },
+            diagnostics: 'Rejected by payer'
+        }];
+    }
+
+    /**
+     * CapabilityStatement for GET /fhir/metadata
+     * @param {string} baseUrl - Public base URL of the FHIR endpoints
+     * @returns {Object} FHIR CapabilityStatement
+     */
+    getCapabilityStatement(baseUrl) {
+        return {
+            resourceType: 'CapabilityStatement',
+            status: 'active',
+            date: new Date().toISOString().slice(0, 10),
+            kind: 'instance',
+            software: {
+                name: 'optum-eligibility-poc',
+                version: '1.0.0'
+            },
+            implementation: {
+                description: 'FHIR facade over Optum eligibility checks',
+                url: baseUrl
+            },
+            fhirVersion: FHIR_VERSION,
+            format: ['application/fhir+json', 'json'],
+            rest: [
+                {
+                    mode: 'server',
+                    security: {
+                        description: 'Send Authorization: Bearer <token>'
+                    },
+                    resource: [
+                        {
+                            type: 'CoverageEligibilityRequest',
+                            interaction: [
+                                {
+                                    code: 'create',
+                                    documentation: 'Runs the eligibility check and returns a CoverageEligibilityResponse. Nothing is stored. Patient, Coverage and Organization/Practitioner must be contained resources.'
+                                }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        };
+    }
+
+    // Resolve a "#id" reference to a contained resource of the given type
+    resolve(resource, reference, resourceType) {
+        const ref = reference?.reference;
+        if (!ref || !ref.startsWith('#')) return null;
+
+        const id = ref.slice(1);
+        return (resource.contained || []).find(contained => contained.id === id && contained.resourceType === resourceType) || null;
+    }
+
+    getPayerId(resource, coverage) {
+        const insurer = this.resolve(resource, resource.insurer, 'Organization')
+            || this.resolve(resource, coverage?.payor?.[0], 'Organization');
+
+        return resource.insurer?.identifier?.value
+            || insurer?.identifier?.[0]?.value
+            || coverage?.payor?.[0]?.identifier?.value
+            || null;
+    }
+
+    getProviderName(provider) {
+        if (provider.resourceType === 'Organization') {
+            return provider.name;
+        }
+        const name = provider.name?.[0] || {};
+        return name.text || [...(name.given || []), name.family].filter(Boolean).join(' ');
+    }
+
+    // identifier values that are already 9 digits are kept as the X12 control number
+    getControlNumber(resource) {
+        const value = resource.identifier?.find(identifier => /^\d{9}$/.test(identifier.value || ''))?.value;
+        return value || String(Math.floor(Math.random() * 1e9)).padStart(9, '0');
+    }
+
+    getServiceDates(resource, issue) {
+        const begin = resource.servicedDate || resource.servicedPeriod?.start || new Date().toISOString().slice(0, 10);
+        const end = resource.servicedDate || resource.servicedPeriod?.end || begin;
+
+        const beginDate = this.toX12Date(begin);
+        const endDate = this.toX12Date(end);
+        if (!beginDate || !endDate) {
+            issue('CoverageEligibilityRequest.serviced[x]', 'serviced[x] must be a date (YYYY-MM-DD)', 'value');
+        }
+
+        return { begin: beginDate, end: endDate };
+    }
+
+    toPerson(patient, path, issue) {
+        const name = patient.name?.find(n => n.use === 'official') || patient.name?.[0] || {};
+        const person = {
+            firstName: name.given?.[0],
+            lastName: name.family,
+            gender: GENDERS[patient.gender],
+            dateOfBirth: this.toX12Date(patient.birthDate)
+        };
+
+        if (!person.firstName || !person.lastName) issue(`${path}.name`, `${path}.name needs given and family`);
+        if (!person.gender) issue(`${path}.gender`, `${path}.gender must be male or female`, 'value');
+        if (!person.dateOfBirth) issue(`${path}.birthDate`, `${path}.birthDate must be a date (YYYY-MM-DD)`, 'value');
+
+        return person;
+    }
+
+    // FHIR date/dateTime → YYYYMMDD
+    toX12Date(value) {
+        const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        return match ? `${match[1]}${match[2]}${match[3]}` : null;
+    }
+
+    // YYYYMMDD → FHIR date
+    toFhirDate(value) {
+        return value && /^\d{8}$/.test(value) ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : undefined;
+    }
+
+    toPeriod(planPeriod) {
+        const start = this.toFhirDate(planPeriod?.beginDate);
+        const end = this.toFhirDate(planPeriod?.endDate);
+        if (!start && !end) return null;
+        return { ...(start && { start }), ...(end && { end }) };
+    }
+
+    toConcept(system, code, display) {
+        return { coding: [{ system, code, ...(display && { display }) }] };
+    }
+
+    validationError(issues) {
+        return new ValidationError(`Invalid CoverageEligibilityRequest: ${issues.map(issue => issue.diagnostics).join(', ')}`, issues);
+    }
+}
+
+export default FhirMapper;
@@ -0,0 +1,168 @@
+import { createClient } from 'redis';
+import { createHash } from 'crypto';
+import { canonicalize } from '../utils/canonicalize.js';
+import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('IdempotencyService');
+
+/**
+ * IdempotencyService remembers the response to each Idempotency-Key in Redis
+ * The first request with a key reserves it; its response is stored once sent and
+ * replayed to every retry with the same key and body for IDEMPOTENCY_TTL_SECONDS.
+ * A retry that arrives while the first request is still running sees the
+ * reservation and is turned away instead of reaching Optum a second time.
+ *
+ * Keys are scoped to the tenant and route, so tenants can never read each other's
+ * responses and the same key may be reused on different endpoints.
+ *
+ * Unlike rate limits this fails closed - a keyed request is refused while Redis is
+ * unavailable, since it could not be deduplicated.
+ *
+ * Keys:
+ *   <prefix><tenantId>:<METHOD /route>:<Idempotency-Key>   JSON { state, fingerprint, statusCode, body }
+ */
+class IdempotencyService {
+    constructor() {
+        this.client = null;
+        this.isInitialized = false;
+        this.initializing = null;
+        this.settings = config.idempotency;
+    }
+
+    // Connect to Redis
+    async initialize() {
+        if (this.isInitialized) return;
+        if (this.initializing) return this.initializing;
+
+        this.initializing = (async () => {
+            try {
+                // Fail commands fast while disconnected instead of queueing requests behind them
+                this.client = createClient({ url: config.redis.url, disableOfflineQueue: true });
+
+                this.client.on('error', (err) => {
+                    log.error('IdempotencyService Redis Error', { error: err.message });
+                });
+
+                await this.client.connect();
+                this.isInitialized = true;
+                log.info('IdempotencyService initialized');
+            } catch (error) {
+                log.error('Failed to initialize IdempotencyService', { error: error.message });
+                throw error;
+            } finally {
+                this.initializing = null;
+            }
+        })();
+
+        return this.initializing;
+    }
+
+    // Client ready for commands, or null while Redis is unavailable. Never waits for a connection.
+    getReadyClient() {
+        if (this.client?.isReady) return this.client;
+        if (!this.client && !this.initializing) {
+            this.initialize().catch(() => {});
+        }
+        return null;
+    }
+
+    requireClient() {
+        const client = this.getReadyClient();
+        if (!client) {
+            throw new Error('Redis not connected');
+        }
+        return client;
+    }
+
+    recordKey(tenantId, route, idempotencyKey) {
+        return `${this.settings.keyPrefix}${tenantId}:${route}:${idempotencyKey}`;
+    }
+
+    /**
+     * Hash of what the request asks for, so a reused key with a different request is caught
+     * Object keys are sorted first; property order does not change the fingerprint.
+     * @param {Object} body - Parsed request body
+     * @param {Object} query - Query parameters
+     * @returns {string} SHA-256 hex digest
+     */
+    getFingerprint(body, query) {
+        return createHash('sha256')
+            .update(JSON.stringify(canonicalize({ body: body ?? null, query: query ?? {} })))
+            .digest('hex');
+    }
+
+    /**
+     * Reserve a key for a request, or find what an earlier request with it left behind
+     * @param {string} tenantId - Tenant ID
+     * @param {string} route - Method and route path, e.g. POST /prior-auth
+     * @param {string} idempotencyKey - Client's Idempotency-Key
+     * @param {string} fingerprint - Request fingerprint
+     * @returns {Promise<Object>} { state: 'reserved' | 'in_progress' | 'mismatch' | 'completed', statusCode?, body? }
+     * @throws {Error} Redis not connected
+     */
+    async begin(tenantId, route, idempotencyKey, fingerprint) {
+        const client = this.requireClient();
+        const key = this.recordKey(tenantId, route, idempotencyKey);
+        const reservation = JSON.stringify({ state: 'in_progress', fingerprint, startedAt: new Date().toISOString() });
+
+        // A record can expire between SET NX and GET; the second pass reserves it
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const reserved = await client.set(key, reservation, { NX: true, EX: this.settings.lockSeconds });
+            if (reserved) return { state: 'reserved' };
+
+            const existing = await client.get(key);
+            if (!existing) continue;
+
+            const record = JSON.parse(existing);
+            if (record.fingerprint !== fingerprint) return { state: 'mismatch' };
+            if (record.state !== 'completed') return { state: 'in_progress' };
+            return { state: 'completed', statusCode: record.statusCode, body: record.body };
+        }
+
+        return { state: 'in_progress' };
+    }
+
+    /**
+     * Store the response to a reserved key for replay
+     * @param {string} tenantId - Tenant ID
+     * @param {string} route - Method and route path
+     * @param {string} idempotencyKey - Client's Idempotency-Key
+     * @param {string} fingerprint - Request fingerprint
+     * @param {number} statusCode - Response status
+     * @param {*} body - Response body
+     */
+    async complete(tenantId, route, idempotencyKey, fingerprint, statusCode, body) {
+        const client = this.requireClient();
+        await client.set(this.recordKey(tenantId, route, idempotencyKey), JSON.stringify({
+            state: 'completed',
+            fingerprint,
+            statusCode,
+            body,
+            completedAt: new Date().toISOString()
+        }), { EX: this.settings.ttlSeconds });
+    }
+
+    /**
+     * Drop a reservation so the client can retry with the same key
+     * @param {string} tenantId - Tenant ID
+     * @param {string} route - Method and route path
+     * @param {string} idempotencyKey - Client's Idempotency-Key
+     */
+    async release(tenantId, route, idempotencyKey) {
+        const client = this.requireClient();
+        await client.del(this.recordKey(tenantId, route, idempotencyKey));
+    }
+
+    // Close the Redis connection
+    async close() {
+        if (this.client && this.isInitialized) {
+            await this.client.quit();
+            log.info('IdempotencyService connection closed');
+        }
+    }
+}
+
+// Export singleton instance
+const idempotencyService = new IdempotencyService();
+export default idempotencyService;
@@ -0,0 +1,348 @@
+import { createClient } from 'redis';
+import { v4 as uuidv4 } from 'uuid';
+import EligibilityService from './EligibilityService.js';
+import { DEFAULT_TENANT_ID } from './TenantRegistry.js';
+import webhookService from './WebhookService.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('JobService');
+
+/**
+ * JobService runs eligibility checks asynchronously and keeps job state in Redis
+ * Jobs survive restarts: pending job IDs live in a Redis set and any replica can
+ * pick them up once it holds the job's lease. A job runs with its creating
+ * tenant's Optum credentials and only that tenant can read it.
+ *
+ * Keys:
+ *   <prefix><id>          job metadata (JSON)
+ *   <prefix><id>:results  hash of controlNumber -> outcome (JSON)
+ *   <prefix><id>:lease    replica currently running the job
+ *   <prefix>pending       set of job IDs not yet finished
+ */
+class JobService {
+    constructor() {
+        this.client = null;
+        this.isInitialized = false;
+        this.initializing = null;
+        this.eligibilityService = new EligibilityService();
+        this.instanceId = uuidv4();
+        this.keyPrefix = config.jobs.keyPrefix;
+        this.ttlSeconds = config.jobs.ttlSeconds;
+        this.leaseSeconds = config.jobs.leaseSeconds;
+        this.maxConcurrent = config.jobs.maxConcurrent;
+        this.running = new Set();
+        this.sweepTimer = null;
+    }
+
+    // Connect to Redis and start picking up pending jobs
+    async initialize() {
+        if (this.isInitialized) return;
+        if (this.initializing) return this.initializing;
+
+        this.initializing = (async () => {
+            try {
+                this.client = createClient({ url: config.redis.url });
+
+                this.client.on('error', (err) => {
+                    log.error('JobService Redis Error', { error: err.message });
+                });
+
+                await this.client.connect();
+
+                // Resume jobs left behind by a restart, and keep sweeping for
+                // jobs whose lease expired on another replica
+                this.sweepTimer = setInterval(() => this.pump(), config.jobs.sweepIntervalMs);
+                this.sweepTimer.unref();
+
+                this.isInitialized = true;
+                log.info('JobService initialized');
+                this.pump();
+            } catch (error) {
+                log.error('Failed to initialize JobService', { error: error.message });
+                throw error;
+            } finally {
+                this.initializing = null;
+            }
+        })();
+
+        return this.initializing;
+    }
+
+    jobKey(id) {
+        return `${this.keyPrefix}${id}`;
+    }
+
+    resultsKey(id) {
+        return `${this.keyPrefix}${id}:results`;
+    }
+
+    leaseKey(id) {
+        return `${this.keyPrefix}${id}:lease`;
+    }
+
+    get pendingKey() {
+        return `${this.keyPrefix}pending`;
+    }
+
+    /**
+     * Create a job and queue it for processing
+     * @param {Object[]} requests - Eligibility requests
+     * @param {Object} options - Job options
+     * @param {string} options.callbackUrl - Optional URL for the completion webhook
+     * @param {string} options.correlationId - Correlation ID of the creating request
+     * @param {string} options.tenant - Creating tenant's ID
+     * @returns {Promise<Object>} Public job view
+     */
+    async createJob(requests, options = {}) {
+        await this.initialize();
+
+        const errors = this.eligibilityService.validateBatch(requests);
+        if (options.callbackUrl) {
+            const callbackError = await webhookService.validateCallbackUrl(options.callbackUrl);
+            if (callbackError) errors.push(callbackError);
+        }
+        if (errors.length > 0) {
+            throw new ValidationError(`Job validation failed: ${errors.join(', ')}`, errors);
+        }
+
+        const job = {
+            id: uuidv4(),
+            tenantId: options.tenant || DEFAULT_TENANT_ID,
+            status: 'queued',
+            total: requests.length,
+            correlationId: options.correlationId || 'unknown',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            completedAt: null,
+            summary: null,
+            error: null,
+            callback: options.callbackUrl ? { url: options.callbackUrl, status: 'pending' } : null,
+            requests
+        };
+
+        await this.client.multi()
+            .set(this.jobKey(job.id), JSON.stringify(job), { EX: this.ttlSeconds })
+            .sAdd(this.pendingKey, job.id)
+            .exec();
+
+        log.info(`Job ${job.id} queued with ${job.total} requests`, { correlationId: job.correlationId });
+
+        this.pump();
+        return this.toPublicView(job, {});
+    }
+
+    /**
+     * Get job status and results
+     * @param {string} id - Job ID
+     * @param {string} tenantId - Calling tenant's ID
+     * @returns {Promise<Object|null>} Public job view or null if unknown/expired or another tenant's
+     */
+    async getJob(id, tenantId = DEFAULT_TENANT_ID) {
+        await this.initialize();
+
+        const job = await this.loadJob(id);
+        if (!job || this.getTenantId(job) !== tenantId) return null;
+
+        const results = await this.loadResults(id);
+        return this.toPublicView(job, results);
+    }
+
+    // Claim pending jobs up to the concurrency limit
+    async pump() {
+        if (!this.isInitialized) return;
+
+        try {
+            const pendingIds = await this.client.sMembers(this.pendingKey);
+
+            for (const id of pendingIds) {
+                if (this.running.size >= this.maxConcurrent) break;
+                if (this.running.has(id)) continue;
+
+                const claimed = await this.client.set(this.leaseKey(id), this.instanceId, {
+                    NX: true,
+                    EX: this.leaseSeconds
+                });
+                if (!claimed) continue; // another replica is running it
+
+                this.running.add(id);
+                this.runJob(id)
+                    .catch(error => this.requeue(id, error))
+                    .finally(() => {
+                        this.running.delete(id);
+                        this.pump();
+                    });
+            }
+        } catch (error) {
+            log.error('Failed to pick up pending jobs', { error: error.message });
+        }
+    }
+
+    // Process the remaining requests of a claimed job
+    async runJob(id) {
+        const job = await this.loadJob(id);
+        if (!job) {
+            // Metadata expired - nothing left to run
+            try {
+                await this.client.sRem(this.pendingKey, id);
+            } finally {
+                await this.client.del(this.leaseKey(id));
+            }
+            return;
+        }
+
+        const correlationId = job.correlationId;
+
+        job.status = 'running';
+        job.startedAt = job.startedAt || new Date().toISOString();
+        await this.saveJob(job);
+
+        // Skip items finished before a restart
+        const done = new Set(await this.client.hKeys(this.resultsKey(id)));
+        const remaining = job.requests.filter(request => !done.has(request.controlNumber));
+
+        log.info(`Job ${id} running: ${remaining.length}/${job.total} requests remaining`, { correlationId });
+
+        // Items turn their own errors into outcomes, so what escapes here is Redis (or the
+        // service) failing and pump() requeues the job. The batch stops starting items and
+        // waits for those in flight first - no Optum calls outlive the lease.
+        await this.eligibilityService.checkEligibilityBatch(remaining, correlationId, {
+            tenant: this.getTenantId(job),
+            onResult: async (controlNumber, outcome) => {
+                await this.client.multi()
+                    .hSet(this.resultsKey(id), controlNumber, JSON.stringify(outcome))
+                    .expire(this.resultsKey(id), this.ttlSeconds)
+                    .expire(this.leaseKey(id), this.leaseSeconds)
+                    .exec();
+            }
+        });
+
+        job.status = 'completed';
+        job.summary = this.eligibilityService.summarizeBatch(await this.loadResults(id));
+        log.info(`Job ${id} completed`, { correlationId });
+
+        // Requests carry PHI - drop them once they are no longer needed
+        job.completedAt = new Date().toISOString();
+        delete job.requests;
+        try {
+            await this.saveJob(job);
+            await this.client.sRem(this.pendingKey, id);
+        } finally {
+            await this.client.del(this.leaseKey(id));
+        }
+
+        if (job.callback) {
+            const delivery = await webhookService.deliver(
+                job.callback.url,
+                `eligibility.job.${job.status}`,
+                {
+                    jobId: job.id,
+                    status: job.status,
+                    summary: job.summary,
+                    error: job.error,
+                    completedAt: job.completedAt,
+                    resultsUrl: `/eligibility/jobs/${job.id}`
+                },
+                correlationId
+            );
+            job.callback = { url: job.callback.url, ...delivery };
+            // The job is finished either way; failing to record the delivery must not requeue it
+            try {
+                await this.saveJob(job);
+            } catch (error) {
+                log.error(`Failed to record webhook delivery for job ${id}`, { correlationId, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Put a job whose run failed on Redis back in the queue
+     * Its results so far are kept, so the next run picks up where this one stopped.
+     * The lease is held until the next sweep - a job that fails on every run is
+     * retried once per sweep rather than in a tight loop.
+     * @param {string} id - Job ID
+     * @param {Error} error - What stopped the run
+     */
+    async requeue(id, error) {
+        log.error(`Job ${id} interrupted, requeued`, { error: error.message });
+
+        try {
+            await this.client.sAdd(this.pendingKey, id);
+            await this.client.set(this.leaseKey(id), this.instanceId, {
+                EX: Math.max(1, Math.ceil(config.jobs.sweepIntervalMs / 1000))
+            });
+        } catch (requeueError) {
+            log.error(`Failed to requeue job ${id}, it resumes once its lease expires`, { error: requeueError.message });
+        }
+    }
+
+    // Jobs created before tenants were tracked belong to the default tenant
+    getTenantId(job) {
+        return job.tenantId || DEFAULT_TENANT_ID;
+    }
+
+    async loadJob(id) {
+        const data = await this.client.get(this.jobKey(id));
+        return data ? JSON.parse(data) : null;
+    }
+
+    async saveJob(job) {
+        await this.client.set(this.jobKey(job.id), JSON.stringify(job), { KEEPTTL: true });
+    }
+
+    async loadResults(id) {
+        const raw = await this.client.hGetAll(this.resultsKey(id));
+        const results = {};
+        for (const [controlNumber, outcome] of Object.entries(raw)) {
+            results[controlNumber] = JSON.parse(outcome);
+        }
+        return results;
+    }
+
+    // Job as returned to clients - never includes the original requests
+    toPublicView(job, results) {
+        const { requests, ...publicJob } = job;
+        return {
+            ...publicJob,
+            progress: {
+                total: job.total,
+                completed: Object.keys(results).length
+            },
+            results
+        };
+    }
+
+    // Get basic job queue health status
+    async getHealthStatus() {
+        if (!this.isInitialized) {
+            return { status: 'not_initialized' };
+        }
+
+        try {
+            return {
+                status: 'healthy',
+                pending: await this.client.sCard(this.pendingKey),
+                runningHere: this.running.size
+            };
+        } catch (error) {
+            return { status: 'unhealthy', error: error.message };
+        }
+    }
+
+    // Stop sweeping and close the Redis connection
+    async close() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+        }
+        if (this.client && this.isInitialized) {
+            await this.client.quit();
+            log.info('JobService connection closed');
+        }
+        await this.eligibilityService.close();
+    }
+}
+
+// Export singleton instance
+const jobService = new JobService();
+export default jobService;
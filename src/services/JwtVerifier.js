@@ -0,0 +1,273 @@
+import crypto from 'crypto';
+import { readFile } from 'fs/promises';
+import axios from 'axios';
+import { SCOPES } from './ApiKeyService.js';
+import { UnauthorizedError } from '../middleware/errorHandler.js';
+import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('JwtVerifier');
+
+// JWS algorithms we can verify with node:crypto
+const ALGORITHMS = {
+    RS256: { kty: 'RSA', hash: 'sha256' },
+    RS384: { kty: 'RSA', hash: 'sha384' },
+    RS512: { kty: 'RSA', hash: 'sha512' },
+    PS256: { kty: 'RSA', hash: 'sha256', pss: true },
+    PS384: { kty: 'RSA', hash: 'sha384', pss: true },
+    PS512: { kty: 'RSA', hash: 'sha512', pss: true },
+    ES256: { kty: 'EC', hash: 'sha256', crv: 'P-256' },
+    ES384: { kty: 'EC', hash: 'sha384', crv: 'P-384' },
+    ES512: { kty: 'EC', hash: 'sha512', crv: 'P-521' },
+    EdDSA: { kty: 'OKP', hash: null }
+};
+
+const JWT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+const JWKS_FETCH_TIMEOUT_MS = 5000;
+
+/**
+ * JwtVerifier validates bearer JWTs from the identity provider against its JWKS
+ * Checks the signature, issuer, audience, expiry and not-before, then maps claims
+ * to a tenant and API scopes. Keys are cached for JWT_JWKS_CACHE_TTL_MS; a token
+ * signed with an unknown `kid` triggers an early refresh (at most once per
+ * JWT_JWKS_MIN_REFRESH_INTERVAL_MS) so IdP key rotation is picked up without a restart.
+ * If a refresh fails the previously loaded keys keep being used.
+ */
+class JwtVerifier {
+    constructor() {
+        this.settings = config.jwt;
+        this.keys = [];
+        this.fetchedAt = 0;
+        this.lastRefreshAttempt = 0;
+        this.refreshing = null;
+
+        // An issuer alone would accept tokens it minted for any other application
+        if (this.enabled && this.settings.audiences.length === 0) {
+            throw new Error('JWT_AUDIENCE is required when JWT authentication is enabled');
+        }
+    }
+
+    get enabled() {
+        return Boolean(this.settings.issuer && (this.settings.jwksUrl || this.settings.jwksFile));
+    }
+
+    // Cheap shape check so API keys never go through JWT parsing
+    isJwt(token) {
+        return JWT_PATTERN.test(token);
+    }
+
+    /**
+     * Verify a JWT and resolve it to a tenant
+     * @param {string} token - Compact JWS
+     * @returns {Promise<Object>} { id, keyId, keyName, subject, scopes, authType }
+     * @throws {UnauthorizedError} When the token is not valid
+     */
+    async authenticate(token) {
+        const claims = await this.verify(token);
+        return this.toTenant(claims);
+    }
+
+    /**
+     * Verify signature and registered claims
+     * @param {string} token - Compact JWS
+     * @returns {Promise<Object>} Token claims
+     * @throws {UnauthorizedError} When the token is not valid
+     */
+    async verify(token) {
+        const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+        const header = this.decodeSegment(encodedHeader);
+        const claims = this.decodeSegment(encodedPayload);
+
+        if (!ALGORITHMS[header.alg] || !this.settings.algorithms.includes(header.alg)) {
+            throw new UnauthorizedError(`Token algorithm not allowed: ${header.alg}`);
+        }
+
+        const jwk = await this.getKey(header);
+        if (!jwk) {
+            throw new UnauthorizedError('No matching signing key for token');
+        }
+
+        const signingInput = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+        const signature = Buffer.from(encodedSignature, 'base64url');
+        if (!this.verifySignature(header.alg, jwk.key, signingInput, signature)) {
+            throw new UnauthorizedError('Invalid token signature');
+        }
+
+        this.validateClaims(claims);
+        return claims;
+    }
+
+    decodeSegment(segment) {
+        try {
+            const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+            if (!value || typeof value !== 'object') throw new Error('not an object');
+            return value;
+        } catch (error) {
+            throw new UnauthorizedError('Malformed token');
+        }
+    }
+
+    verifySignature(alg, key, signingInput, signature) {
+        const { kty, hash, pss } = ALGORITHMS[alg];
+        const options = { key };
+
+        if (kty === 'EC') options.dsaEncoding = 'ieee-p1363';
+        if (pss) {
+            options.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+            options.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+        }
+
+        try {
+            return crypto.verify(hash, signingInput, options, signature);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    validateClaims(claims) {
+        const now = Math.floor(Date.now() / 1000);
+        const tolerance = this.settings.clockToleranceSeconds;
+
+        if (claims.iss !== this.settings.issuer) {
+            throw new UnauthorizedError('Token issuer is not trusted');
+        }
+
+        const audiences = [].concat(claims.aud ?? []);
+        if (!audiences.some(audience => this.settings.audiences.includes(audience))) {
+            throw new UnauthorizedError('Token audience is not accepted');
+        }
+
+        if (typeof claims.exp !== 'number') {
+            throw new UnauthorizedError('Token has no expiry');
+        }
+        if (claims.exp + tolerance <= now) {
+            throw new UnauthorizedError('Token has expired');
+        }
+        if (typeof claims.nbf === 'number' && claims.nbf - tolerance > now) {
+            throw new UnauthorizedError('Token is not valid yet');
+        }
+    }
+
+    /**
+     * Map claims to the tenant shape authenticateToken attaches to req.tenant
+     * Scopes come from a space-separated string or an array (`scope`, then `scp`),
+     * are renamed through JWT_SCOPE_MAP and limited to the scopes this API knows.
+     * @param {Object} claims - Verified token claims
+     * @returns {Object} Tenant
+     */
+    toTenant(claims) {
+        const tenantId = claims[this.settings.tenantClaim];
+        if (!tenantId || typeof tenantId !== 'string') {
+            throw new UnauthorizedError(`Token has no ${this.settings.tenantClaim} claim`);
+        }
+
+        const rawScopes = claims[this.settings.scopeClaim] ?? claims.scp ?? [];
+        const tokenScopes = typeof rawScopes === 'string' ? rawScopes.split(' ') : [].concat(rawScopes);
+        const scopes = [...new Set(tokenScopes
+            .map(scope => this.settings.scopeMap[scope] || scope)
+            .filter(scope => SCOPES.includes(scope)))];
+
+        return {
+            id: tenantId,
+            keyId: null,
+            keyName: null,
+            subject: claims.sub || null,
+            scopes,
+            authType: 'jwt'
+        };
+    }
+
+    // Find the JWK for a token header, refreshing the JWKS once if the kid is unknown
+    async getKey(header) {
+        await this.ensureKeys();
+
+        let jwk = this.findKey(header);
+        if (!jwk && Date.now() - this.lastRefreshAttempt >= this.settings.jwksMinRefreshIntervalMs) {
+            await this.refreshKeys();
+            jwk = this.findKey(header);
+        }
+
+        return jwk;
+    }
+
+    findKey(header) {
+        const { kty, crv } = ALGORITHMS[header.alg];
+        const candidates = this.keys.filter(jwk =>
+            jwk.kty === kty
+            && (!crv || jwk.crv === crv)
+            && (!jwk.alg || jwk.alg === header.alg)
+            && (!header.kid || jwk.kid === header.kid));
+
+        // Without a kid the choice is only safe when a single key fits
+        if (!header.kid && candidates.length !== 1) return null;
+        return candidates[0] || null;
+    }
+
+    async ensureKeys() {
+        if (this.keys.length > 0 && Date.now() - this.fetchedAt < this.settings.jwksCacheTtlMs) return;
+        await this.refreshKeys();
+    }
+
+    // Reload the JWKS; concurrent callers share one fetch
+    async refreshKeys() {
+        if (this.refreshing) return this.refreshing;
+
+        this.refreshing = (async () => {
+            this.lastRefreshAttempt = Date.now();
+            try {
+                const jwks = await this.loadJwks();
+                const keys = this.importKeys(jwks);
+                if (keys.length === 0) {
+                    throw new Error('JWKS contains no usable signing keys');
+                }
+
+                this.keys = keys;
+                this.fetchedAt = Date.now();
+                log.info(`Loaded ${keys.length} JWKS signing key(s)`);
+            } catch (error) {
+                if (this.keys.length === 0) {
+                    log.error('Failed to load JWKS', { error: error.message });
+                    throw error;
+                }
+                log.warn('Failed to refresh JWKS, keeping cached keys', { error: error.message });
+            } finally {
+                this.refreshing = null;
+            }
+        })();
+
+        return this.refreshing;
+    }
+
+    async loadJwks() {
+        if (this.settings.jwksUrl) {
+            const response = await axios.get(this.settings.jwksUrl, { timeout: JWKS_FETCH_TIMEOUT_MS });
+            return response.data;
+        }
+
+        return JSON.parse(await readFile(this.settings.jwksFile, 'utf8'));
+    }
+
+    importKeys(jwks) {
+        return (jwks?.keys || [])
+            .filter(jwk => !jwk.use || jwk.use === 'sig')
+            .map(jwk => {
+                try {
+                    return {
+                        kid: jwk.kid,
+                        kty: jwk.kty,
+                        crv: jwk.crv,
+                        alg: jwk.alg,
+                        key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+                    };
+                } catch (error) {
+                    log.warn(`Skipping unusable JWK ${jwk.kid || '(no kid)'}`, { error: error.message });
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+}
+
+// Export singleton instance
+const jwtVerifier = new JwtVerifier();
+export default jwtVerifier;
@@ -0,0 +1,283 @@
+import { createClient } from 'redis';
+import { TooManyRequestsError } from '../middleware/errorHandler.js';
+import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('OutboundThrottle');
+
+// Refill every bucket of a call, then take one token from each only if all of them have one.
+// Returns 0 when the tokens were taken, otherwise the milliseconds until they can be.
+// Redis TIME keeps replicas with skewed clocks on the same refill schedule.
+const ACQUIRE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local wait = 0
+local available = {}
+
+for i, key in ipairs(KEYS) do
+    local rate = tonumber(ARGV[i * 2 - 1])
+    local burst = tonumber(ARGV[i * 2])
+    local bucket = redis.call('HMGET', key, 'tokens', 'ts')
+    local tokens = tonumber(bucket[1]) or burst
+    local ts = tonumber(bucket[2]) or now
+    tokens = math.min(burst, tokens + math.max(0, now - ts) * rate)
+    available[i] = tokens
+    if tokens < 1 then
+        wait = math.max(wait, math.ceil((1 - tokens) / rate))
+    end
+end
+
+for i, key in ipairs(KEYS) do
+    local rate = tonumber(ARGV[i * 2 - 1])
+    local burst = tonumber(ARGV[i * 2])
+    local tokens = available[i]
+    if wait == 0 then
+        tokens = tokens - 1
+    end
+    redis.call('HSET', key, 'tokens', tostring(tokens), 'ts', tostring(now))
+    redis.call('PEXPIRE', key, math.ceil(burst / rate) + 1000)
+end
+
+return wait
+`;
+
+/**
+ * OutboundThrottle paces calls to Optum with token buckets shared through Redis
+ * Every call takes a token from its credential's bucket and, when it names a
+ * trading partner, from that payer's bucket. Calls without tokens queue until
+ * they can get them, up to OPTUM_THROTTLE_MAX_WAIT_MS, instead of firing and
+ * retrying on Optum's 429s. A call that would wait longer is rejected with
+ * TooManyRequestsError.
+ *
+ * Credential limits default to OPTUM_THROTTLE_RATE / OPTUM_THROTTLE_BURST and can
+ * be overridden per tenant registry entry (throttle). Payer limits default to
+ * OPTUM_THROTTLE_PAYER_RATE / OPTUM_THROTTLE_PAYER_BURST, with per-payer
+ * overrides in OPTUM_THROTTLE_PAYERS. A rate of 0 disables a bucket.
+ *
+ * The throttle fails open - while Redis is unavailable calls are not paced.
+ *
+ * Keys:
+ *   <prefix>credential:<credential key>   hash of tokens, ts (refill time in ms)
+ *   <prefix>payer:<tradingPartnerServiceId>
+ */
+class OutboundThrottle {
+    constructor() {
+        this.client = null;
+        this.isInitialized = false;
+        this.initializing = null;
+        this.settings = config.throttle;
+        this.payerLimits = this.loadPayerLimits();
+        this.queueDepth = 0; // calls waiting on this replica
+        this.buckets = new Map(); // bucket name -> counters on this replica
+    }
+
+    // Per-payer overrides; a broken setting fails startup like a broken tenant registry
+    loadPayerLimits() {
+        if (!this.settings.payerLimits) return {};
+
+        let limits;
+        try {
+            limits = JSON.parse(this.settings.payerLimits);
+        } catch (error) {
+            throw new Error(`Failed to parse OPTUM_THROTTLE_PAYERS: ${error.message}`);
+        }
+
+        const errors = Object.entries(limits).flatMap(([payerId, payerLimits]) => getLimitErrors(`OPTUM_THROTTLE_PAYERS.${payerId}`, payerLimits));
+        if (errors.length > 0) {
+            throw new Error(`Invalid OPTUM_THROTTLE_PAYERS: ${errors.join(', ')}`);
+        }
+
+        return limits;
+    }
+
+    // Connect to Redis
+    async initialize() {
+        if (this.isInitialized) return;
+        if (this.initializing) return this.initializing;
+
+        this.initializing = (async () => {
+            try {
+                // Fail commands fast while disconnected so calls are not held behind them
+                this.client = createClient({ url: config.redis.url, disableOfflineQueue: true });
+
+                this.client.on('error', (err) => {
+                    log.error('OutboundThrottle Redis Error', { error: err.message });
+                });
+
+                await this.client.connect();
+                this.isInitialized = true;
+                log.info('OutboundThrottle initialized');
+            } catch (error) {
+                log.error('Failed to initialize OutboundThrottle', { error: error.message });
+                throw error;
+            } finally {
+                this.initializing = null;
+            }
+        })();
+
+        return this.initializing;
+    }
+
+    // Client ready for commands, or null while Redis is unavailable. Never waits for a connection.
+    getReadyClient() {
+        if (this.client?.isReady) return this.client;
+        if (!this.client && !this.initializing) {
+            this.initialize().catch(() => {});
+        }
+        return null;
+    }
+
+    /**
+     * Buckets a call to Optum draws from
+     * @param {string} credential - Credential key (tenant profile key)
+     * @param {Object} limits - Credential limits { ratePerSecond, burst }, defaults when omitted
+     * @param {string} tradingPartnerServiceId - Payer ID, if the call has one
+     * @returns {Object[]} { name, ratePerSecond, burst }
+     */
+    getBuckets(credential, limits, tradingPartnerServiceId) {
+        const buckets = [{ name: `credential:${credential}`, ...this.settings.credential, ...limits }];
+
+        if (tradingPartnerServiceId) {
+            buckets.push({
+                name: `payer:${tradingPartnerServiceId}`,
+                ...this.settings.payer,
+                ...this.payerLimits[tradingPartnerServiceId]
+            });
+        }
+
+        return buckets.filter(bucket => bucket.ratePerSecond > 0);
+    }
+
+    /**
+     * Wait for a token from every bucket of a call
+     * @param {Object} target - { credential, limits, tradingPartnerServiceId }
+     * @param {string} correlationId - Correlation ID for logging
+     * @throws {TooManyRequestsError} When the tokens would not come within the max wait
+     */
+    async acquire({ credential, limits, tradingPartnerServiceId }, correlationId = 'unknown') {
+        if (!this.settings.enabled) return;
+
+        const buckets = this.getBuckets(credential, limits, tradingPartnerServiceId);
+        if (buckets.length === 0) return;
+
+        const names = buckets.map(bucket => bucket.name).join(', ');
+        const counters = buckets.map(bucket => this.getCounters(bucket));
+        const startTime = Date.now();
+        let queued = false;
+
+        this.queueDepth++;
+        counters.forEach(counter => counter.waiting++);
+
+        try {
+            for (;;) {
+                const wait = await this.take(buckets, correlationId);
+
+                if (wait === 0) {
+                    counters.forEach(counter => {
+                        counter.acquired++;
+                        if (queued) counter.delayed++;
+                    });
+                    if (queued) {
+                        log.info(`Waited ${Date.now() - startTime}ms for an Optum throttle slot (${names})`, { correlationId });
+                    }
+                    return;
+                }
+
+                const waited = Date.now() - startTime;
+                if (waited + wait > this.settings.maxWaitMs) {
+                    counters.forEach(counter => counter.rejected++);
+                    log.warn(`Optum throttle saturated (${names}), giving up after ${waited}ms`, { correlationId });
+                    throw new TooManyRequestsError(
+                        `Too many requests queued for Optum (${names}); try again later`,
+                        Math.ceil(wait / 1000)
+                    );
+                }
+
+                queued = true;
+                // Jitter spreads out waiters that were told the same refill time
+                await sleep(wait + Math.floor(Math.random() * Math.min(wait, 50)));
+            }
+        } finally {
+            this.queueDepth--;
+            counters.forEach(counter => counter.waiting--);
+        }
+    }
+
+    // One attempt at the buckets: 0 when the tokens were taken, else ms to wait
+    async take(buckets, correlationId) {
+        const client = this.getReadyClient();
+        if (!client) return 0;
+
+        try {
+            const wait = await client.eval(ACQUIRE_SCRIPT, {
+                keys: buckets.map(bucket => `${this.settings.keyPrefix}${bucket.name}`),
+                arguments: buckets.flatMap(bucket => [String(bucket.ratePerSecond / 1000), String(bucket.burst)])
+            });
+            return Number(wait);
+        } catch (error) {
+            log.warn('Optum throttle skipped', { correlationId, error: error.message });
+            return 0;
+        }
+    }
+
+    getCounters(bucket) {
+        if (!this.buckets.has(bucket.name)) {
+            this.buckets.set(bucket.name, { waiting: 0, acquired: 0, delayed: 0, rejected: 0 });
+        }
+        const counter = this.buckets.get(bucket.name);
+        counter.ratePerSecond = bucket.ratePerSecond;
+        counter.burst = bucket.burst;
+        return counter;
+    }
+
+    /**
+     * Queue depth and per-bucket counters since this replica started
+     * @returns {Object} { enabled, redis, maxWaitMs, queueDepth, buckets }
+     */
+    getStats() {
+        return {
+            enabled: this.settings.enabled,
+            redis: this.client?.isReady ? 'connected' : 'disconnected',
+            maxWaitMs: this.settings.maxWaitMs,
+            queueDepth: this.queueDepth,
+            buckets: Object.fromEntries(this.buckets)
+        };
+    }
+
+    // Close the Redis connection
+    async close() {
+        if (this.client && this.isInitialized) {
+            await this.client.quit();
+            log.info('OutboundThrottle connection closed');
+        }
+    }
+}
+
+/**
+ * Problems with a { ratePerSecond, burst } setting
+ * @param {string} path - Setting name for error messages
+ * @param {Object} limits - Limits to check
+ * @returns {string[]} Error messages
+ */
+export function getLimitErrors(path, limits) {
+    if (!limits || typeof limits !== 'object') {
+        return [`${path} must be an object`];
+    }
+
+    const errors = [];
+    if (limits.ratePerSecond !== undefined && !(typeof limits.ratePerSecond === 'number' && limits.ratePerSecond >= 0)) {
+        errors.push(`${path}.ratePerSecond must be a non-negative number`);
+    }
+    if (limits.burst !== undefined && !(Number.isInteger(limits.burst) && limits.burst >= 1)) {
+        errors.push(`${path}.burst must be a positive integer`);
+    }
+    return errors;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Export singleton instance
+const outboundThrottle = new OutboundThrottle();
+export default outboundThrottle;
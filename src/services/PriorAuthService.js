@@ -0,0 +1,652 @@
+import ServiceTypeManager from './ServiceTypeManager.js';
+import ApiClient from './ApiClient.js';
+import tenantRegistry from './TenantRegistry.js';
+import rateLimitService from './RateLimitService.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { submissionRetryHandler } from '../utils/retryHandler.js';
+import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PriorAuthService');
+
+const SUBMISSION_PATH = '/rcm/prior-authorization/v1/submission';
+const INQUIRY_PATH = '/rcm/prior-authorization/v1/inquiry';
+
+// X12 278 HCR01 certification action codes
+const CERTIFICATION_ACTIONS = {
+    A1: 'approved',
+    A2: 'partially_approved',
+    A3: 'denied',
+    A4: 'pended',
+    A6: 'modified',
+    C: 'cancelled',
+    CT: 'contact_payer',
+    NA: 'no_action_required'
+};
+
+// Statuses that may still change and are worth re-checking
+export const PENDING_STATUSES = ['pended', 'unknown'];
+
+const REQUEST_CATEGORY_CODES = ['AR', 'HS', 'SC'];
+const ICD10_PATTERN = /^[A-TV-Z][0-9][0-9A-Z](\.?[0-9A-Z]{1,4})?$/;
+const PROCEDURE_CODE_PATTERN = /^([0-9]{4}[0-9FTU]|[A-V][0-9]{4})$/; // CPT or HCPCS Level II
+const DATE_PATTERN = /^\d{8}$/;
+
+// Inpatient stays go through admission review; everything else is a health services review
+const ADMISSION_SERVICE_TYPES = ['48', '54', 'A7', 'AG']; // hospital, long term care, psychiatric, skilled nursing
+
+/**
+ * PriorAuthService submits prior authorization requests to Optum and checks their status
+ * Shares per-tenant token handling with EligibilityService (via the TenantRegistry)
+ * and uses its own circuit breaker
+ */
+class PriorAuthService {
+    constructor() {
+        this.tenantRegistry = tenantRegistry;
+        this.serviceTypeManager = new ServiceTypeManager();
+        this.apiClients = new Map(); // tenant credential key -> { submission, inquiry }
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initialize the prior auth service
+     */
+    async initialize() {
+        if (this.isInitialized) return;
+
+        try {
+            await this.tenantRegistry.getAuthManager(this.tenantRegistry.resolve()).initialize();
+            this.isInitialized = true;
+            log.info('PriorAuthService initialized');
+        } catch (error) {
+            log.error('Failed to initialize PriorAuthService', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Submit a prior authorization request to Optum
+     * @param {Object} request - Prior auth submission (subscriber or dependent)
+     * @param {string} correlationId - Request correlation ID
+     * @param {Object} options - Submission options
+     * @param {string} options.tenant - Calling tenant's ID (default tenant when omitted)
+     * @returns {Promise<Object>} Normalized prior auth result
+     */
+    async submit(request, correlationId = 'unknown', options = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const profile = this.tenantRegistry.resolve(options.tenant);
+        request = this.applyTenantDefaults(request, profile);
+
+        const validationResult = this.validateSubmission(request);
+        if (!validationResult.isValid) {
+            throw new ValidationError(`Request validation failed: ${validationResult.errors.join(', ')}`, validationResult.errors);
+        }
+        this.tenantRegistry.assertTradingPartnerAllowed(profile, request.payerId);
+        await rateLimitService.consumeQuota(profile, 'prior_auth_submission', correlationId);
+
+        try {
+            log.info('Submitting prior authorization request', { correlationId });
+
+            const { submission } = await this.getAuthorizedClients(profile);
+
+            const response = await submission.post(
+                SUBMISSION_PATH,
+                this.prepareOptumRequest(request),
+                { correlationId, tradingPartnerServiceId: request.payerId }
+            );
+
+            log.info('Received prior authorization response from Optum API', { correlationId });
+
+            return this.normalizeResponse(response.data, request, correlationId);
+        } catch (error) {
+            log.error('Prior authorization submission failed', { correlationId, error: error.message });
+            throw this.toUpstreamError(error);
+        }
+    }
+
+    /**
+     * Check the status of a previously submitted prior authorization
+     * @param {Object} request - Inquiry keyed on previousReviewAuthorizationNumber
+     *   or previousAdministrativeReferenceNumber
+     * @param {string} correlationId - Request correlation ID
+     * @param {Object} options - Inquiry options
+     * @param {string} options.tenant - Calling tenant's ID (default tenant when omitted)
+     * @returns {Promise<Object>} Normalized prior auth result
+     */
+    async inquire(request, correlationId = 'unknown', options = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const profile = this.tenantRegistry.resolve(options.tenant);
+        request = this.applyTenantDefaults(request, profile);
+
+        const validationResult = this.validateInquiry(request);
+        if (!validationResult.isValid) {
+            throw new ValidationError(`Request validation failed: ${validationResult.errors.join(', ')}`, validationResult.errors);
+        }
+        this.tenantRegistry.assertTradingPartnerAllowed(profile, request.payerId);
+        await rateLimitService.consumeQuota(profile, 'prior_auth_inquiry', correlationId);
+
+        try {
+            log.info('Sending prior authorization inquiry', { correlationId });
+
+            const { inquiry } = await this.getAuthorizedClients(profile);
+
+            // Inquiries are read-only, so they can use the regular rate-limit retries
+            const response = await inquiry.post(
+                INQUIRY_PATH,
+                this.prepareOptumRequest(request),
+                { correlationId, tradingPartnerServiceId: request.payerId }
+            );
+
+            const result = this.normalizeResponse(response.data, request, correlationId);
+
+            // Rejected inquiries come back without an authorizationId
+            result.authorizationId = result.authorizationId || request.patientEventDetail.previousReviewAuthorizationNumber || null;
+            return result;
+        } catch (error) {
+            log.error('Prior authorization inquiry failed', { correlationId, error: error.message });
+            throw this.toUpstreamError(error);
+        }
+    }
+
+    /**
+     * Get the tenant's submission and inquiry clients with a current access token
+     * @param {Object} profile - Resolved tenant profile
+     * @returns {Promise<Object>} { submission, inquiry }
+     */
+    async getAuthorizedClients(profile) {
+        if (!this.apiClients.has(profile.key)) {
+            // Submissions and inquiries share the credential's throttle bucket and token
+            const throttle = { credential: profile.key, limits: profile.throttle };
+            const authManager = this.tenantRegistry.getAuthManager(profile);
+            this.apiClients.set(profile.key, {
+                // Submissions are not idempotent - only retry failures that never reached Optum
+                submission: ApiClient.createOptumClient({
+                    baseUrl: profile.baseUrl,
+                    timeout: config.optum.priorAuthTimeout,
+                    retryHandler: submissionRetryHandler,
+                    circuitBreakerName: 'optum-prior-auth',
+                    throttle,
+                    authManager
+                }),
+                inquiry: ApiClient.createOptumClient({
+                    baseUrl: profile.baseUrl,
+                    timeout: config.optum.priorAuthTimeout,
+                    circuitBreakerName: 'optum-prior-auth',
+                    throttle,
+                    authManager
+                })
+            });
+        }
+
+        const clients = this.apiClients.get(profile.key);
+        const accessToken = await this.tenantRegistry.getAuthManager(profile).getAccessToken();
+        clients.submission.setAuthToken(accessToken);
+        clients.inquiry.setAuthToken(accessToken);
+        return clients;
+    }
+
+    /**
+     * Fill senderId and requester fields the request left out from the tenant's settings
+     * @param {Object} request - Submission or inquiry
+     * @param {Object} profile - Resolved tenant profile
+     * @returns {Object} Request with tenant defaults applied
+     */
+    applyTenantDefaults(request, profile) {
+        if (!request || typeof request !== 'object') return request;
+
+        // The requester is the provider asking for authorization
+        const { organizationName, npi } = profile.provider;
+        const requester = organizationName || npi
+            ? { ...(organizationName && { organizationName }), ...(npi && { npi }), ...request.requester }
+            : request.requester;
+
+        return {
+            ...request,
+            senderId: request.senderId || profile.senderId,
+            ...(requester && { requester })
+        };
+    }
+
+    /**
+     * Build an inquiry for a stored submission
+     * @param {Object} context - Inquiry context saved at submission time
+     * @returns {Object} Inquiry request
+     */
+    buildInquiry(context) {
+        return {
+            senderId: context.senderId,
+            payerId: context.payerId,
+            ...(context.payerName && { payerName: context.payerName }),
+            requester: context.requester,
+            subscriber: context.subscriber,
+            ...(context.dependent && { dependent: context.dependent }),
+            patientEventDetail: {
+                requestCategoryCode: context.patientEventDetail.requestCategoryCode,
+                serviceTypeCode: context.patientEventDetail.serviceTypeCode,
+                eventDateBegin: context.patientEventDetail.eventDateBegin,
+                previousReviewAuthorizationNumber: context.authorizationId
+            }
+        };
+    }
+
+    /**
+     * Extract what a later inquiry needs from a submission
+     * @param {Object} request - Submitted request
+     * @param {Object} result - Normalized submission result
+     * @param {string} tenantId - Submitting tenant's ID
+     * @returns {Object} Inquiry context
+     */
+    getInquiryContext(request, result, tenantId) {
+        request = this.applyTenantDefaults(request, this.tenantRegistry.resolve(tenantId));
+
+        return {
+            authorizationId: result.authorizationId,
+            senderId: request.senderId,
+            payerId: request.payerId,
+            payerName: request.payerName,
+            requester: request.requester,
+            subscriber: request.subscriber,
+            dependent: request.dependent,
+            patientEventDetail: {
+                requestCategoryCode: request.patientEventDetail.requestCategoryCode,
+                serviceTypeCode: request.patientEventDetail.serviceTypeCode,
+                eventDateBegin: request.patientEventDetail.eventDateBegin
+            }
+        };
+    }
+
+    /**
+     * Validate a prior auth inquiry
+     * @param {Object} request - Request to validate
+     * @returns {Object} Validation result
+     */
+    validateInquiry(request) {
+        const errors = this.validateCommonFields(request);
+        const detail = request?.patientEventDetail;
+
+        if (detail && !detail.previousReviewAuthorizationNumber && !detail.previousAdministrativeReferenceNumber) {
+            errors.push('patientEventDetail.previousReviewAuthorizationNumber or previousAdministrativeReferenceNumber is required');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate a prior auth submission
+     * @param {Object} request - Request to validate
+     * @returns {Object} Validation result
+     */
+    validateSubmission(request) {
+        const errors = this.validateCommonFields(request);
+        const detail = request?.patientEventDetail;
+
+        if (detail) {
+            if (!detail.diagnosisCode) {
+                errors.push('patientEventDetail.diagnosisCode is required');
+            } else if (!ICD10_PATTERN.test(detail.diagnosisCode)) {
+                errors.push('patientEventDetail.diagnosisCode must be an ICD-10 code (e.g. R06.02)');
+            }
+
+            if (!Array.isArray(detail.serviceLevel) || detail.serviceLevel.length === 0) {
+                errors.push('patientEventDetail.serviceLevel must contain at least one service');
+            } else {
+                detail.serviceLevel.forEach((service, index) => {
+                    errors.push(...this.validateServiceLevel(service, `patientEventDetail.serviceLevel[${index}]`));
+                });
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate fields shared by submission and inquiry requests
+     * @param {Object} request - Request to validate
+     * @returns {string[]} Validation errors
+     */
+    validateCommonFields(request) {
+        const errors = [];
+
+        if (!request) {
+            errors.push('Request is required');
+            return errors;
+        }
+
+        if (!request.senderId) {
+            errors.push('senderId is required (or set OPTUM_SENDER_ID or the tenant\'s senderId)');
+        }
+
+        if (!request.payerId) {
+            errors.push('payerId is required');
+        }
+
+        // Requester (the provider asking for authorization)
+        if (!request.requester) {
+            errors.push('requester is required');
+        } else {
+            if (!request.requester.organizationName) {
+                errors.push('requester.organizationName is required');
+            }
+            if (!request.requester.npi) {
+                errors.push('requester.npi is required');
+            } else if (!/^\d{10}$/.test(request.requester.npi)) {
+                errors.push('requester.npi must be exactly 10 digits');
+            }
+        }
+
+        // Subscriber is always required - dependents are covered under the subscriber's plan
+        if (!request.subscriber) {
+            errors.push('subscriber is required');
+        } else {
+            for (const field of ['memberId', 'firstName', 'lastName', 'dateOfBirth']) {
+                if (!request.subscriber[field]) {
+                    errors.push(`subscriber.${field} is required`);
+                }
+            }
+            if (request.subscriber.dateOfBirth && !DATE_PATTERN.test(request.subscriber.dateOfBirth)) {
+                errors.push('subscriber.dateOfBirth must be in YYYYMMDD format');
+            }
+        }
+
+        if (request.dependent) {
+            for (const field of ['firstName', 'lastName', 'dateOfBirth']) {
+                if (!request.dependent[field]) {
+                    errors.push(`dependent.${field} is required`);
+                }
+            }
+            if (request.dependent.dateOfBirth && !DATE_PATTERN.test(request.dependent.dateOfBirth)) {
+                errors.push('dependent.dateOfBirth must be in YYYYMMDD format');
+            }
+        }
+
+        const detail = request.patientEventDetail;
+        if (!detail) {
+            errors.push('patientEventDetail is required');
+            return errors;
+        }
+
+        if (!detail.requestCategoryCode) {
+            errors.push('patientEventDetail.requestCategoryCode is required');
+        } else if (!REQUEST_CATEGORY_CODES.includes(detail.requestCategoryCode)) {
+            errors.push(`patientEventDetail.requestCategoryCode must be one of ${REQUEST_CATEGORY_CODES.join(', ')}`);
+        }
+
+        if (!detail.serviceTypeCode) {
+            errors.push('patientEventDetail.serviceTypeCode is required');
+        } else if (!this.serviceTypeManager.isValidCode(detail.serviceTypeCode)) {
+            errors.push(`patientEventDetail.serviceTypeCode ${detail.serviceTypeCode} is not a known service type`);
+        }
+
+        if (!detail.eventDateBegin) {
+            errors.push('patientEventDetail.eventDateBegin is required');
+        } else if (!DATE_PATTERN.test(detail.eventDateBegin)) {
+            errors.push('patientEventDetail.eventDateBegin must be in YYYYMMDD format');
+        }
+
+        if (detail.eventDateEnd && !DATE_PATTERN.test(detail.eventDateEnd)) {
+            errors.push('patientEventDetail.eventDateEnd must be in YYYYMMDD format');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate one requested service line
+     * @param {Object} service - serviceLevel entry
+     * @param {string} path - Field path for error messages
+     * @returns {string[]} Validation errors
+     */
+    validateServiceLevel(service, path) {
+        const errors = [];
+
+        if (!service) {
+            return [`${path} is required`];
+        }
+
+        if (service.serviceDateBegin && !DATE_PATTERN.test(service.serviceDateBegin)) {
+            errors.push(`${path}.serviceDateBegin must be in YYYYMMDD format`);
+        }
+
+        const professional = service.professionalService;
+        if (!professional) {
+            errors.push(`${path}.professionalService is required`);
+            return errors;
+        }
+
+        if (!professional.procedureCode) {
+            errors.push(`${path}.professionalService.procedureCode is required`);
+        } else if ((professional.productOrServiceIDQualifier || 'HC') === 'HC'
+            && !PROCEDURE_CODE_PATTERN.test(professional.procedureCode)) {
+            errors.push(`${path}.professionalService.procedureCode must be a CPT or HCPCS code`);
+        }
+
+        if (professional.serviceLineAmount !== undefined && isNaN(parseFloat(professional.serviceLineAmount))) {
+            errors.push(`${path}.professionalService.serviceLineAmount must be a number`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Prepare request for Optum API format
+     * @param {Object} request - Original request
+     * @returns {Object} Optum-formatted request
+     */
+    prepareOptumRequest(request) {
+        const detail = request.patientEventDetail;
+
+        return {
+            senderId: request.senderId,
+            payerId: request.payerId,
+            ...(request.payerName && { payerName: request.payerName }),
+            requester: {
+                requesterType: request.requester.requesterType || '1P',
+                ...request.requester
+            },
+            subscriber: { ...request.subscriber },
+            ...(request.dependent && { dependent: { ...request.dependent } }),
+            patientEventDetail: {
+                ...detail,
+                ...(detail.serviceLevel && {
+                    serviceLevel: detail.serviceLevel.map(service => ({
+                        requestCategoryCode: service.requestCategoryCode || detail.requestCategoryCode,
+                        serviceDateBegin: service.serviceDateBegin || detail.eventDateBegin,
+                        ...service,
+                        professionalService: {
+                            productOrServiceIDQualifier: 'HC',
+                            ...service.professionalService
+                        }
+                    }))
+                })
+            }
+        };
+    }
+
+    /**
+     * Normalize an Optum prior auth response
+     * @param {Object} response - Optum response body
+     * @param {Object} originalRequest - Request that was sent
+     * @param {string} correlationId - Request correlation ID
+     * @returns {Object} Normalized result
+     */
+    normalizeResponse(response, originalRequest, correlationId) {
+        const detail = response?.json?.patientEventDetail || {};
+        const validation = response?.json?.requestValidation?.[0] || {};
+
+        const certificationActionCode = detail.certificationActionCode || null;
+        const decisionCode = certificationActionCode || validation.responseCode || null;
+
+        let status = CERTIFICATION_ACTIONS[decisionCode] || 'unknown';
+        if (validation.rejectReasonCode) {
+            status = 'rejected';
+        }
+
+        const patient = originalRequest.dependent || originalRequest.subscriber;
+
+        return {
+            status,
+            authorizationId: response?.authorizationId || null,
+            reviewIdentificationNumber: detail.reviewIdentificationNumber || null,
+            decision: {
+                certificationActionCode,
+                reviewDecisionReasonCode: detail.reviewDecisionReasonCode || null,
+                responseCode: validation.responseCode || null,
+                rejectReasonCode: validation.rejectReasonCode || null,
+                followupActionCode: validation.followupActionCode || null
+            },
+            certification: {
+                effectiveDate: detail.certificationEffectiveDateBegin || null,
+                expirationDate: detail.certificationExpirationDateEnd || null
+            },
+            patient: {
+                type: originalRequest.dependent ? 'dependent' : 'subscriber',
+                memberId: originalRequest.subscriber?.memberId,
+                firstName: patient?.firstName,
+                lastName: patient?.lastName
+            },
+            payerId: originalRequest.payerId,
+            correlationId,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Convert an Optum/axios error into an error with a client-facing status
+     * @param {Error} error - Original error
+     * @returns {Error} Error with status set
+     */
+    toUpstreamError(error) {
+        if (!error.response) {
+            return error;
+        }
+
+        const status = error.response.status;
+        const data = error.response.data;
+        let upstreamError;
+
+        if (status === 401) {
+            upstreamError = new Error('Authentication failed with Optum API');
+            upstreamError.status = 502;
+        } else if (status === 400) {
+            upstreamError = new Error(`Bad request to Optum API: ${data?.message || 'Invalid request format'}`);
+            upstreamError.status = 400;
+        } else if (status === 429) {
+            upstreamError = new Error('Rate limited by Optum API - please try again later');
+            upstreamError.status = 429;
+        } else if (status >= 500) {
+            upstreamError = new Error('Optum API server error - please try again later');
+            upstreamError.status = 502;
+        } else {
+            return error;
+        }
+
+        return upstreamError;
+    }
+
+    /**
+     * Get service health status
+     * @returns {Object} Health status
+     */
+    async getHealthStatus() {
+        try {
+            return {
+                status: 'healthy',
+                initialized: this.isInitialized,
+                authentication: await this.tenantRegistry.getAuthManager(this.tenantRegistry.resolve()).healthCheck(),
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            return {
+                status: 'unhealthy',
+                error: error.message,
+                initialized: this.isInitialized,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Close connections and cleanup
+     */
+    async close() {
+        await this.tenantRegistry.close();
+        log.info('PriorAuthService closed');
+    }
+}
+
+/**
+ * Build prior auth request drafts from an eligibility check
+ * One draft per requested service the payer flagged as requiring authorization.
+ * Eligibility can't supply the diagnosis or procedure codes, so each draft lists
+ * the fields still needed before it can be sent to POST /prior-auth.
+ * @param {Object} eligibilityRequest - Eligibility request that was checked
+ * @param {Object} eligibilityResult - Parsed eligibility response
+ * @param {string} senderId - Tenant's Optum sender ID
+ * @returns {Object[]} Drafts: { serviceTypeCode, request, missingFields }
+ */
+export function buildPriorAuthDrafts(eligibilityRequest, eligibilityResult, senderId) {
+    // benefits can list a service more than once - draft each service once
+    const services = [...new Map((eligibilityResult.benefits || [])
+        .filter(benefit => benefit.priorAuthRequired === true)
+        .map(benefit => [benefit.serviceTypeCode, benefit])).values()];
+    const dependent = eligibilityRequest.dependents?.[0];
+
+    return services.map(service => {
+        const request = {
+            ...(senderId && { senderId }),
+            payerId: eligibilityRequest.tradingPartnerServiceId,
+            ...(eligibilityResult.payer?.name && { payerName: eligibilityResult.payer.name }),
+            requester: {
+                organizationName: eligibilityRequest.provider?.organizationName,
+                npi: eligibilityRequest.provider?.npi
+            },
+            subscriber: {
+                memberId: eligibilityRequest.subscriber?.memberId,
+                firstName: eligibilityRequest.subscriber?.firstName,
+                lastName: eligibilityRequest.subscriber?.lastName,
+                dateOfBirth: eligibilityRequest.subscriber?.dateOfBirth
+            },
+            ...(dependent && {
+                dependent: {
+                    firstName: dependent.firstName,
+                    lastName: dependent.lastName,
+                    dateOfBirth: dependent.dateOfBirth
+                }
+            }),
+            patientEventDetail: {
+                requestCategoryCode: ADMISSION_SERVICE_TYPES.includes(service.serviceTypeCode) ? 'AR' : 'HS',
+                serviceTypeCode: service.serviceTypeCode,
+                eventDateBegin: eligibilityRequest.encounter?.beginningDateOfService,
+                ...(eligibilityRequest.encounter?.endDateOfService && {
+                    eventDateEnd: eligibilityRequest.encounter.endDateOfService
+                })
+            }
+        };
+
+        const missingFields = ['patientEventDetail.diagnosisCode', 'patientEventDetail.serviceLevel'];
+        if (!request.senderId) {
+            missingFields.unshift('senderId');
+        }
+
+        return {
+            serviceTypeCode: service.serviceTypeCode,
+            serviceType: service.serviceType,
+            request,
+            missingFields
+        };
+    });
+}
+
+export default PriorAuthService;
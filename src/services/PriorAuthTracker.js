@@ -0,0 +1,330 @@
+import { EventEmitter } from 'events';
+import { createClient } from 'redis';
+import { v4 as uuidv4 } from 'uuid';
+import PriorAuthService, { PENDING_STATUSES } from './PriorAuthService.js';
+import { DEFAULT_TENANT_ID } from './TenantRegistry.js';
+import webhookService from './WebhookService.js';
+import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PriorAuthTracker');
+
+/**
+ * PriorAuthTracker keeps prior auth records in Redis and re-checks pending ones
+ * Every status change is appended to the record's history. When a pending
+ * authorization reaches a decision the tracker emits 'decision' and, if the
+ * submission supplied a callbackUrl, POSTs a signed prior-auth.decision webhook.
+ *
+ * Scheduled polling is opt-in (PRIOR_AUTH_TRACKER_ENABLED=true). Records are
+ * always stored so GET /prior-auth/:authorizationId can build inquiries. Each
+ * record belongs to the submitting tenant, whose Optum credentials are used for
+ * its inquiries and who is the only tenant that can read or update it.
+ *
+ * Keys:
+ *   <prefix><authorizationId>        record (JSON)
+ *   <prefix><authorizationId>:lock   replica currently checking it
+ *   <prefix>tracked                  sorted set of authorizationId by next check time
+ *
+ * Events:
+ *   'transition' ({ authorizationId, from, to, at })
+ *   'decision'   ({ authorizationId, status, result })
+ */
+class PriorAuthTracker extends EventEmitter {
+    constructor() {
+        super();
+        this.client = null;
+        this.isInitialized = false;
+        this.initializing = null;
+        this.priorAuthService = new PriorAuthService();
+        this.instanceId = uuidv4();
+        this.keyPrefix = config.priorAuth.keyPrefix;
+        this.recordTtlSeconds = config.priorAuth.recordTtlSeconds;
+        this.pollIntervalMs = config.priorAuth.pollIntervalMs;
+        this.maxTrackingMs = config.priorAuth.maxTrackingDays * 24 * 3600 * 1000;
+        this.trackerEnabled = config.priorAuth.trackerEnabled;
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    // Connect to Redis
+    async initialize() {
+        if (this.isInitialized) return;
+        if (this.initializing) return this.initializing;
+
+        this.initializing = (async () => {
+            try {
+                this.client = createClient({ url: config.redis.url });
+
+                this.client.on('error', (err) => {
+                    log.error('PriorAuthTracker Redis Error', { error: err.message });
+                });
+
+                await this.client.connect();
+                this.isInitialized = true;
+                log.info('PriorAuthTracker initialized');
+            } catch (error) {
+                log.error('Failed to initialize PriorAuthTracker', { error: error.message });
+                throw error;
+            } finally {
+                this.initializing = null;
+            }
+        })();
+
+        return this.initializing;
+    }
+
+    // Start scheduled polling if enabled
+    async start() {
+        if (!this.trackerEnabled) {
+            log.info('Prior auth tracker disabled (set PRIOR_AUTH_TRACKER_ENABLED=true to poll pending authorizations)');
+            return;
+        }
+
+        await this.initialize();
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), config.priorAuth.tickIntervalMs);
+            this.timer.unref();
+            log.info(`Prior auth tracker polling pending authorizations every ${Math.round(this.pollIntervalMs / 1000)}s`);
+        }
+    }
+
+    recordKey(authorizationId) {
+        return `${this.keyPrefix}${authorizationId}`;
+    }
+
+    lockKey(authorizationId) {
+        return `${this.keyPrefix}${authorizationId}:lock`;
+    }
+
+    get trackedKey() {
+        return `${this.keyPrefix}tracked`;
+    }
+
+    /**
+     * Store a submission so it can be inquired on and tracked later
+     * @param {Object} request - Submitted request
+     * @param {Object} result - Normalized submission result
+     * @param {Object} options - Tracking options
+     * @param {string} options.callbackUrl - URL for the decision webhook
+     * @param {string} options.tenant - Submitting tenant's ID
+     * @returns {Promise<Object>} Tracking info
+     */
+    async saveSubmission(request, result, options = {}) {
+        if (!result.authorizationId) {
+            return { stored: false, tracked: false };
+        }
+
+        await this.initialize();
+
+        const now = new Date().toISOString();
+        const record = {
+            authorizationId: result.authorizationId,
+            tenantId: options.tenant || DEFAULT_TENANT_ID,
+            reviewIdentificationNumber: result.reviewIdentificationNumber,
+            status: result.status,
+            decision: result.decision,
+            certification: result.certification,
+            callbackUrl: options.callbackUrl || null,
+            inquiryContext: this.priorAuthService.getInquiryContext(request, result, options.tenant),
+            history: [{ status: result.status, at: now, source: 'submission' }],
+            checks: 0,
+            submittedAt: now,
+            updatedAt: now,
+            lastCheckedAt: null
+        };
+
+        await this.saveRecord(record, true);
+
+        const tracked = this.trackerEnabled && PENDING_STATUSES.includes(result.status);
+        if (tracked) {
+            await this.client.zAdd(this.trackedKey, { score: Date.now() + this.pollIntervalMs, value: record.authorizationId });
+        }
+
+        return { stored: true, tracked };
+    }
+
+    /**
+     * Get a stored record
+     * @param {string} authorizationId - Authorization ID
+     * @returns {Promise<Object|null>} Record or null
+     */
+    async getRecord(authorizationId) {
+        await this.initialize();
+
+        const data = await this.client.get(this.recordKey(authorizationId));
+        return data ? JSON.parse(data) : null;
+    }
+
+    // Records stored before tenants were tracked belong to the default tenant
+    getTenantId(record) {
+        return record.tenantId || DEFAULT_TENANT_ID;
+    }
+
+    /**
+     * Run an inquiry for a stored authorization and record the outcome
+     * @param {string} authorizationId - Authorization ID
+     * @param {string} correlationId - Correlation ID
+     * @param {string} tenantId - Calling tenant's ID
+     * @returns {Promise<Object|null>} { result, record } or null if no record exists for this tenant
+     */
+    async check(authorizationId, correlationId = 'unknown', tenantId = DEFAULT_TENANT_ID) {
+        const record = await this.getRecord(authorizationId);
+        if (!record || this.getTenantId(record) !== tenantId) return null;
+
+        const inquiry = this.priorAuthService.buildInquiry(record.inquiryContext);
+        const result = await this.priorAuthService.inquire(inquiry, correlationId, { tenant: tenantId });
+        const updated = await this.recordStatus(authorizationId, result, 'inquiry', tenantId);
+
+        return { result, record: updated };
+    }
+
+    /**
+     * Record an inquiry result, appending a transition when the status changed
+     * @param {string} authorizationId - Authorization ID
+     * @param {Object} result - Normalized inquiry result
+     * @param {string} source - What produced the result (inquiry, tracker)
+     * @param {string} tenantId - Only update the record if it belongs to this tenant (any tenant when omitted)
+     * @returns {Promise<Object|null>} Updated record or null if none is stored
+     */
+    async recordStatus(authorizationId, result, source = 'inquiry', tenantId) {
+        const record = await this.getRecord(authorizationId);
+        if (!record || (tenantId && this.getTenantId(record) !== tenantId)) return null;
+
+        const now = new Date().toISOString();
+        const previousStatus = record.status;
+
+        record.checks++;
+        record.lastCheckedAt = now;
+        record.decision = result.decision;
+        record.certification = result.certification;
+        record.reviewIdentificationNumber = result.reviewIdentificationNumber || record.reviewIdentificationNumber;
+
+        if (result.status !== previousStatus) {
+            record.status = result.status;
+            record.updatedAt = now;
+            record.history.push({ status: result.status, at: now, source });
+            this.emit('transition', { authorizationId, from: previousStatus, to: result.status, at: now });
+            log.info(`Prior auth ${authorizationId}: ${previousStatus} → ${result.status}`);
+        }
+
+        await this.saveRecord(record);
+
+        if (!PENDING_STATUSES.includes(result.status)) {
+            await this.client.zRem(this.trackedKey, authorizationId);
+
+            if (PENDING_STATUSES.includes(previousStatus)) {
+                await this.notifyDecision(record, result);
+            }
+        }
+
+        return record;
+    }
+
+    // Emit and deliver a decision for a previously pending authorization
+    async notifyDecision(record, result) {
+        this.emit('decision', { authorizationId: record.authorizationId, status: result.status, result });
+
+        if (!record.callbackUrl) return;
+
+        const delivery = await webhookService.deliver(
+            record.callbackUrl,
+            'prior-auth.decision',
+            {
+                authorizationId: record.authorizationId,
+                reviewIdentificationNumber: record.reviewIdentificationNumber,
+                status: result.status,
+                decision: result.decision,
+                certification: result.certification,
+                history: record.history
+            },
+            result.correlationId
+        );
+
+        record.lastNotification = delivery;
+        await this.saveRecord(record);
+    }
+
+    // Re-check pending authorizations whose next check time has passed
+    async tick() {
+        if (this.ticking || !this.isInitialized) return;
+        this.ticking = true;
+
+        try {
+            const dueIds = await this.client.zRangeByScore(this.trackedKey, 0, Date.now(), {
+                LIMIT: { offset: 0, count: 25 }
+            });
+
+            for (const authorizationId of dueIds) {
+                await this.checkTracked(authorizationId);
+            }
+        } catch (error) {
+            log.error('Prior auth tracker tick failed', { error: error.message });
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    // Check one tracked authorization while holding its lock
+    async checkTracked(authorizationId) {
+        const claimed = await this.client.set(this.lockKey(authorizationId), this.instanceId, {
+            NX: true,
+            EX: Math.ceil(config.optum.priorAuthTimeout / 1000) * 2
+        });
+        if (!claimed) return; // another replica is checking it
+
+        const correlationId = uuidv4();
+
+        try {
+            const record = await this.getRecord(authorizationId);
+
+            if (!record || Date.now() - new Date(record.submittedAt).getTime() > this.maxTrackingMs) {
+                log.info(`Stopped tracking prior auth ${authorizationId}`, { correlationId });
+                await this.client.zRem(this.trackedKey, authorizationId);
+                return;
+            }
+
+            const inquiry = this.priorAuthService.buildInquiry(record.inquiryContext);
+            const result = await this.priorAuthService.inquire(inquiry, correlationId, { tenant: this.getTenantId(record) });
+            await this.recordStatus(authorizationId, result, 'tracker');
+
+            if (PENDING_STATUSES.includes(result.status)) {
+                await this.client.zAdd(this.trackedKey, { score: Date.now() + this.pollIntervalMs, value: authorizationId });
+            }
+        } catch (error) {
+            // Leave it tracked and try again next interval
+            log.error(`Tracked inquiry for ${authorizationId} failed`, { correlationId, error: error.message });
+            await this.client.zAdd(this.trackedKey, { score: Date.now() + this.pollIntervalMs, value: authorizationId });
+        } finally {
+            await this.client.del(this.lockKey(authorizationId));
+        }
+    }
+
+    async saveRecord(record, isNew = false) {
+        const options = isNew ? { EX: this.recordTtlSeconds } : { KEEPTTL: true };
+        await this.client.set(this.recordKey(record.authorizationId), JSON.stringify(record), options);
+    }
+
+    // Record as returned to clients - the inquiry context carries PHI and stays internal
+    toPublicView(record) {
+        const { inquiryContext, ...publicRecord } = record;
+        return publicRecord;
+    }
+
+    // Stop polling and close the Redis connection
+    async close() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.client && this.isInitialized) {
+            await this.client.quit();
+            log.info('PriorAuthTracker connection closed');
+        }
+        await this.priorAuthService.close();
+    }
+}
+
+// Export singleton instance
+const priorAuthTracker = new PriorAuthTracker();
+export default priorAuthTracker;
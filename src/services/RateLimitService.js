@@ -0,0 +1,266 @@
+import { createClient } from 'redis';
+import { TooManyRequestsError } from '../middleware/errorHandler.js';
+import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('RateLimitService');
+
+// Billable Optum transactions counted against tenant quotas
+export const TRANSACTION_TYPES = ['eligibility', 'prior_auth_submission', 'prior_auth_inquiry'];
+
+// Usage hashes outlive their period so GET /usage can still read them right after rollover
+const DAY_USAGE_TTL_SECONDS = 3 * 24 * 3600;
+const MONTH_USAGE_TTL_SECONDS = 62 * 24 * 3600;
+
+/**
+ * RateLimitService keeps request rate windows and transaction quotas in Redis
+ * Counters live in Redis so limits hold across replicas and restarts. Windows are
+ * fixed: the first request in a window creates its counter with the window length
+ * as expiry. Quotas count billable Optum transactions per tenant per UTC day and
+ * month; cache hits are free.
+ *
+ * Limits fail open - while Redis is unavailable requests are served and not counted.
+ *
+ * Keys:
+ *   <prefix>window:<policy>:<identity>   requests in the current window
+ *   <prefix>usage:<tenantId>:<YYYY-MM-DD>  hash of transaction type -> count, plus total
+ *   <prefix>usage:<tenantId>:<YYYY-MM>     same, for the month
+ */
+class RateLimitService {
+    constructor() {
+        this.client = null;
+        this.isInitialized = false;
+        this.initializing = null;
+        this.keyPrefix = config.rateLimit.keyPrefix;
+    }
+
+    // Connect to Redis
+    async initialize() {
+        if (this.isInitialized) return;
+        if (this.initializing) return this.initializing;
+
+        this.initializing = (async () => {
+            try {
+                // Fail commands fast while disconnected instead of queueing requests behind them
+                this.client = createClient({ url: config.redis.url, disableOfflineQueue: true });
+
+                this.client.on('error', (err) => {
+                    log.error('RateLimitService Redis Error', { error: err.message });
+                });
+
+                await this.client.connect();
+                this.isInitialized = true;
+                log.info('RateLimitService initialized');
+            } catch (error) {
+                log.error('Failed to initialize RateLimitService', { error: error.message });
+                throw error;
+            } finally {
+                this.initializing = null;
+            }
+        })();
+
+        return this.initializing;
+    }
+
+    // Client ready for commands, or null while Redis is unavailable. Never waits for a connection.
+    getReadyClient() {
+        if (this.client?.isReady) return this.client;
+        if (!this.client && !this.initializing) {
+            this.initialize().catch(() => {});
+        }
+        return null;
+    }
+
+    windowKey(policyName, identity) {
+        return `${this.keyPrefix}window:${policyName}:${identity.join(':')}`;
+    }
+
+    usageKey(tenantId, period) {
+        return `${this.keyPrefix}usage:${tenantId}:${period}`;
+    }
+
+    /**
+     * Count a request against a rate limit window
+     * @param {string} policyName - Policy name (ip, tenant, route, payer)
+     * @param {string[]} identity - Values the policy is keyed by
+     * @param {number} limit - Requests allowed per window
+     * @param {number} windowMs - Window length
+     * @returns {Promise<Object|null>} { limit, count, remaining, resetMs } or null when Redis is unavailable
+     */
+    async hit(policyName, identity, limit, windowMs) {
+        const client = this.getReadyClient();
+        if (!client) return null;
+
+        const key = this.windowKey(policyName, identity);
+
+        try {
+            const [, count, ttl] = await client.multi()
+                .set(key, '0', { PX: windowMs, NX: true })
+                .incr(key)
+                .pTTL(key)
+                .exec();
+
+            return {
+                limit,
+                count,
+                remaining: Math.max(0, limit - count),
+                resetMs: ttl > 0 ? ttl : windowMs
+            };
+        } catch (error) {
+            log.warn(`Rate limit check for ${policyName} skipped`, { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Read a rate limit window without counting a request
+     * @param {string} policyName - Policy name
+     * @param {string[]} identity - Values the policy is keyed by
+     * @param {number} limit - Requests allowed per window
+     * @param {number} windowMs - Window length
+     * @returns {Promise<Object>} { limit, used, remaining, resetSeconds, windowSeconds }
+     */
+    async getWindow(policyName, identity, limit, windowMs) {
+        const client = this.requireClient();
+        const key = this.windowKey(policyName, identity);
+        const [count, ttl] = await Promise.all([client.get(key), client.pTTL(key)]);
+        const used = parseInt(count) || 0;
+
+        return {
+            limit,
+            used,
+            remaining: Math.max(0, limit - used),
+            resetSeconds: Math.ceil((ttl > 0 ? ttl : windowMs) / 1000),
+            windowSeconds: Math.ceil(windowMs / 1000)
+        };
+    }
+
+    /**
+     * Count a billable Optum transaction against the tenant's daily and monthly quotas
+     * Call before the Optum request; a rejected transaction is not counted.
+     * @param {Object} profile - Resolved tenant profile (tenantId, quotas)
+     * @param {string} type - One of TRANSACTION_TYPES
+     * @param {string} correlationId - Correlation ID for logging
+     * @throws {TooManyRequestsError} When a quota is used up, with retryAfter set to its reset
+     */
+    async consumeQuota(profile, type, correlationId = 'unknown') {
+        const client = this.getReadyClient();
+        if (!client) {
+            log.warn(`Redis unavailable, ${type} transaction not counted against quotas`, { correlationId });
+            return;
+        }
+
+        const now = new Date();
+        const dayKey = this.usageKey(profile.tenantId, this.getDay(now));
+        const monthKey = this.usageKey(profile.tenantId, this.getMonth(now));
+        const { daily, monthly } = profile.quotas;
+        let exceeded = null;
+
+        try {
+            const [dayTotal, , , monthTotal] = await client.multi()
+                .hIncrBy(dayKey, 'total', 1)
+                .hIncrBy(dayKey, type, 1)
+                .expire(dayKey, DAY_USAGE_TTL_SECONDS)
+                .hIncrBy(monthKey, 'total', 1)
+                .hIncrBy(monthKey, type, 1)
+                .expire(monthKey, MONTH_USAGE_TTL_SECONDS)
+                .exec();
+
+            if (daily > 0 && dayTotal > daily) {
+                exceeded = { period: 'Daily', limit: daily, resetsAt: this.getNextDay(now) };
+            } else if (monthly > 0 && monthTotal > monthly) {
+                exceeded = { period: 'Monthly', limit: monthly, resetsAt: this.getNextMonth(now) };
+            }
+
+            if (exceeded) {
+                await client.multi()
+                    .hIncrBy(dayKey, 'total', -1)
+                    .hIncrBy(dayKey, type, -1)
+                    .hIncrBy(monthKey, 'total', -1)
+                    .hIncrBy(monthKey, type, -1)
+                    .exec();
+            }
+        } catch (error) {
+            log.warn(`Failed to count ${type} transaction against quotas`, { correlationId, error: error.message });
+            return;
+        }
+
+        if (exceeded) {
+            log.warn(`Tenant ${profile.tenantId} reached its ${exceeded.period.toLowerCase()} quota of ${exceeded.limit} transactions`, { correlationId });
+            throw new TooManyRequestsError(
+                `${exceeded.period} quota of ${exceeded.limit} billable Optum transactions reached for tenant ${profile.tenantId}`,
+                Math.ceil((exceeded.resetsAt - now) / 1000)
+            );
+        }
+    }
+
+    /**
+     * Transaction counts and quota headroom for a tenant
+     * @param {Object} profile - Resolved tenant profile (tenantId, quotas)
+     * @returns {Promise<Object>} { tenantId, daily, monthly }
+     */
+    async getUsage(profile) {
+        const client = this.requireClient();
+        const now = new Date();
+        const [day, month] = await Promise.all([
+            client.hGetAll(this.usageKey(profile.tenantId, this.getDay(now))),
+            client.hGetAll(this.usageKey(profile.tenantId, this.getMonth(now)))
+        ]);
+
+        return {
+            tenantId: profile.tenantId,
+            daily: this.toQuotaView(this.getDay(now), day, profile.quotas.daily, this.getNextDay(now)),
+            monthly: this.toQuotaView(this.getMonth(now), month, profile.quotas.monthly, this.getNextMonth(now))
+        };
+    }
+
+    toQuotaView(period, counts, limit, resetsAt) {
+        const used = parseInt(counts.total) || 0;
+
+        return {
+            period,
+            limit: limit || null, // null = unlimited
+            used,
+            remaining: limit ? Math.max(0, limit - used) : null,
+            resetsAt: resetsAt.toISOString(),
+            transactions: Object.fromEntries(TRANSACTION_TYPES.map(type => [type, parseInt(counts[type]) || 0]))
+        };
+    }
+
+    requireClient() {
+        const client = this.getReadyClient();
+        if (!client) {
+            throw new Error('Redis not connected');
+        }
+        return client;
+    }
+
+    // Quota periods are UTC calendar days and months
+    getDay(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    getMonth(date) {
+        return date.toISOString().slice(0, 7);
+    }
+
+    getNextDay(date) {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+    }
+
+    getNextMonth(date) {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    }
+
+    // Close the Redis connection
+    async close() {
+        if (this.client && this.isInitialized) {
+            await this.client.quit();
+            log.info('RateLimitService connection closed');
+        }
+    }
+}
+
+// Export singleton instance
+const rateLimitService = new RateLimitService();
+export default rateLimitService;
@@ -1,6 +1,9 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('ServiceTypeManager');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,9 +26,9 @@ class ServiceTypeManager {
       const configPath = path.join(__dirname, '../../docs/serviceTypes.json');
       const data = fs.readFileSync(configPath, 'utf8');
       this.serviceTypes = JSON.parse(data);
-      console.log(`✅ Loaded ${Object.keys(this.serviceTypes).length} service type codes`);
+      log.info(`Loaded ${Object.keys(this.serviceTypes).length} service type codes`);
     } catch (error) {
-      console.error('❌ Failed to load service types configuration:', error.message);
+      log.error('Failed to load service types configuration', { error: error.message });
       throw new Error('Service types configuration could not be loaded');
     }
   }
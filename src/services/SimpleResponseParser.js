@@ -1,14 +1,19 @@
 import ServiceTypeManager from './ServiceTypeManager.js';
+import BenefitsParser from './BenefitsParser.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('SimpleResponseParser');
 
 // Simplified Response Parser for POC
 class SimpleResponseParser {
     constructor() {
         this.serviceTypeManager = new ServiceTypeManager();
+        this.benefitsParser = new BenefitsParser(this.serviceTypeManager);
     }
 
     // Main parsing method - returns simple, clean response
     parseEligibilityResponse(response, originalRequest, correlationId) {
-        console.log(`📋 [${correlationId}] Parsing eligibility response (simplified)`);
+        log.debug('Parsing eligibility response (simplified)', { correlationId });
 
         try {
             // Handle errors first
@@ -31,12 +36,16 @@ class SimpleResponseParser {
             }
 
             // Parse successful response
-            const coverage = this.parseSimpleCoverage(response, originalRequest);
-            const isEligible = coverage.some(c => c.covered);
+            const benefitDetails = this.benefitsParser.parseBenefitDetails(response);
+            const coverage = this.parseSimpleCoverage(response, originalRequest, benefitDetails);
+            const planPeriod = this.parsePlanPeriod(response, originalRequest);
+            const eligibilityStatus = this.getEligibilityStatus(response, planPeriod);
 
             return {
-                eligible: isEligible,
-                eligibilityStatus: isEligible ? 'active' : 'inactive',
+                eligible: eligibilityStatus === 'active',
+                eligibilityStatus,
+                informationStatusCode: response.subscriber?.informationStatusCode || null,
+                planPeriod,
                 member: {
                     memberId: response.subscriber?.memberId || originalRequest.subscriber?.memberId,
                     firstName: response.subscriber?.firstName || originalRequest.subscriber?.firstName,
@@ -48,12 +57,15 @@ class SimpleResponseParser {
                     payorIdentification: response.payer.payorIdentification
                 } : null,
                 benefits: coverage,
+                servicesRequiringAuth: this.getServicesRequiringAuth(benefitDetails),
+                // Full breakdown - only returned to callers asking for ?detail=full
+                benefitDetails,
                 correlationId,
                 timestamp: new Date().toISOString()
             };
 
         } catch (error) {
-            console.error(`❌ [${correlationId}] Error parsing response:`, error.message);
+            log.error('Error parsing response', { correlationId, error: error.message });
             return {
                 eligible: false,
                 status: 'error',
@@ -64,8 +76,87 @@ class SimpleResponseParser {
         }
     }
 
+    /**
+     * Derive the eligibility status from subscriber.informationStatusCode and the plan period
+     * A = active, I = inactive; either is refined to future_effective or terminated when
+     * the date of service falls before the plan begins or after it ends.
+     * @returns {string} active|inactive|terminated|future_effective|unknown
+     */
+    getEligibilityStatus(response, planPeriod) {
+        const statusCode = response.subscriber?.informationStatusCode;
+        if (statusCode !== 'A' && statusCode !== 'I') {
+            return 'unknown';
+        }
+
+        const referenceDate = planPeriod.dateOfService || this.today();
+        if (planPeriod.beginDate && referenceDate < planPeriod.beginDate) {
+            return 'future_effective';
+        }
+        if (planPeriod.endDate && referenceDate > planPeriod.endDate) {
+            return 'terminated';
+        }
+
+        return statusCode === 'A' ? 'active' : 'inactive';
+    }
+
+    // Coverage dates from planDateInformation, checked against the requested dates of service
+    parsePlanPeriod(response, originalRequest) {
+        const dates = response.planDateInformation || {};
+        const eligibilityRange = this.parseDateRange(dates.eligibility);
+        const planRange = this.parseDateRange(dates.plan);
+
+        const beginDate = dates.eligibilityBegin || eligibilityRange.begin || dates.planBegin || planRange.begin || dates.policyEffective || null;
+        const endDate = dates.eligibilityEnd || eligibilityRange.end || dates.planEnd || planRange.end || dates.policyExpiration || null;
+
+        const dateOfService = originalRequest.encounter?.beginningDateOfService || null;
+        const endDateOfService = originalRequest.encounter?.endDateOfService || dateOfService;
+
+        let dateOfServiceInPeriod = null;
+        if (dateOfService && (beginDate || endDate)) {
+            dateOfServiceInPeriod = (!beginDate || dateOfService >= beginDate)
+                && (!endDate || endDateOfService <= endDate);
+        }
+
+        return {
+            beginDate,
+            endDate,
+            dateOfService,
+            endDateOfService,
+            dateOfServiceInPeriod
+        };
+    }
+
+    // "20240101-20241231" or "20240101" (YYYYMMDD compares correctly as a string)
+    parseDateRange(value) {
+        if (!value || typeof value !== 'string') return { begin: null, end: null };
+        const [begin, end] = value.split('-');
+        return { begin: begin || null, end: end || begin || null };
+    }
+
+    today() {
+        return new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    // authOrCertIndicator Y/N/U → true/false/'unknown' (Y wins when benefits disagree)
+    getPriorAuthRequired(benefitDetails, serviceCode) {
+        const indicator = benefitDetails?.[serviceCode]?.authOrCertIndicator;
+        if (indicator === 'Y') return true;
+        if (indicator === 'N') return false;
+        return 'unknown';
+    }
+
+    // Every service type in the response the payer flagged as needing prior auth
+    getServicesRequiringAuth(benefitDetails) {
+        return Object.values(benefitDetails)
+            .filter(detail => detail.authOrCertIndicator === 'Y')
+            .map(detail => ({
+                serviceTypeCode: detail.serviceTypeCode,
+                serviceType: detail.serviceType
+            }));
+    }
+
     // Parse coverage for requested services
-    parseSimpleCoverage(response, originalRequest) {
+    parseSimpleCoverage(response, originalRequest, benefitDetails = {}) {
         const requestedServices = originalRequest.encounter?.serviceTypeCodes || [];
         const coverage = [];
 
@@ -84,7 +175,8 @@ class SimpleResponseParser {
                             coverageLevel: benefit.name || 'Unknown',
                             copay: benefit.copayAmount ? `$${benefit.copayAmount}` : null,
                             deductible: benefit.benefitAmount ? `$${benefit.benefitAmount}` : null,
-                            coinsurance: benefit.benefitPercent ? `${Math.round(benefit.benefitPercent * 100)}%` : null
+                            coinsurance: benefit.benefitPercent ? `${Math.round(benefit.benefitPercent * 100)}%` : null,
+                            priorAuthRequired: this.getPriorAuthRequired(benefitDetails, serviceCode)
                         });
                         break; // Found coverage for this service, move to next
                     }
@@ -99,7 +191,8 @@ class SimpleResponseParser {
                     serviceTypeCode: serviceCode,
                     serviceType: this.serviceTypeManager.getDescription(serviceCode) || 'Unknown Service',
                     covered: false,
-                    coverageLevel: 'Not Covered'
+                    coverageLevel: 'Not Covered',
+                    priorAuthRequired: this.getPriorAuthRequired(benefitDetails, serviceCode)
                 });
             }
         }
@@ -0,0 +1,221 @@
+import { readFileSync } from 'fs';
+import AuthenticationManager from './AuthenticationManager.js';
+import { getLimitErrors } from './OutboundThrottle.js';
+import { ForbiddenError } from '../middleware/errorHandler.js';
+import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('TenantRegistry');
+
+// Tenant served with the global OPTUM_* credentials
+export const DEFAULT_TENANT_ID = 'default';
+
+const TOKEN_KEY = 'optum:access_token';
+const PROVIDER_FIELDS = ['organizationName', 'npi', 'serviceProviderNumber', 'providerCode'];
+
+/**
+ * TenantRegistry maps API tenants to their Optum contract
+ * Each provider organization can bring its own client credentials, base URL,
+ * sender ID, default provider (NPI, organization name) and the trading partner
+ * service IDs it may query. The registry is JSON from OPTUM_TENANTS_FILE or
+ * OPTUM_TENANTS, keyed by tenant ID:
+ *
+ *   {
+ *     "clinic-a": {
+ *       "clientId": "...",
+ *       "clientSecretEnv": "CLINIC_A_OPTUM_CLIENT_SECRET",
+ *       "baseUrl": "https://apigw.optum.com",
+ *       "senderId": "...",
+ *       "provider": { "npi": "1234567890", "organizationName": "Clinic A" },
+ *       "allowedTradingPartnerServiceIds": ["87726"],
+ *       "quotas": { "daily": 5000, "monthly": 100000 },
+ *       "throttle": { "ratePerSecond": 5, "burst": 10 }
+ *     }
+ *   }
+ *
+ * Quotas cap billable Optum transactions (0 = unlimited) and default to
+ * QUOTA_DAILY_TRANSACTIONS / QUOTA_MONTHLY_TRANSACTIONS. Throttle paces calls made
+ * with the tenant's own credentials (see OutboundThrottle).
+ *
+ * Entries without a clientId use the global credentials. Tenants missing from the
+ * registry are rejected, unless OPTUM_TENANT_FALLBACK=true (the default only while no
+ * registry is configured) serves them with the global credentials. The "default" entry
+ * is the global tenant itself and cannot bring its own credentials or base URL.
+ *
+ * One AuthenticationManager is kept per set of credentials, so every service shares
+ * its token. Tokens are cached in Redis under optum:access_token:<tenantId>; the
+ * global credentials keep optum:access_token.
+ */
+class TenantRegistry {
+    constructor() {
+        this.settings = config.tenants;
+        this.tenants = this.load();
+        this.authManagers = new Map(); // credential key -> AuthenticationManager
+    }
+
+    // Read and check the registry; a broken registry fails startup like missing OPTUM_* vars
+    load() {
+        if (!this.settings.file && !this.settings.json) return {};
+
+        let tenants;
+        try {
+            tenants = JSON.parse(this.settings.file ? readFileSync(this.settings.file, 'utf8') : this.settings.json);
+        } catch (error) {
+            throw new Error(`Failed to load tenant registry: ${error.message}`);
+        }
+
+        if (!tenants || typeof tenants !== 'object' || Array.isArray(tenants)) {
+            throw new Error('Tenant registry must be a JSON object keyed by tenant ID');
+        }
+
+        const errors = Object.entries(tenants).flatMap(([tenantId, entry]) => this.getValidationErrors(tenantId, entry));
+        if (errors.length > 0) {
+            throw new Error(`Invalid tenant registry: ${errors.join(', ')}`);
+        }
+
+        log.info(`Loaded Optum settings for ${Object.keys(tenants).length} tenant(s)`);
+        return tenants;
+    }
+
+    getValidationErrors(tenantId, entry) {
+        if (!entry || typeof entry !== 'object') {
+            return [`${tenantId} must be an object`];
+        }
+
+        const errors = [];
+
+        // Its profile key would be the one every fallback tenant's token and throttle share
+        if (tenantId === DEFAULT_TENANT_ID && (entry.clientId || entry.baseUrl)) {
+            errors.push(`${tenantId} uses the global OPTUM_* credentials and cannot set clientId or baseUrl`);
+        }
+
+        if (entry.clientId && !entry.clientSecret && !process.env[entry.clientSecretEnv]) {
+            errors.push(`${tenantId}.clientSecret or a set clientSecretEnv is required with clientId`);
+        }
+
+        if (entry.provider?.npi && !/^\d{10}$/.test(entry.provider.npi)) {
+            errors.push(`${tenantId}.provider.npi must be exactly 10 digits`);
+        }
+
+        const allowed = entry.allowedTradingPartnerServiceIds;
+        if (allowed !== undefined && (!Array.isArray(allowed) || allowed.some(id => typeof id !== 'string'))) {
+            errors.push(`${tenantId}.allowedTradingPartnerServiceIds must be an array of strings`);
+        }
+
+        for (const period of ['daily', 'monthly']) {
+            const quota = entry.quotas?.[period];
+            if (quota !== undefined && (!Number.isInteger(quota) || quota < 0)) {
+                errors.push(`${tenantId}.quotas.${period} must be a non-negative integer`);
+            }
+        }
+
+        if (entry.throttle !== undefined) {
+            errors.push(...getLimitErrors(`${tenantId}.throttle`, entry.throttle));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Resolve a tenant to the Optum settings its requests use
+     * @param {string} tenantId - Tenant ID from req.tenant (defaults to the global tenant)
+     * @returns {Object} { tenantId, key, clientId, clientSecret, baseUrl, senderId, provider, allowedTradingPartnerServiceIds, quotas, throttle }
+     * @throws {ForbiddenError} When the tenant has no Optum settings and fallback is disabled
+     */
+    resolve(tenantId = DEFAULT_TENANT_ID) {
+        const entry = this.tenants[tenantId];
+
+        if (!entry) {
+            if (tenantId !== DEFAULT_TENANT_ID && !this.settings.fallbackToDefault) {
+                throw new ForbiddenError(`No Optum credentials are configured for tenant ${tenantId}`);
+            }
+            return this.createProfile(tenantId, {});
+        }
+
+        return this.createProfile(tenantId, entry);
+    }
+
+    createProfile(tenantId, entry) {
+        // Tenants with their own credentials or endpoint get their own token
+        const ownCredentials = Boolean(entry.clientId || entry.baseUrl);
+
+        return {
+            tenantId,
+            key: ownCredentials ? tenantId : DEFAULT_TENANT_ID,
+            clientId: entry.clientId || config.optum.clientId,
+            clientSecret: entry.clientId
+                ? entry.clientSecret || process.env[entry.clientSecretEnv]
+                : config.optum.clientSecret,
+            baseUrl: entry.baseUrl || config.optum.baseUrl,
+            senderId: entry.senderId || (ownCredentials ? undefined : config.optum.senderId),
+            provider: { ...entry.provider },
+            allowedTradingPartnerServiceIds: entry.allowedTradingPartnerServiceIds || null,
+            quotas: { ...config.quotas, ...entry.quotas },
+            // Tenants sharing the global credentials share their throttle bucket too
+            throttle: ownCredentials ? { ...entry.throttle } : {}
+        };
+    }
+
+    /**
+     * Shared AuthenticationManager for a profile's credentials
+     * @param {Object} profile - Resolved tenant profile
+     * @returns {AuthenticationManager} Token manager
+     */
+    getAuthManager(profile) {
+        if (!this.authManagers.has(profile.key)) {
+            this.authManagers.set(profile.key, new AuthenticationManager({
+                clientId: profile.clientId,
+                clientSecret: profile.clientSecret,
+                baseUrl: profile.baseUrl,
+                redisUrl: config.redis.url,
+                tokenRefreshBuffer: config.auth.tokenRefreshBuffer,
+                proactiveRefreshBuffer: config.auth.proactiveRefreshBuffer,
+                refreshLockTtlMs: config.auth.refreshLockTtlMs,
+                tokenKey: profile.key === DEFAULT_TENANT_ID ? TOKEN_KEY : `${TOKEN_KEY}:${profile.key}`
+            }));
+        }
+        return this.authManagers.get(profile.key);
+    }
+
+    /**
+     * Reject trading partners (payers) outside the tenant's contract
+     * @param {Object} profile - Resolved tenant profile
+     * @param {string} tradingPartnerServiceId - Payer ID
+     * @throws {ForbiddenError} When the tenant may not query this payer
+     */
+    assertTradingPartnerAllowed(profile, tradingPartnerServiceId) {
+        const allowed = profile.allowedTradingPartnerServiceIds;
+        if (allowed && !allowed.includes(tradingPartnerServiceId)) {
+            throw new ForbiddenError(`Tenant ${profile.tenantId} is not allowed to use trading partner ${tradingPartnerServiceId}`);
+        }
+    }
+
+    /**
+     * Fill provider fields the caller left out from the tenant's default provider
+     * @param {Object} profile - Resolved tenant profile
+     * @param {Object} provider - Provider from the request
+     * @returns {Object|undefined} Provider with defaults applied
+     */
+    applyProviderDefaults(profile, provider) {
+        const defaults = Object.fromEntries(PROVIDER_FIELDS
+            .filter(field => profile.provider[field])
+            .map(field => [field, profile.provider[field]]));
+
+        if (Object.keys(defaults).length === 0) return provider;
+
+        const given = Object.fromEntries(Object.entries(provider || {}).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+        return { ...defaults, ...given };
+    }
+
+    // Close every token manager's Redis connection
+    async close() {
+        for (const authManager of this.authManagers.values()) {
+            await authManager.close();
+        }
+        this.authManagers.clear();
+    }
+}
+
+// Export singleton instance
+const tenantRegistry = new TenantRegistry();
+export default tenantRegistry;
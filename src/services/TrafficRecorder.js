@@ -0,0 +1,319 @@
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import EdiService from './EdiService.js';
+import { canonicalize } from '../utils/canonicalize.js';
+import config from '../utils/config.js';
+import { PHI_FIELDS, REDACTED } from '../utils/redaction.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('TrafficRecorder');
+
+export const TRAFFIC_MODES = ['off', 'record', 'replay'];
+
+// Change on every call without changing what is asked, so they stay out of the request key
+const VOLATILE_FIELDS = ['controlNumber'];
+
+// X12 envelope and header segments only carry control numbers and timestamps
+const VOLATILE_SEGMENTS = ['ISA', 'GS', 'ST', 'BHT', 'TRN', 'SE', 'GE', 'IEA'];
+
+// NM1 entity codes for the patient: insured/subscriber and dependent
+const PATIENT_ENTITIES = ['IL', '03'];
+
+// REF qualifiers carrying patient identifiers: SSN, subscriber number, ID card, member ID, family unit
+const PATIENT_REFERENCES = ['SY', '0F', 'HJ', '1W', '49'];
+
+// Response headers worth keeping; the rest vary per call
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * TrafficRecorder records Optum traffic to disk and plays it back
+ * In record mode every request/response pair an ApiClient exchanges with Optum is
+ * written to OPTUM_TRAFFIC_DIR, error responses included. In replay mode those
+ * recordings answer the requests and nothing reaches the network; a request
+ * without a recording fails. Turns sandbox sessions into parser regression
+ * fixtures and reproduces production parsing bugs offline.
+ *
+ * Recordings are keyed by a SHA-256 hash of the normalized request: method, path,
+ * query and body with keys sorted, without the host and without fields that change
+ * on every call (controlNumber, X12 envelope and trace segments). Patient
+ * identifiers (names, member IDs, dates of birth, SSNs, addresses) are redacted
+ * from the stored request and response; the hash is taken before redaction so
+ * recordings of different members stay apart.
+ *
+ * Token requests are never recorded - in replay mode AuthenticationManager uses a
+ * placeholder token instead.
+ *
+ * Files:
+ *   <dir>/<method>-<path>.<hash>.json   { key, recordedAt, request, response }
+ */
+class TrafficRecorder {
+    constructor() {
+        this.settings = config.traffic;
+        this.ediService = new EdiService();
+        this.stats = { recorded: 0, replayed: 0, missing: 0 };
+
+        if (!TRAFFIC_MODES.includes(this.settings.mode)) {
+            throw new Error(`Invalid OPTUM_TRAFFIC_MODE: ${this.settings.mode} (expected ${TRAFFIC_MODES.join(', ')})`);
+        }
+
+        if (this.settings.mode !== 'off') {
+            log.warn(`Optum traffic ${this.settings.mode} mode - recordings in ${path.resolve(this.settings.dir)}`);
+        }
+    }
+
+    isRecording() {
+        return this.settings.mode === 'record';
+    }
+
+    isReplaying() {
+        return this.settings.mode === 'replay';
+    }
+
+    /**
+     * Axios adapter that records or replays around another adapter
+     * @param {*} adapter - Adapter to send real requests with (axios default when omitted)
+     * @returns {Function|undefined} Adapter, or undefined when the mode is off
+     */
+    createAdapter(adapter = axios.defaults.adapter) {
+        if (this.settings.mode === 'off') return undefined;
+
+        const send = axios.getAdapter(adapter);
+
+        return async (requestConfig) => {
+            const request = this.normalizeRequest(requestConfig);
+            const key = this.hashRequest(request);
+
+            if (this.isReplaying()) {
+                return this.replay(requestConfig, request, key);
+            }
+
+            try {
+                const response = await send(requestConfig);
+                await this.record(requestConfig, request, key, response);
+                return response;
+            } catch (error) {
+                if (error.response) {
+                    await this.record(requestConfig, request, key, error.response);
+                }
+                throw error;
+            }
+        };
+    }
+
+    /**
+     * What a request asks for, without the host and per-call noise
+     * @param {Object} requestConfig - Axios request config (data already serialized)
+     * @returns {Object} { method, path, query, body }
+     */
+    normalizeRequest(requestConfig) {
+        const url = new URL(requestConfig.url, 'http://optum.invalid');
+        const query = Object.fromEntries([
+            ...url.searchParams.entries(),
+            ...Object.entries(requestConfig.params || {}).map(([name, value]) => [name, String(value)])
+        ]);
+
+        return {
+            method: (requestConfig.method || 'get').toUpperCase(),
+            path: url.pathname.replace(/\/+$/, '') || '/',
+            query: canonicalize(query),
+            body: canonicalize(this.withoutVolatileFields(parseBody(requestConfig.data)))
+        };
+    }
+
+    withoutVolatileFields(body) {
+        if (typeof body === 'string') return this.stripX12(body);
+        if (!body || typeof body !== 'object') return body;
+
+        const stable = { ...body };
+        for (const field of VOLATILE_FIELDS) {
+            delete stable[field];
+        }
+        if (typeof stable.x12 === 'string') {
+            stable.x12 = this.stripX12(stable.x12);
+        }
+        return stable;
+    }
+
+    hashRequest(request) {
+        return createHash('sha256').update(JSON.stringify(request)).digest('hex');
+    }
+
+    recordingPath(request, key) {
+        const slug = `${request.method}-${request.path}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-+$/, '');
+        return path.join(this.settings.dir, `${slug}.${key}.json`);
+    }
+
+    async record(requestConfig, request, key, response) {
+        const file = this.recordingPath(request, key);
+        const headers = AxiosHeaders.from(response.headers || {});
+
+        const recording = {
+            key,
+            recordedAt: new Date().toISOString(),
+            request: {
+                method: request.method,
+                path: request.path,
+                query: request.query,
+                body: this.redact(parseBody(requestConfig.data))
+            },
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries(RECORDED_HEADERS
+                    .filter(name => headers.has(name))
+                    .map(name => [name, headers.get(name)])),
+                body: this.redact(parseBody(response.data))
+            }
+        };
+
+        // A recording that cannot be written must not fail the call it records
+        try {
+            await mkdir(this.settings.dir, { recursive: true });
+            await writeFile(file, `${JSON.stringify(recording, null, 2)}\n`);
+            this.stats.recorded++;
+            log.info(`Recorded ${request.method} ${request.path} (${response.status}) to ${file}`, { correlationId: requestConfig.correlationId });
+        } catch (error) {
+            log.warn(`Failed to record ${request.method} ${request.path}`, { correlationId: requestConfig.correlationId, error: error.message });
+        }
+    }
+
+    async replay(requestConfig, request, key) {
+        const correlationId = requestConfig.correlationId || 'unknown';
+        const file = this.recordingPath(request, key);
+
+        let recording;
+        try {
+            recording = JSON.parse(await readFile(file, 'utf8'));
+        } catch (error) {
+            this.stats.missing++;
+            log.error(`No recording for ${request.method} ${request.path} (${file})`, { correlationId });
+            // No response and a code the retry handlers don't retry
+            throw new AxiosError(
+                `No recorded Optum response for ${request.method} ${request.path} (${key})`,
+                'ERR_NO_RECORDING',
+                requestConfig
+            );
+        }
+
+        this.stats.replayed++;
+        log.info(`Replaying ${request.method} ${request.path} (${recording.response.status}) from ${file}`, { correlationId });
+
+        const { status, statusText, headers, body } = recording.response;
+        const response = {
+            status,
+            statusText: statusText || '',
+            headers: AxiosHeaders.from(headers || {}),
+            data: typeof body === 'string' ? body : JSON.stringify(body),
+            config: requestConfig,
+            request: null
+        };
+
+        if (requestConfig.validateStatus && !requestConfig.validateStatus(status)) {
+            throw new AxiosError(
+                `Request failed with status code ${status}`,
+                status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+                requestConfig,
+                null,
+                response
+            );
+        }
+
+        return response;
+    }
+
+    /**
+     * Copy of a request or response body with patient identifiers redacted
+     * @param {*} body - Parsed JSON, raw X12 or anything else
+     * @returns {*} Redacted body
+     */
+    redact(body) {
+        if (typeof body === 'string') {
+            return body.trimStart().startsWith('ISA') ? this.redactX12(body) : body;
+        }
+        if (Array.isArray(body)) {
+            return body.map(item => this.redact(item));
+        }
+        if (!body || typeof body !== 'object') {
+            return body;
+        }
+
+        return Object.fromEntries(Object.entries(body).map(([name, value]) => {
+            if (PHI_FIELDS.includes(name) && value !== null && typeof value !== 'object') {
+                return [name, REDACTED];
+            }
+            return [name, this.redact(value)];
+        }));
+    }
+
+    redactX12(x12) {
+        let interchange;
+        try {
+            interchange = this.ediService.splitInterchange(x12);
+        } catch {
+            return REDACTED;
+        }
+
+        const { segments, delimiters } = interchange;
+        const redactElements = (el, positions) => positions.forEach(position => {
+            if (el[position]) el[position] = REDACTED;
+        });
+
+        return segments.map(segment => {
+            const el = segment.split(delimiters.element);
+            switch (el[0]) {
+                case 'NM1':
+                    if (PATIENT_ENTITIES.includes(el[1])) redactElements(el, [3, 4, 5, 7, 9]);
+                    break;
+                case 'DMG':
+                    redactElements(el, [2]);
+                    break;
+                case 'N3':
+                    redactElements(el, [1, 2]);
+                    break;
+                case 'N4':
+                    redactElements(el, [1, 3]);
+                    break;
+                case 'REF':
+                    if (PATIENT_REFERENCES.includes(el[1])) redactElements(el, [2]);
+                    break;
+            }
+            return el.join(delimiters.element);
+        }).join(delimiters.segment) + delimiters.segment;
+    }
+
+    // The transaction itself, without envelope control numbers and timestamps
+    stripX12(x12) {
+        try {
+            const { segments, delimiters } = this.ediService.splitInterchange(x12);
+            return segments
+                .filter(segment => !VOLATILE_SEGMENTS.includes(segment.split(delimiters.element)[0]))
+                .join(delimiters.segment);
+        } catch {
+            return x12;
+        }
+    }
+
+    /**
+     * Mode and counts since this replica started
+     * @returns {Object} { mode, dir, recorded, replayed, missing }
+     */
+    getStats() {
+        return { mode: this.settings.mode, dir: this.settings.dir, ...this.stats };
+    }
+}
+
+// Request data reaches the adapter serialized
+function parseBody(data) {
+    if (typeof data !== 'string') return data ?? null;
+    try {
+        return JSON.parse(data);
+    } catch {
+        return data;
+    }
+}
+
+// Export singleton instance
+const trafficRecorder = new TrafficRecorder();
+export default trafficRecorder;
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import RetryHandler from '../utils/retryHandler.js';
+import config from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('WebhookService');
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped addresses are matched against the IPv4 ranges; NAT64 is blocked whole
+for (const [network, prefix] of [
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for delivery sockets; runs on every connection, so a host re-pointed at
+// an internal address after validation is refused too
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            return callback(new Error(`Webhook host ${hostname} resolves to non-public address ${blocked.address}`));
+        }
+        callback(null, addresses);
+    });
+}
+
+/**
+ * WebhookService delivers signed event notifications to client callback URLs
+ * Receivers verify X-Webhook-Signature = sha256=HMAC(secret, `${timestamp}.${body}`)
+ */
+class WebhookService {
+    constructor() {
+        this.secret = config.webhooks.secret;
+        this.timeout = config.webhooks.timeout;
+        this.allowedHosts = config.webhooks.allowedHosts;
+        this.retryHandler = new RetryHandler({
+            maxRetries: 3,
+            baseDelay: 1000,
+            maxDelay: 10000,
+            jitterFactor: 0.1
+        });
+    }
+
+    /**
+     * Check a callback URL before accepting it
+     * The host must resolve only to public addresses, so clients cannot point
+     * deliveries at this server's own network or the cloud metadata endpoint.
+     * @param {string} callbackUrl - URL supplied by the client
+     * @returns {Promise<string|null>} Error message or null if the URL is acceptable
+     */
+    async validateCallbackUrl(callbackUrl) {
+        if (!this.secret) {
+            return 'callbackUrl requires WEBHOOK_SECRET to be configured';
+        }
+
+        let url;
+        try {
+            url = new URL(callbackUrl);
+        } catch {
+            return 'callbackUrl must be a valid URL';
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return 'callbackUrl must use http or https';
+        }
+
+        if (this.allowedHosts.length > 0 && !this.allowedHosts.includes(url.hostname)) {
+            return `callbackUrl host ${url.hostname} is not allowed`;
+        }
+
+        // IPv6 literals keep their brackets in URL.hostname
+        const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+        let addresses;
+        try {
+            addresses = await dns.promises.lookup(hostname, { all: true });
+        } catch {
+            return `callbackUrl host ${url.hostname} could not be resolved`;
+        }
+
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            return `callbackUrl host ${url.hostname} resolves to a private or reserved address`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Sign a webhook body
+     * @param {string} body - Serialized JSON body
+     * @param {string} timestamp - Unix timestamp in seconds
+     * @returns {string} Hex HMAC-SHA256 signature
+     */
+    sign(body, timestamp) {
+        return crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * POST a signed event to a callback URL, retrying transient failures
+     * Never throws - the delivery outcome is returned for the caller to record.
+     * @param {string} callbackUrl - Destination URL
+     * @param {string} event - Event name (e.g. eligibility.job.completed)
+     * @param {Object} data - Event payload
+     * @param {string} correlationId - Correlation ID for logging and the receiver
+     * @returns {Promise<Object>} Delivery result
+     */
+    async deliver(callbackUrl, event, data, correlationId = 'unknown') {
+        const id = uuidv4();
+        const body = JSON.stringify({ id, event, createdAt: new Date().toISOString(), data });
+        let attempts = 0;
+
+        try {
+            await this.retryHandler.execute(
+                () => {
+                    attempts++;
+                    // Sign per attempt so the timestamp stays fresh across retries
+                    const timestamp = Math.floor(Date.now() / 1000).toString();
+                    return axios.post(callbackUrl, body, {
+                        timeout: this.timeout,
+                        // A redirect could lead anywhere; receivers must answer at the registered URL
+                        maxRedirects: 0,
+                        lookup: lookupPublicAddress,
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'User-Agent': 'Optum-Eligibility-POC/1.0.0',
+                            'X-Webhook-Id': id,
+                            'X-Webhook-Event': event,
+                            'X-Webhook-Timestamp': timestamp,
+                            'X-Webhook-Signature': `sha256=${this.sign(body, timestamp)}`,
+                            'X-Correlation-ID': correlationId
+                        }
+                    });
+                },
+                `Webhook ${event}`,
+                correlationId
+            );
+
+            log.info(`Webhook ${event} delivered to ${new URL(callbackUrl).host}`, { correlationId });
+            return { id, status: 'delivered', attempts, deliveredAt: new Date().toISOString() };
+        } catch (error) {
+            log.error(`Webhook ${event} delivery failed`, { correlationId, error: error.message });
+            return { id, status: 'failed', attempts, error: error.message };
+        }
+    }
+}
+
+// Export singleton instance
+const webhookService = new WebhookService();
+export default webhookService;
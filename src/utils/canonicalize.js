@@ -0,0 +1,15 @@
+/**
+ * Copy of a JSON value with object keys sorted at every level
+ * Equal values then serialize identically, whatever order their properties were set in.
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Canonical copy
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+}
+
+export default canonicalize;
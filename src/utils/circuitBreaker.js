@@ -1,5 +1,20 @@
 import CircuitBreaker from 'opossum';
 import { defaultRetryHandler } from './retryHandler.js';
+import { trace } from '@opentelemetry/api';
+import { metrics } from './metrics.js';
+import { withSpan } from './tracing.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('circuitBreaker');
+
+// Opossum events counted per breaker for /metrics
+const BREAKER_EVENTS = ['open', 'halfOpen', 'close', 'success', 'failure', 'timeout', 'reject', 'fallback'];
+
+const breakerEvents = metrics.counter({
+  name: 'circuit_breaker_events_total',
+  help: 'Circuit breaker events, by breaker and event',
+  labelNames: ['breaker', 'event']
+});
 
 /**
  * CircuitBreakerManager creates and manages circuit breakers for different services
@@ -37,10 +52,7 @@ class CircuitBreakerManager {
     // Create the circuit breaker
     const breaker = new CircuitBreaker(this.createBreakerFunction(name), config);
     
-    // Set up event listeners for monitoring
-    this.setupEventListeners(breaker, name);
-    
-    // Store the breaker
+    // Store the breaker (stats first - the event listeners append to them)
     this.breakers.set(name, breaker);
     this.stats.set(name, {
       created: new Date().toISOString(),
@@ -48,7 +60,10 @@ class CircuitBreakerManager {
       events: []
     });
 
-    console.log(`🔌 Circuit breaker '${name}' created with config:`, config);
+    // Set up event listeners for monitoring
+    this.setupEventListeners(breaker, name);
+
+    log.info('Circuit breaker created', { breaker: name, config });
     return breaker;
   }
 
@@ -60,7 +75,8 @@ class CircuitBreakerManager {
   createBreakerFunction(name) {
     return async (fn, operationName, correlationId, retryHandler = defaultRetryHandler) => {
       // The circuit breaker wraps the retry logic
-      return retryHandler.execute(fn, operationName, correlationId);
+      return withSpan(`circuit-breaker ${name}`, { attributes: { 'circuit_breaker.name': name } },
+        () => retryHandler.execute(fn, operationName, correlationId));
     };
   }
 
@@ -72,48 +88,55 @@ class CircuitBreakerManager {
   setupEventListeners(breaker, name) {
     const stats = this.stats.get(name);
 
+    // Counted apart from breaker.stats, which an admin can reset
+    for (const event of BREAKER_EVENTS) {
+      breaker.on(event, () => breakerEvents.inc({ breaker: name, event }));
+    }
+
     breaker.on('open', () => {
       const event = { type: 'open', timestamp: new Date().toISOString() };
       stats.events.push(event);
-      console.log(`🔴 [${name}] Circuit breaker OPENED - failing fast`);
+      log.warn('Circuit breaker OPENED - failing fast', { breaker: name });
     });
 
     breaker.on('halfOpen', () => {
       const event = { type: 'halfOpen', timestamp: new Date().toISOString() };
       stats.events.push(event);
-      console.log(`🟡 [${name}] Circuit breaker HALF-OPEN - testing service`);
+      log.info('Circuit breaker HALF-OPEN - testing service', { breaker: name });
     });
 
     breaker.on('close', () => {
       const event = { type: 'close', timestamp: new Date().toISOString() };
       stats.events.push(event);
-      console.log(`🟢 [${name}] Circuit breaker CLOSED - service healthy`);
+      log.info('Circuit breaker CLOSED - service healthy', { breaker: name });
     });
 
     breaker.on('success', (result) => {
-      console.log(`✅ [${name}] Circuit breaker - operation succeeded`);
+      log.debug('Circuit breaker - operation succeeded', { breaker: name });
     });
 
     breaker.on('failure', (error) => {
-      console.log(`❌ [${name}] Circuit breaker - operation failed: ${error.message}`);
+      log.debug('Circuit breaker - operation failed', { breaker: name, error: error.message });
     });
 
     breaker.on('timeout', () => {
       const event = { type: 'timeout', timestamp: new Date().toISOString() };
       stats.events.push(event);
-      console.log(`⏰ [${name}] Circuit breaker - operation timed out`);
+      log.warn('Circuit breaker - operation timed out', { breaker: name });
     });
 
     breaker.on('reject', () => {
       const event = { type: 'reject', timestamp: new Date().toISOString() };
       stats.events.push(event);
-      console.log(`🚫 [${name}] Circuit breaker - operation rejected (circuit open)`);
+      // Rejected calls never start a breaker span; mark the caller's instead
+      trace.getActiveSpan()?.addEvent('circuit_breaker.rejected', { 'circuit_breaker.name': name });
+      log.warn('Circuit breaker - operation rejected (circuit open)', { breaker: name });
     });
 
     breaker.on('fallback', (result) => {
       const event = { type: 'fallback', timestamp: new Date().toISOString() };
       stats.events.push(event);
-      console.log(`🔄 [${name}] Circuit breaker - fallback executed`);
+      log.debug('Circuit breaker - fallback executed', { breaker: name });
     });
   }
 
@@ -213,7 +236,7 @@ class CircuitBreakerManager {
     const breaker = this.breakers.get(name);
     if (breaker) {
       breaker.stats.reset();
-      console.log(`📊 [${name}] Circuit breaker statistics reset`);
+      log.info('Circuit breaker statistics reset', { breaker: name });
     }
   }
 
@@ -225,7 +248,7 @@ class CircuitBreakerManager {
     const breaker = this.breakers.get(name);
     if (breaker) {
       breaker.open();
-      console.log(`🔴 [${name}] Circuit breaker manually opened`);
+      log.info('Circuit breaker manually opened', { breaker: name });
     }
   }
 
@@ -237,7 +260,7 @@ class CircuitBreakerManager {
     const breaker = this.breakers.get(name);
     if (breaker) {
       breaker.close();
-      console.log(`🟢 [${name}] Circuit breaker manually closed`);
+      log.info('Circuit breaker manually closed', { breaker: name });
     }
   }
 
@@ -290,7 +313,7 @@ class CircuitBreakerManager {
   shutdown() {
     for (const [name, breaker] of this.breakers) {
       breaker.shutdown();
-      console.log(`🔌 [${name}] Circuit breaker shutdown`);
+      log.info('Circuit breaker shutdown', { breaker: name });
     }
     this.breakers.clear();
     this.stats.clear();
@@ -300,6 +323,17 @@ class CircuitBreakerManager {
 // Create singleton instance
 const circuitBreakerManager = new CircuitBreakerManager();
 
+metrics.gauge({
+  name: 'circuit_breaker_state',
+  help: 'Circuit breaker state: 0 closed, 1 half-open, 2 open',
+  labelNames: ['breaker'],
+  collect: (gauge) => {
+    for (const [name, breaker] of circuitBreakerManager.breakers) {
+      gauge.set({ breaker: name }, breaker.opened ? 2 : breaker.halfOpen ? 1 : 0);
+    }
+  }
+});
+
 // Pre-configured circuit breakers for common services
 export const optumAuthBreaker = circuitBreakerManager.createBreaker('optum-auth', {
   timeout: 15000, // Shorter timeout for auth
@@ -313,6 +347,12 @@ export const optumEligibilityBreaker = circuitBreakerManager.createBreaker('optu
   resetTimeout: 60000
 });
 
+export const optumPriorAuthBreaker = circuitBreakerManager.createBreaker('optum-prior-auth', {
+  timeout: 45000, // Prior auth submissions can be slow to adjudicate
+  errorThresholdPercentage: 50,
+  resetTimeout: 60000
+});
+
 export const redisBreaker = circuitBreakerManager.createBreaker('redis', {
   timeout: 5000, // Fast timeout for Redis
   errorThresholdPercentage: 70, // More tolerant for cache
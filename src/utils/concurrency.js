@@ -0,0 +1,36 @@
+/**
+ * Run an async function over a list of items with at most `limit` in flight
+ * Results keep the order of the input items. The first call that throws stops new
+ * items from starting; its error is thrown once the calls already in flight settle.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let aborted = false;
+
+  const worker = async () => {
+    while (!aborted && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        aborted = true;
+        throw error;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  const settled = await Promise.allSettled(Array.from({ length: workerCount }, worker));
+
+  const failure = settled.find(result => result.status === 'rejected');
+  if (failure) throw failure.reason;
+
+  return results;
+}
+
+export default mapWithConcurrency;
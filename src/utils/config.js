@@ -17,10 +17,9 @@ class Config {
 
     const missing = required.filter(key => !process.env[key]);
 
+    // Thrown before the logger can start, so the hint goes in the message
     if (missing.length > 0) {
-      console.error('❌ Missing required environment variables:', missing.join(', '));
-      console.error('💡 Please check your .env file or environment configuration');
-      throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+      throw new Error(`Missing required environment variables: ${missing.join(', ')} - check your .env file or environment configuration`);
     }
   }
 
@@ -29,7 +28,32 @@ class Config {
       clientId: process.env.OPTUM_CLIENT_ID,
       clientSecret: process.env.OPTUM_CLIENT_SECRET,
       baseUrl: process.env.OPTUM_BASE_URL || 'https://sandbox-apigw.optum.com',
-      timeout: parseInt(process.env.OPTUM_TIMEOUT) || 30000
+      timeout: parseInt(process.env.OPTUM_TIMEOUT) || 30000,
+      senderId: process.env.OPTUM_SENDER_ID,
+      priorAuthTimeout: parseInt(process.env.OPTUM_PRIOR_AUTH_TIMEOUT) || 45000
+    };
+  }
+
+  get traffic() {
+    return {
+      // off, record (write every Optum request/response to dir) or replay (answer from dir, no network)
+      mode: process.env.OPTUM_TRAFFIC_MODE || 'off',
+      dir: process.env.OPTUM_TRAFFIC_DIR || './recordings'
+    };
+  }
+
+  get tenants() {
+    const hasRegistry = Boolean(process.env.OPTUM_TENANTS_FILE || process.env.OPTUM_TENANTS);
+
+    return {
+      // Per-tenant Optum credentials, base URL, provider defaults and allowed payers (JSON)
+      file: process.env.OPTUM_TENANTS_FILE,
+      json: process.env.OPTUM_TENANTS,
+      // Whether tenants missing from the registry use the global OPTUM_* credentials;
+      // only by default while there is no registry
+      fallbackToDefault: process.env.OPTUM_TENANT_FALLBACK
+        ? process.env.OPTUM_TENANT_FALLBACK === 'true'
+        : !hasRegistry
     };
   }
 
@@ -42,11 +66,93 @@ class Config {
   get server() {
     return {
       port: parseInt(process.env.PORT) || 3000,
-      apiToken: process.env.API_TOKEN || 'hardcoded-token',
+      // Proxy hops in front of the app (load balancer = 1); req.ip is the client address before them
+      trustProxy: parseInt(process.env.TRUST_PROXY) || 0,
       nodeEnv: process.env.NODE_ENV || 'development'
     };
   }
 
+  get apiKeys() {
+    return {
+      keyPrefix: process.env.API_KEY_PREFIX || 'optum:api-keys:',
+      // Static bootstrap token with every scope; unset it once real keys are issued
+      staticToken: process.env.API_TOKEN,
+      staticTenantId: process.env.API_TOKEN_TENANT_ID || 'default',
+      lastUsedIntervalMs: parseInt(process.env.API_KEY_LAST_USED_INTERVAL_MS) || 60 * 1000
+    };
+  }
+
+  get jwt() {
+    const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+    return {
+      // JWT validation is enabled when an issuer and a JWKS source are configured
+      issuer: process.env.JWT_ISSUER,
+      audiences: list(process.env.JWT_AUDIENCE),
+      jwksUrl: process.env.JWT_JWKS_URL,
+      jwksFile: process.env.JWT_JWKS_FILE,
+      algorithms: list(process.env.JWT_ALGORITHMS || 'RS256,ES256'),
+      clockToleranceSeconds: parseInt(process.env.JWT_CLOCK_TOLERANCE_SECONDS) || 60,
+      jwksCacheTtlMs: parseInt(process.env.JWT_JWKS_CACHE_TTL_MS) || 10 * 60 * 1000,
+      jwksMinRefreshIntervalMs: parseInt(process.env.JWT_JWKS_MIN_REFRESH_INTERVAL_MS) || 30 * 1000,
+      tenantClaim: process.env.JWT_TENANT_CLAIM || 'tenant_id',
+      scopeClaim: process.env.JWT_SCOPE_CLAIM || 'scope',
+      // idp-scope=api-scope pairs, e.g. "eligibility.read=eligibility:read,ops=admin"
+      scopeMap: Object.fromEntries(list(process.env.JWT_SCOPE_MAP).map(pair => pair.split('=').map(part => part.trim())))
+    };
+  }
+
+  get rateLimit() {
+    const policy = (name, limit, windowMs) => {
+      const max = parseInt(process.env[`RATE_LIMIT_${name}_MAX`]);
+      return {
+        limit: Number.isNaN(max) ? limit : max, // 0 disables the policy
+        windowMs: parseInt(process.env[`RATE_LIMIT_${name}_WINDOW_MS`]) || windowMs
+      };
+    };
+
+    return {
+      keyPrefix: process.env.RATE_LIMIT_KEY_PREFIX || 'optum:rate-limit:',
+      ip: policy('IP', 100, 15 * 60 * 1000), // requests without a bearer token
+      authFailure: policy('AUTH_FAILURE', 20, 15 * 60 * 1000), // rejected bearer tokens per client IP
+      tenant: policy('TENANT', 600, 60 * 1000),
+      route: policy('ROUTE', 120, 60 * 1000), // per API key (or JWT subject) and route
+      payer: policy('PAYER', 60, 60 * 1000) // per tenant and tradingPartnerServiceId / payerId
+    };
+  }
+
+  get quotas() {
+    return {
+      // Billable Optum transactions per tenant; 0 means unlimited. Tenants can override these in the registry.
+      daily: parseInt(process.env.QUOTA_DAILY_TRANSACTIONS) || 0,
+      monthly: parseInt(process.env.QUOTA_MONTHLY_TRANSACTIONS) || 0
+    };
+  }
+
+  get throttle() {
+    const rate = (name, fallback) => {
+      const value = parseFloat(process.env[name]);
+      return Number.isNaN(value) ? fallback : value; // 0 disables the bucket
+    };
+
+    return {
+      // Token buckets for calls to Optum, shared by every replica through Redis
+      enabled: process.env.OPTUM_THROTTLE_ENABLED !== 'false',
+      keyPrefix: process.env.OPTUM_THROTTLE_KEY_PREFIX || 'optum:throttle:',
+      credential: {
+        ratePerSecond: rate('OPTUM_THROTTLE_RATE', 10),
+        burst: parseInt(process.env.OPTUM_THROTTLE_BURST) || 20
+      },
+      payer: {
+        ratePerSecond: rate('OPTUM_THROTTLE_PAYER_RATE', 5),
+        burst: parseInt(process.env.OPTUM_THROTTLE_PAYER_BURST) || 10
+      },
+      // Per-payer overrides (JSON), e.g. {"87726": {"ratePerSecond": 2, "burst": 5}}
+      payerLimits: process.env.OPTUM_THROTTLE_PAYERS,
+      maxWaitMs: parseInt(process.env.OPTUM_THROTTLE_MAX_WAIT_MS) || 10000
+    };
+  }
+
   get circuitBreaker() {
     return {
       timeout: parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT) || 30000,
@@ -57,21 +163,112 @@ class Config {
 
   get cache() {
     return {
-      ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS) || 300, // 5 minutes
-      keyPrefix: process.env.CACHE_KEY_PREFIX || 'optum:eligibility:'
+      ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS) || 300, // 5 minutes - active coverage
+      inactiveTtlSeconds: parseInt(process.env.CACHE_INACTIVE_TTL_SECONDS) || 120, // 2 minutes
+      errorTtlSeconds: parseInt(process.env.CACHE_ERROR_TTL_SECONDS) || 30,
+      softTtlSeconds: parseInt(process.env.CACHE_SOFT_TTL_SECONDS) || 120, // serve stale + revalidate after this
+      keyPrefix: process.env.CACHE_KEY_PREFIX || 'optum:eligibility:',
+      // Identical concurrent checks on other replicas wait this long for the one in flight
+      coalesceLeaseMs: parseInt(process.env.CACHE_COALESCE_LEASE_MS) || 30000
+    };
+  }
+
+  get batch() {
+    return {
+      maxSize: parseInt(process.env.BATCH_MAX_SIZE) || 300,
+      concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 5
+    };
+  }
+
+  get jobs() {
+    return {
+      keyPrefix: process.env.JOB_KEY_PREFIX || 'optum:jobs:',
+      ttlSeconds: parseInt(process.env.JOB_TTL_SECONDS) || 86400, // 24 hours
+      leaseSeconds: parseInt(process.env.JOB_LEASE_SECONDS) || 600, // outlasts one item's worst-case retries
+      maxConcurrent: parseInt(process.env.JOB_MAX_CONCURRENT) || 2,
+      sweepIntervalMs: parseInt(process.env.JOB_SWEEP_INTERVAL_MS) || 30000
+    };
+  }
+
+  get idempotency() {
+    return {
+      keyPrefix: process.env.IDEMPOTENCY_KEY_PREFIX || 'optum:idempotency:',
+      ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 86400, // 24 hours
+      // Outlasts one request, prior auth timeout included; a crashed replica frees the key after this
+      lockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 300
+    };
+  }
+
+  get priorAuth() {
+    return {
+      keyPrefix: process.env.PRIOR_AUTH_KEY_PREFIX || 'optum:prior-auth:',
+      recordTtlSeconds: parseInt(process.env.PRIOR_AUTH_RECORD_TTL_SECONDS) || 90 * 24 * 3600, // 90 days
+      trackerEnabled: process.env.PRIOR_AUTH_TRACKER_ENABLED === 'true',
+      pollIntervalMs: parseInt(process.env.PRIOR_AUTH_POLL_INTERVAL_MS) || 15 * 60 * 1000, // 15 minutes
+      tickIntervalMs: parseInt(process.env.PRIOR_AUTH_TICK_INTERVAL_MS) || 60 * 1000,
+      maxTrackingDays: parseInt(process.env.PRIOR_AUTH_MAX_TRACKING_DAYS) || 30
+    };
+  }
+
+  get webhooks() {
+    return {
+      secret: process.env.WEBHOOK_SECRET,
+      timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+      allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean)
+    };
+  }
+
+  get x12() {
+    return {
+      senderId: process.env.X12_SENDER_ID || 'SUBMITTER', // ISA06 / GS02
+      receiverId: process.env.X12_RECEIVER_ID || 'RECEIVER', // ISA08 / GS03
+      usageIndicator: process.env.X12_USAGE_INDICATOR || (process.env.NODE_ENV === 'production' ? 'P' : 'T'),
+      originatorId: process.env.X12_ORIGINATOR_ID // TRN03 - trace numbers are only sent when set
     };
   }
 
   get logging() {
+    const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
     return {
-      level: process.env.LOG_LEVEL || 'info',
+      level: process.env.LOG_LEVEL || 'info', // error, warn, info or debug
+      // json (one object per line) or pretty (one readable line, for local development)
+      format: process.env.LOG_FORMAT || 'json',
+      // Modules logging at debug whatever the level, e.g. EligibilityService,ApiClient; * for all
+      debugModules: list(process.env.LOG_DEBUG_MODULES),
+      // Keys redacted on top of the PHI and credential defaults
+      redactFields: list(process.env.LOG_REDACT_FIELDS),
+      // 'false' logs member details again for local debugging; refused in production. Credentials stay redacted.
+      redactPhi: process.env.LOG_REDACT_PHI !== 'false',
+      // Request and response bodies are logged (at debug, redacted) only when this is 'true'
+      logBodies: process.env.LOG_REQUEST_BODIES === 'true',
       enableRequestLogging: process.env.ENABLE_REQUEST_LOGGING !== 'false'
     };
   }
 
+  get metrics() {
+    return {
+      // Bearer token Prometheus must send to GET /metrics; the endpoint is open when unset
+      token: process.env.METRICS_TOKEN || null
+    };
+  }
+
+  get tracing() {
+    return {
+      // none, otlp (OTEL_EXPORTER_OTLP_* variables), file (JSON lines at file) or console
+      exporter: process.env.OTEL_TRACES_EXPORTER || 'none',
+      file: process.env.OTEL_TRACES_FILE || './traces.jsonl',
+      serviceName: process.env.OTEL_SERVICE_NAME || 'optum-eligibility-poc'
+    };
+  }
+
   get auth() {
     return {
       tokenRefreshBuffer: 5 * 60 * 1000, // 5 minutes - hardcoded for POC
+      // Tokens this close to expiry are renewed in the background while still being served
+      proactiveRefreshBuffer: parseInt(process.env.OPTUM_TOKEN_PROACTIVE_REFRESH_MS) || 10 * 60 * 1000,
+      // A crashed holder frees the lock after this; never shorter than one token request
+      // with all its retries (AuthenticationManager), which is also the default
+      refreshLockTtlMs: parseInt(process.env.OPTUM_TOKEN_REFRESH_LOCK_TTL_MS) || undefined,
       maxRetries: 3 // hardcoded for POC
     };
   }
@@ -83,20 +280,24 @@ class Config {
       server: this.server,
       circuitBreaker: this.circuitBreaker,
       cache: this.cache,
+      batch: this.batch,
+      jobs: this.jobs,
       logging: this.logging
     };
   }
 
-  // Print configuration summary (without sensitive data)
-  printSummary() {
-    console.log('⚙️  Configuration Summary:');
-    console.log(`   • Environment: ${this.server.nodeEnv}`);
-    console.log(`   • Server Port: ${this.server.port}`);
-    console.log(`   • Optum Base URL: ${this.optum.baseUrl}`);
-    console.log(`   • Redis URL: ${this.redis.url}`);
-    console.log(`   • Cache TTL: ${this.cache.ttlSeconds}s`);
-    console.log(`   • Log Level: ${this.logging.level}`);
-    console.log(`   • Circuit Breaker Timeout: ${this.circuitBreaker.timeout}ms`);
+  // Configuration summary for the startup log (without sensitive data)
+  summary() {
+    return {
+      environment: this.server.nodeEnv,
+      port: this.server.port,
+      optumBaseUrl: this.optum.baseUrl,
+      redisUrl: this.redis.url,
+      cacheTtlSeconds: this.cache.ttlSeconds,
+      cacheSoftTtlSeconds: this.cache.softTtlSeconds,
+      logLevel: this.logging.level,
+      circuitBreakerTimeoutMs: this.circuitBreaker.timeout
+    };
   }
 }
 
@@ -0,0 +1,139 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { trace } from '@opentelemetry/api';
+import config from './config.js';
+import { PHI_FIELDS, FHIR_PHI_FIELDS, SECRET_FIELDS, RedactionPolicy } from './redaction.js';
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+export const LOG_FORMATS = ['json', 'pretty'];
+
+// Fields every entry in the current request carries, set by addCorrelationId
+const logContext = new AsyncLocalStorage();
+
+function loadSettings() {
+  const settings = config.logging;
+
+  if (!LOG_LEVELS.includes(settings.level)) {
+    throw new Error(`Invalid LOG_LEVEL: ${settings.level} (expected ${LOG_LEVELS.join(', ')})`);
+  }
+  if (!LOG_FORMATS.includes(settings.format)) {
+    throw new Error(`Invalid LOG_FORMAT: ${settings.format} (expected ${LOG_FORMATS.join(', ')})`);
+  }
+  if (!settings.redactPhi && config.server.nodeEnv === 'production') {
+    throw new Error('LOG_REDACT_PHI=false is not allowed in production');
+  }
+
+  return {
+    level: settings.level,
+    format: settings.format,
+    debugModules: new Set(settings.debugModules.map(name => name.toLowerCase())),
+    policy: new RedactionPolicy({
+      fields: [...(settings.redactPhi ? PHI_FIELDS : []), ...SECRET_FIELDS, ...settings.redactFields],
+      fhirFields: settings.redactPhi ? FHIR_PHI_FIELDS : []
+    })
+  };
+}
+
+const settings = loadSettings();
+
+// Fields left undefined do not hide the same field bound further out
+function assignDefined(target, fields = {}) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) target[key] = value;
+  }
+  return target;
+}
+
+// Trace and span IDs are left out; they are for joining JSON logs to traces
+function formatPretty({ time, level, module, correlationId, traceId, spanId, msg, ...fields }) {
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${module}${correlationId ? ` [${correlationId}]` : ''} ${msg}${extra}`;
+}
+
+/**
+ * Logger writes leveled entries for one module, one JSON object per line
+ * Each entry carries the time, level, module, message and fields, plus the
+ * correlation ID of the request being served and the active trace and span IDs.
+ * Fields go through the redaction policy first: member identifiers and
+ * credentials never reach stdout, however deep in a body they sit.
+ *
+ * Errors and warnings go to stderr, everything else to stdout.
+ */
+export class Logger {
+  constructor(module, bindings = {}) {
+    this.module = module;
+    this.bindings = bindings;
+    const debug = settings.debugModules.has('*') || settings.debugModules.has(module.toLowerCase());
+    this.threshold = LOG_LEVELS.indexOf(debug ? 'debug' : settings.level);
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= this.threshold;
+  }
+
+  /**
+   * Logger for the same module with fields added to every entry
+   * @param {Object} bindings - Fields, e.g. { correlationId }
+   * @returns {Logger} Child logger
+   */
+  child(bindings) {
+    return new Logger(this.module, assignDefined({ ...this.bindings }, bindings));
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const spanContext = trace.getActiveSpan()?.spanContext();
+    const traced = spanContext && trace.isSpanContextValid(spanContext);
+    const merged = assignDefined(assignDefined(assignDefined({}, logContext.getStore()), this.bindings), fields);
+    const { correlationId, ...rest } = settings.policy.redact(merged);
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      module: this.module,
+      correlationId,
+      traceId: traced ? spanContext.traceId : undefined,
+      spanId: traced ? spanContext.spanId : undefined,
+      msg,
+      ...rest
+    };
+
+    const line = settings.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+}
+
+/**
+ * Logger for a module; the name is what LOG_DEBUG_MODULES matches
+ * @param {string} module - Module name, e.g. EligibilityService
+ * @returns {Logger} Logger
+ */
+export function createLogger(module) {
+  return new Logger(module);
+}
+
+/**
+ * Run a function with fields bound to every entry logged inside it, across awaits
+ * @param {Object} bindings - Fields, e.g. { correlationId }
+ * @param {Function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+export function runWithLogContext(bindings, fn) {
+  return logContext.run({ ...logContext.getStore(), ...bindings }, fn);
+}
@@ -0,0 +1,184 @@
+/**
+ * Prometheus metrics for this replica, rendered in the text exposition format (0.0.4)
+ * Counters and histograms are updated where things happen. Metrics created with a
+ * collect function are refilled from existing stats (circuit breakers, cache) on
+ * every scrape instead.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('metrics');
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suits API handlers and Redis-backed lookups
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = {}) {
+  const pairs = labelNames.map((name, i) => [name, values[i]]).concat(Object.entries(extra));
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect = null }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.values = new Map(); // JSON label values -> value
+  }
+
+  // Label values in labelNames order; missing labels are empty
+  labelValues(labels = {}) {
+    return this.labelNames.map(name => labels[name] ?? '');
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = JSON.stringify(this.labelValues(labels));
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  // For collect functions copying a count kept elsewhere
+  set(labels, value) {
+    this.values.set(JSON.stringify(this.labelValues(labels)), value);
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.values.set(JSON.stringify(this.labelValues(labels)), value);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(this.labelValues(labels));
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Seconds elapsed since a performance.now() start
+  observeSince(labels, startedAt) {
+    this.observe(labels, (performance.now() - startedAt) / 1000);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, series] of this.values) {
+      const values = JSON.parse(key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, { le: formatValue(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, { le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * MetricsRegistry holds every metric this process exports
+ * Creating a metric that already exists returns the existing one, so modules
+ * instantiated more than once (ApiClient, AuthenticationManager) share it.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(MetricClass, options) {
+    if (!this.metrics.has(options.name)) {
+      this.metrics.set(options.name, new MetricClass(options));
+    }
+    return this.metrics.get(options.name);
+  }
+
+  counter(options) {
+    return this.register(Counter, options);
+  }
+
+  gauge(options) {
+    return this.register(Gauge, options);
+  }
+
+  histogram(options) {
+    return this.register(Histogram, options);
+  }
+
+  /**
+   * Every metric in the Prometheus text format
+   * @returns {Promise<string>} Exposition body
+   */
+  async render() {
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        metric.reset();
+        try {
+          await metric.collect(metric);
+        } catch (error) {
+          log.error(`Failed to collect metric ${metric.name}`, { error: error.message });
+        }
+      }
+      lines.push(...metric.render());
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Create singleton instance
+const metrics = new MetricsRegistry();
+
+export { metrics };
+export default MetricsRegistry;
@@ -0,0 +1,96 @@
+export const REDACTED = '[REDACTED]';
+
+// Patient identifiers in Optum JSON, wherever they appear (subscriber, dependents, addresses)
+export const PHI_FIELDS = [
+  'memberId', 'firstName', 'lastName', 'middleName', 'suffix', 'dateOfBirth', 'ssn', 'idCard',
+  'address1', 'address2', 'city', 'postalCode', 'phone', 'phoneNumber', 'email'
+];
+
+// Patient identifiers in FHIR R4 resources (Patient, RelatedPerson, Coverage). Too generic to
+// redact everywhere (an error's name, a tenant's name) - only inside objects with a resourceType.
+export const FHIR_PHI_FIELDS = [
+  'name', 'family', 'given', 'birthDate', 'identifier', 'subscriberId', 'telecom', 'address', 'line', 'div'
+];
+
+// Credentials sent as headers
+export const SECRET_FIELDS = ['authorization', 'cookie', 'apiKey', 'x-api-key'];
+
+// Any key containing one of these is a credential too (accessToken, client_secret, ...)
+export const SECRET_PATTERNS = ['password', 'secret', 'token'];
+
+// Deeper structures are cut off rather than walked
+const MAX_DEPTH = 8;
+
+/**
+ * RedactionPolicy decides which values may leave the process in logs
+ * Keys are compared case-insensitively: PHI fields and credential headers by
+ * exact name, other credentials by substring, FHIR fields by exact name within a
+ * FHIR resource. Matching values are replaced whatever their type, so a whole
+ * idCard object or a FHIR name list disappears as one. Raw X12 interchanges are
+ * replaced too - their segments carry the same identifiers without key names.
+ */
+export class RedactionPolicy {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.fields - Keys redacted by exact name
+   * @param {string[]} options.fhirFields - Keys redacted by exact name inside FHIR resources
+   * @param {string[]} options.secretPatterns - Keys redacted when they contain one of these
+   */
+  constructor({
+    fields = [...PHI_FIELDS, ...SECRET_FIELDS],
+    fhirFields = [],
+    secretPatterns = SECRET_PATTERNS
+  } = {}) {
+    this.fields = new Set(fields.map(field => field.toLowerCase()));
+    this.fhirFields = new Set(fhirFields.map(field => field.toLowerCase()));
+    this.secretPatterns = secretPatterns.map(pattern => pattern.toLowerCase());
+  }
+
+  isRedacted(key, inFhir = false) {
+    const name = key.toLowerCase();
+    return this.fields.has(name)
+      || (inFhir && this.fhirFields.has(name))
+      || this.secretPatterns.some(pattern => name.includes(pattern));
+  }
+
+  /**
+   * Copy of a value with redacted keys replaced; the input is never modified
+   * Errors become { name, message, code } since their own properties are not enumerable.
+   * @param {*} value - Anything JSON-serializable, errors included
+   * @returns {*} Redacted copy
+   */
+  redact(value, depth = 0, seen = new WeakSet(), inFhir = false) {
+    if (typeof value === 'string') {
+      return value.trimStart().startsWith('ISA') ? `[X12 interchange, ${value.length} chars]` : value;
+    }
+    if (typeof value === 'bigint') return value.toString();
+    if (!value || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+
+    if (value instanceof Error) {
+      return this.redact({ name: value.name, message: value.message, code: value.code }, depth, seen);
+    }
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    seen.add(value);
+
+    let copy;
+    if (Array.isArray(value)) {
+      copy = value.map(item => this.redact(item, depth + 1, seen, inFhir));
+    } else {
+      // Everything below a resource is part of it (contained resources, elements)
+      const fhir = inFhir || typeof value.resourceType === 'string';
+      copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        copy[key] = this.isRedacted(key, fhir) && item !== null
+          ? REDACTED
+          : this.redact(item, depth + 1, seen, fhir);
+      }
+    }
+
+    // Only ancestors count as circular; the same object twice side by side is fine
+    seen.delete(value);
+    return copy;
+  }
+}
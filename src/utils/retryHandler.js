@@ -1,3 +1,21 @@
+import { metrics } from './metrics.js';
+import { withSpan } from './tracing.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('retryHandler');
+
+const retryAttempts = metrics.counter({
+  name: 'retry_attempts_total',
+  help: 'Retries after a failed attempt, by operation',
+  labelNames: ['operation']
+});
+
+const retryFailures = metrics.counter({
+  name: 'retry_failures_total',
+  help: 'Operations that failed for good, by operation and reason (exhausted, non_retryable)',
+  labelNames: ['operation', 'reason']
+});
+
 /**
  * RetryHandler implements exponential backoff with jitter for API calls
  * Handles transient failures, rate limiting, and provides comprehensive retry logic
@@ -24,12 +42,15 @@ class RetryHandler {
     
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
       try {
-        console.log(`🔄 [${correlationId}] ${operationName} - Attempt ${attempt + 1}/${this.maxRetries + 1}`);
+        log.debug(`${operationName} - Attempt ${attempt + 1}/${this.maxRetries + 1}`, { correlationId, operation: operationName });
         
-        const result = await fn();
+        // One span per attempt, so retries show up in the trace
+        const result = await withSpan(`${operationName} attempt`, {
+          attributes: { 'retry.attempt': attempt + 1, 'retry.max_attempts': this.maxRetries + 1 }
+        }, () => fn());
         
         if (attempt > 0) {
-          console.log(`✅ [${correlationId}] ${operationName} succeeded after ${attempt + 1} attempts`);
+          log.info(`${operationName} succeeded after ${attempt + 1} attempts`, { correlationId, operation: operationName });
         }
         
         return result;
@@ -39,23 +60,26 @@ class RetryHandler {
         
         // Check if this is the last attempt
         if (attempt === this.maxRetries) {
-          console.error(`❌ [${correlationId}] ${operationName} failed after ${attempt + 1} attempts:`, error.message);
+          retryFailures.inc({ operation: operationName, reason: 'exhausted' });
+          log.error(`${operationName} failed after ${attempt + 1} attempts`, { correlationId, operation: operationName, error: error.message });
           break;
         }
         
         // Check if error is retryable
         if (!this.isRetryableError(error)) {
-          console.error(`❌ [${correlationId}] ${operationName} failed with non-retryable error:`, error.message);
+          retryFailures.inc({ operation: operationName, reason: 'non_retryable' });
+          log.error(`${operationName} failed with non-retryable error`, { correlationId, operation: operationName, error: error.message });
           throw error;
         }
         
         // Calculate delay for next attempt
         const delay = this.calculateDelay(attempt, error);
         
-        console.warn(`⚠️ [${correlationId}] ${operationName} failed (attempt ${attempt + 1}), retrying in ${delay}ms:`, error.message);
+        log.warn(`${operationName} failed (attempt ${attempt + 1}), retrying in ${delay}ms`, { correlationId, operation: operationName, error: error.message });
         
         // Wait before next attempt
         await this.sleep(delay);
+        retryAttempts.inc({ operation: operationName });
       }
     }
     
@@ -111,7 +135,7 @@ class RetryHandler {
       const retryAfter = error.response.headers['retry-after'];
       if (retryAfter) {
         const retryAfterMs = parseInt(retryAfter) * 1000; // Convert seconds to ms
-        console.log(`⏱️ Rate limited, using Retry-After header: ${retryAfter}s`);
+        log.info(`Rate limited, using Retry-After header: ${retryAfter}s`);
         return Math.min(retryAfterMs, this.maxDelay);
       }
     }
@@ -198,4 +222,19 @@ export const rateLimitRetryHandler = new RetryHandler({
   jitterFactor: 0.2
 });
 
+/**
+ * Retry handler for non-idempotent submissions (e.g. prior authorization)
+ * Only retries failures where the request certainly never reached the payer:
+ * 429 rejections and DNS lookup errors. Timeouts and 5xx are NOT retried since
+ * the submission may already have been accepted.
+ */
+export const submissionRetryHandler = new RetryHandler({
+  maxRetries: 3,
+  baseDelay: 2000,
+  maxDelay: 30000,
+  jitterFactor: 0.2,
+  retryableStatusCodes: [429],
+  retryableErrors: ['ENOTFOUND', 'EAI_AGAIN']
+});
+
 export default RetryHandler;
\ No newline at end of file
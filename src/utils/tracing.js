@@ -0,0 +1,163 @@
+import { appendFileSync, mkdirSync } from 'fs';
+import path from 'path';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { ExportResultCode, hrTimeToMilliseconds } from '@opentelemetry/core';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+import { NodeTracerProvider, BatchSpanProcessor, SimpleSpanProcessor, ConsoleSpanExporter } from '@opentelemetry/sdk-trace-node';
+import { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } from '@opentelemetry/semantic-conventions';
+import config from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('tracing');
+
+export const TRACE_EXPORTERS = ['none', 'otlp', 'file', 'console'];
+
+// Spans started before initializeTracing() go nowhere; the tracer picks up the provider once registered
+export const tracer = trace.getTracer('optum-eligibility-poc', '1.0.0');
+
+let provider = null;
+
+/**
+ * Writes finished spans to a file, one JSON object per line
+ * Meant for tests and local debugging, where running a collector is overkill.
+ */
+export class FileSpanExporter {
+  constructor(file) {
+    this.file = file;
+    mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  }
+
+  export(spans, resultCallback) {
+    try {
+      appendFileSync(this.file, spans.map(span => `${JSON.stringify({
+        traceId: span.spanContext().traceId,
+        spanId: span.spanContext().spanId,
+        parentSpanId: span.parentSpanContext?.spanId || null,
+        name: span.name,
+        kind: span.kind,
+        startTime: new Date(hrTimeToMilliseconds(span.startTime)).toISOString(),
+        durationMs: hrTimeToMilliseconds(span.duration),
+        status: span.status,
+        attributes: span.attributes,
+        events: span.events.map(event => ({ name: event.name, attributes: event.attributes }))
+      })}\n`).join(''));
+      resultCallback({ code: ExportResultCode.SUCCESS });
+    } catch (error) {
+      resultCallback({ code: ExportResultCode.FAILED, error });
+    }
+  }
+
+  async shutdown() {}
+}
+
+function createSpanProcessors(settings) {
+  switch (settings.exporter) {
+    case 'otlp':
+      // Endpoint and headers come from OTEL_EXPORTER_OTLP_* variables
+      return [new BatchSpanProcessor(new OTLPTraceExporter())];
+    case 'file':
+      // Written as each span ends, so tests can read them right after a request
+      return [new SimpleSpanProcessor(new FileSpanExporter(settings.file))];
+    case 'console':
+      return [new SimpleSpanProcessor(new ConsoleSpanExporter())];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Register the OpenTelemetry tracer provider, W3C trace context propagator and
+ * async context manager; call once at startup
+ * The provider is registered even when OTEL_TRACES_EXPORTER is none, so incoming
+ * traceparent headers are still continued and propagated to Optum.
+ */
+export function initializeTracing() {
+  if (provider) return provider;
+
+  const settings = config.tracing;
+  if (!TRACE_EXPORTERS.includes(settings.exporter)) {
+    throw new Error(`Invalid OTEL_TRACES_EXPORTER: ${settings.exporter} (expected ${TRACE_EXPORTERS.join(', ')})`);
+  }
+
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: settings.serviceName,
+      [ATTR_SERVICE_VERSION]: '1.0.0'
+    }),
+    spanProcessors: createSpanProcessors(settings)
+  });
+  provider.register();
+
+  if (settings.exporter !== 'none') {
+    log.info(`Tracing enabled - exporting spans to ${settings.exporter === 'file' ? path.resolve(settings.file) : settings.exporter}`);
+  }
+  return provider;
+}
+
+// Export spans still buffered; call before exiting
+export async function shutdownTracing() {
+  if (!provider) return;
+
+  try {
+    await provider.shutdown();
+  } catch (error) {
+    log.error('Failed to flush traces', { error: error.message });
+  }
+}
+
+// Mark a span as failed with the error that ended it
+export function recordSpanError(span, error) {
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+/**
+ * Run a function inside a new active span, ending it when the function returns or settles
+ * Errors are recorded on the span and rethrown.
+ * @param {string} name - Span name
+ * @param {Object} options - Span options (attributes, kind)
+ * @param {Function} fn - Receives the span; may return a promise
+ * @returns {*} What fn returns
+ */
+export function withSpan(name, options, fn) {
+  return tracer.startActiveSpan(name, options, (span) => {
+    let result;
+    try {
+      result = fn(span);
+    } catch (error) {
+      recordSpanError(span, error);
+      span.end();
+      throw error;
+    }
+
+    if (typeof result?.then !== 'function') {
+      span.end();
+      return result;
+    }
+
+    return result.then(
+      (value) => {
+        span.end();
+        return value;
+      },
+      (error) => {
+        recordSpanError(span, error);
+        span.end();
+        throw error;
+      }
+    );
+  });
+}
+
+/**
+ * Correlation ID for the active trace - its trace ID in UUID layout
+ * @returns {string|null} Correlation ID, or null outside a valid trace
+ */
+export function correlationIdFromTrace() {
+  const spanContext = trace.getActiveSpan()?.spanContext();
+  if (!spanContext || !trace.isSpanContextValid(spanContext)) return null;
+
+  const id = spanContext.traceId;
+  return `${id.slice(0, 8)}-${id.slice(8, 12)}-${id.slice(12, 16)}-${id.slice(16, 20)}-${id.slice(20)}`;
+}
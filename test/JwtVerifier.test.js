@@ -0,0 +1,211 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const ISSUER = 'https://idp.test/';
+const AUDIENCE = 'optum-eligibility-api';
+
+const dir = mkdtempSync(join(tmpdir(), 'jwt-verifier-'));
+const jwksFile = join(dir, 'jwks.json');
+
+// Set before the verifier (and config) are imported - both read the environment once
+Object.assign(process.env, {
+    OPTUM_CLIENT_ID: process.env.OPTUM_CLIENT_ID || 'test-client',
+    OPTUM_CLIENT_SECRET: process.env.OPTUM_CLIENT_SECRET || 'test-secret',
+    LOG_LEVEL: 'error',
+    JWT_ISSUER: ISSUER,
+    JWT_AUDIENCE: AUDIENCE,
+    JWT_JWKS_FILE: jwksFile,
+    JWT_CLOCK_TOLERANCE_SECONDS: '60'
+});
+
+const { default: jwtVerifier } = await import('../src/services/JwtVerifier.js');
+
+function createKey(kid) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' } };
+}
+
+function writeJwks(...keys) {
+    writeFileSync(jwksFile, JSON.stringify({ keys: keys.map(key => key.jwk) }));
+}
+
+function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(key, claims, header = {}) {
+    const signingInput = `${encode({ alg: 'RS256', kid: key.kid, ...header })}.${encode(claims)}`;
+    const signature = crypto.sign('sha256', Buffer.from(signingInput), key.privateKey).toString('base64url');
+    return `${signingInput}.${signature}`;
+}
+
+function claims(overrides = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    return {
+        iss: ISSUER,
+        aud: AUDIENCE,
+        sub: 'scheduler',
+        tenant_id: 'clinic-a',
+        scope: 'eligibility:read unknown:scope',
+        iat: now,
+        exp: now + 300,
+        ...overrides
+    };
+}
+
+// A fresh verifier with the current environment, so JWKS caching does not leak between tests
+function createVerifier() {
+    return new jwtVerifier.constructor();
+}
+
+async function assertRejected(verifier, token, message) {
+    await assert.rejects(verifier.authenticate(token), error => {
+        assert.equal(error.name, 'UnauthorizedError');
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+describe('JwtVerifier', () => {
+    const key = createKey('key-1');
+
+    before(() => writeJwks(key));
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    describe('signature', () => {
+        it('accepts a token signed by a JWKS key and maps it to a tenant', async () => {
+            const tenant = await createVerifier().authenticate(sign(key, claims()));
+
+            assert.deepEqual(tenant, {
+                id: 'clinic-a',
+                keyId: null,
+                keyName: null,
+                subject: 'scheduler',
+                scopes: ['eligibility:read'],
+                authType: 'jwt'
+            });
+        });
+
+        it('rejects a token whose payload was changed after signing', async () => {
+            const [header, , signature] = sign(key, claims()).split('.');
+            const forged = `${header}.${encode(claims({ tenant_id: 'clinic-b' }))}.${signature}`;
+
+            await assertRejected(createVerifier(), forged, /Invalid token signature/);
+        });
+
+        it('rejects a token signed by a key outside the JWKS under a known kid', async () => {
+            const impostor = createKey('key-1');
+
+            await assertRejected(createVerifier(), sign(impostor, claims()), /Invalid token signature/);
+        });
+    });
+
+    describe('issuer', () => {
+        it('rejects a token from another issuer', async () => {
+            await assertRejected(createVerifier(), sign(key, claims({ iss: 'https://evil.test/' })), /issuer is not trusted/);
+        });
+    });
+
+    describe('audience', () => {
+        it('accepts an audience list that includes JWT_AUDIENCE', async () => {
+            const tenant = await createVerifier().authenticate(sign(key, claims({ aud: ['other-api', AUDIENCE] })));
+            assert.equal(tenant.id, 'clinic-a');
+        });
+
+        it('rejects a token for another audience', async () => {
+            await assertRejected(createVerifier(), sign(key, claims({ aud: 'other-api' })), /audience is not accepted/);
+        });
+
+        it('rejects a token without an aud claim', async () => {
+            await assertRejected(createVerifier(), sign(key, claims({ aud: undefined })), /audience is not accepted/);
+        });
+
+        it('refuses to start without JWT_AUDIENCE', () => {
+            delete process.env.JWT_AUDIENCE;
+            try {
+                assert.throws(() => createVerifier(), /JWT_AUDIENCE is required/);
+            } finally {
+                process.env.JWT_AUDIENCE = AUDIENCE;
+            }
+        });
+    });
+
+    describe('expiry and not-before', () => {
+        const now = () => Math.floor(Date.now() / 1000);
+
+        it('accepts a token expired within the clock tolerance', async () => {
+            const tenant = await createVerifier().authenticate(sign(key, claims({ exp: now() - 30 })));
+            assert.equal(tenant.id, 'clinic-a');
+        });
+
+        it('rejects a token expired beyond the clock tolerance', async () => {
+            await assertRejected(createVerifier(), sign(key, claims({ exp: now() - 120 })), /expired/);
+        });
+
+        it('rejects a token without exp', async () => {
+            await assertRejected(createVerifier(), sign(key, claims({ exp: undefined })), /no expiry/);
+        });
+
+        it('accepts a token not valid yet within the clock tolerance', async () => {
+            const tenant = await createVerifier().authenticate(sign(key, claims({ nbf: now() + 30 })));
+            assert.equal(tenant.id, 'clinic-a');
+        });
+
+        it('rejects a token not valid yet beyond the clock tolerance', async () => {
+            await assertRejected(createVerifier(), sign(key, claims({ nbf: now() + 120 })), /not valid yet/);
+        });
+    });
+
+    describe('algorithms', () => {
+        it('rejects HS256, which would treat the public key as a shared secret', async () => {
+            await assertRejected(createVerifier(), sign(key, claims(), { alg: 'HS256' }), /algorithm not allowed: HS256/);
+        });
+
+        it('rejects unsigned tokens', async () => {
+            await assertRejected(createVerifier(), sign(key, claims(), { alg: 'none' }), /algorithm not allowed: none/);
+        });
+
+        it('rejects an algorithm it can verify but JWT_ALGORITHMS does not allow', async () => {
+            const verifier = createVerifier();
+            verifier.settings.algorithms = ['ES256'];
+
+            await assertRejected(verifier, sign(key, claims()), /algorithm not allowed: RS256/);
+        });
+    });
+
+    describe('JWKS refresh', () => {
+        it('reloads the JWKS when a token names an unknown kid', async () => {
+            const verifier = createVerifier();
+            verifier.settings.jwksMinRefreshIntervalMs = 0;
+            await verifier.authenticate(sign(key, claims()));
+
+            const rotated = createKey('key-2');
+            writeJwks(key, rotated);
+            try {
+                const tenant = await verifier.authenticate(sign(rotated, claims()));
+                assert.equal(tenant.id, 'clinic-a');
+                assert.deepEqual(verifier.keys.map(jwk => jwk.kid), ['key-1', 'key-2']);
+            } finally {
+                writeJwks(key);
+            }
+        });
+
+        it('does not reload again within JWT_JWKS_MIN_REFRESH_INTERVAL_MS', async () => {
+            const verifier = createVerifier();
+            verifier.settings.jwksMinRefreshIntervalMs = 60 * 1000;
+            await verifier.authenticate(sign(key, claims()));
+
+            const rotated = createKey('key-2');
+            writeJwks(key, rotated);
+            try {
+                await assertRejected(verifier, sign(rotated, claims()), /No matching signing key/);
+            } finally {
+                writeJwks(key);
+            }
+        });
+    });
+});